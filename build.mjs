@@ -25,6 +25,8 @@ const buildOptions = {
   target: "es2018",
   outfile: "dist/app.js",
   treeShaking: true,
+  // jsPDF loads these lazily for doc.html() and SVG, which the reports don't use
+  external: ["html2canvas", "dompurify", "canvg"],
   drop: isWatch ? [] : ["console", "debugger"], // Remove console.log in production
   define: {
     "process.env.NODE_ENV": JSON.stringify(isWatch ? "development" : "production"),
@@ -152,3 +152,192 @@ self.addEventListener('message', (event) => {
         });
     }
 });
+
+// ============================================
+// OFFLINE OUTBOX (Background Sync)
+// ============================================
+// Replays Venice requests queued by src/outbox.js while the app was offline,
+// even if no tab is open. Entry shape and statuses must match that file. The
+// page keeps the current API key in the credentials store while entries are
+// queued; without it there is nothing to send with and entries wait for the app.
+
+const OUTBOX_SYNC_TAG = 'spineai-outbox';
+const DB_NAME = 'spineai';
+const OUTBOX_STORE = 'outbox';
+const CREDENTIALS_STORE = 'credentials';
+// Must match OUTBOX_KEY_ID and OUTBOX_UPDATED_MESSAGE in src/outbox.js
+const OUTBOX_KEY_ID = 'outbox';
+const OUTBOX_UPDATED_MESSAGE = 'OUTBOX_UPDATED';
+const VENICE_BASE_URL = 'https://api.venice.ai/api/v1';
+// A claim older than this belongs to a tab or worker that went away mid-request
+const STALE_CLAIM_MS = 3 * 60 * 1000;
+
+const openOutboxDatabase = () =>
+    new Promise((resolve) => {
+        // No version: the app owns the schema, so never create or upgrade it here
+        const request = indexedDB.open(DB_NAME);
+        request.onupgradeneeded = () => request.transaction.abort();
+        request.onsuccess = () => {
+            const db = request.result;
+            if (!db.objectStoreNames.contains(OUTBOX_STORE) || !db.objectStoreNames.contains(CREDENTIALS_STORE)) {
+                db.close();
+                resolve(null);
+                return;
+            }
+            // Let the app upgrade the schema while a sync is running
+            db.onversionchange = () => db.close();
+            resolve(db);
+        };
+        request.onerror = () => resolve(null);
+    });
+
+const runStoreRequest = (db, storeName, mode, makeRequest) =>
+    new Promise((resolve, reject) => {
+        const request = makeRequest(db.transaction(storeName, mode).objectStore(storeName));
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+
+const getOutboxEntries = (db) =>
+    runStoreRequest(db, OUTBOX_STORE, 'readonly', (store) => store.getAll()).then((entries) =>
+        entries.sort((a, b) => a.createdAt - b.createdAt)
+    );
+
+const getOutboxKey = (db) =>
+    runStoreRequest(db, CREDENTIALS_STORE, 'readonly', (store) => store.get(OUTBOX_KEY_ID)).then(
+        (record) => record?.key || null
+    );
+
+const clearOutboxKey = (db) => runStoreRequest(db, CREDENTIALS_STORE, 'readwrite', (store) => store.delete(OUTBOX_KEY_ID));
+
+// Read-modify-write in one transaction so the page and worker never both claim an entry
+const updateOutboxEntry = (db, id, update) =>
+    new Promise((resolve, reject) => {
+        const tx = db.transaction(OUTBOX_STORE, 'readwrite');
+        const store = tx.objectStore(OUTBOX_STORE);
+        let next = null;
+        store.get(id).onsuccess = (event) => {
+            next = update(event.target.result);
+            if (next) store.put(next);
+        };
+        tx.oncomplete = () => resolve(next);
+        tx.onabort = () => reject(tx.error);
+        tx.onerror = () => reject(tx.error);
+    });
+
+const isClaimable = (entry) =>
+    entry &&
+    (entry.status === 'pending' ||
+        (entry.status === 'sending' && Date.now() - entry.claimedAt > STALE_CLAIM_MS));
+
+const sendOutboxRequest = async (request, apiKey) => {
+    let response;
+    if (request.audio) {
+        const formData = new FormData();
+        formData.append('file', request.audio, request.filename);
+        formData.append('model', request.model);
+        formData.append('response_format', 'json');
+        response = await fetch(`${VENICE_BASE_URL}/audio/transcriptions`, {
+            method: 'POST',
+            headers: { Authorization: `Bearer ${apiKey}` },
+            body: formData,
+        });
+    } else {
+        response = await fetch(`${VENICE_BASE_URL}/chat/completions`, {
+            method: 'POST',
+            headers: { Authorization: `Bearer ${apiKey}`, 'Content-Type': 'application/json' },
+            body: JSON.stringify({ ...request.body, stream: false }),
+        });
+    }
+
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok || data.error) {
+        const error = new Error(data.error?.message || `Request failed (HTTP ${response.status})`);
+        // Same categories as ERROR_TYPES in src/veniceClient.js, which the page reads back
+        if (response.status === 401 || response.status === 403) error.type = 'auth';
+        else if (response.status === 429) error.type = 'rate_limit';
+        else if (response.status >= 500) error.type = 'server';
+        else error.type = 'request';
+        throw error;
+    }
+    return request.audio ? data.text || '' : data.choices?.[0]?.message?.content || '';
+};
+
+const notifyOutboxClients = () =>
+    self.clients.matchAll().then((clients) => {
+        clients.forEach((client) => client.postMessage({ type: OUTBOX_UPDATED_MESSAGE }));
+    });
+
+const drainOutbox = async () => {
+    const db = await openOutboxDatabase();
+    if (!db) return;
+
+    try {
+        const apiKey = await getOutboxKey(db);
+        if (!apiKey) {
+            console.log('[SW] No API key stored for the outbox; it will be sent when the app is opened');
+            return;
+        }
+
+        const entries = await getOutboxEntries(db);
+        for (const { id } of entries) {
+            const entry = await updateOutboxEntry(db, id, (current) =>
+                isClaimable(current)
+                    ? { ...current, status: 'sending', claimedAt: Date.now(), attempts: current.attempts + 1 }
+                    : null
+            );
+            if (!entry) continue;
+
+            const results = { ...entry.results };
+            try {
+                for (const request of entry.requests) {
+                    if (!(request.key in results)) {
+                        results[request.key] = await sendOutboxRequest(request, apiKey);
+                    }
+                }
+                await updateOutboxEntry(db, id, (current) =>
+                    current && { ...current, status: 'done', results, error: null, errorType: null }
+                );
+            } catch (err) {
+                // fetch itself rejects when the network is still unavailable
+                const errorType = err instanceof TypeError ? 'network' : err.type;
+                const deferred = ['network', 'rate_limit', 'server'].includes(errorType);
+                await updateOutboxEntry(db, id, (current) =>
+                    current && {
+                        ...current,
+                        results,
+                        status: deferred ? 'pending' : 'failed',
+                        error: err.message,
+                        errorType,
+                    }
+                );
+                if (deferred) {
+                    console.warn('[SW] Outbox sync deferred:', err.message);
+                    // Rejecting lets the browser schedule another sync attempt
+                    throw err;
+                }
+                if (errorType === 'auth') {
+                    // The rest would be rejected too; the page requeues them once a new key is saved
+                    console.warn('[SW] Outbox API key was rejected');
+                    await clearOutboxKey(db);
+                    return;
+                }
+            }
+        }
+
+        const remaining = await getOutboxEntries(db);
+        if (!remaining.some((entry) => entry.status === 'pending' || entry.status === 'sending')) {
+            await clearOutboxKey(db);
+        }
+    } finally {
+        db.close();
+        await notifyOutboxClients();
+    }
+};
+
+self.addEventListener('sync', (event) => {
+    if (event.tag === OUTBOX_SYNC_TAG) {
+        console.log('[SW] Draining offline outbox...');
+        event.waitUntil(drainOutbox());
+    }
+});
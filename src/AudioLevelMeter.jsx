@@ -0,0 +1,48 @@
+import React, { useEffect, useRef } from 'react';
+
+// Quiet rooms sit near -60 dBFS and close speech around -10, so that range fills the bar
+const FLOOR_DB = -60;
+
+/**
+ * Live input level of a microphone stream. The bar is updated directly on
+ * each animation frame so the rest of the screen doesn't re-render with it.
+ */
+const AudioLevelMeter = ({ stream, dimmed = false }) => {
+  const barRef = useRef(null);
+
+  useEffect(() => {
+    if (!stream) return undefined;
+    const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+    if (!AudioContextClass) return undefined;
+
+    const context = new AudioContextClass();
+    const analyser = context.createAnalyser();
+    analyser.fftSize = 1024;
+    context.createMediaStreamSource(stream).connect(analyser);
+    const samples = new Float32Array(analyser.fftSize);
+    let frame = null;
+
+    const draw = () => {
+      analyser.getFloatTimeDomainData(samples);
+      const rms = Math.sqrt(samples.reduce((sum, value) => sum + value * value, 0) / samples.length);
+      const db = rms > 0 ? 20 * Math.log10(rms) : FLOOR_DB;
+      const level = Math.min(1, Math.max(0, (db - FLOOR_DB) / -FLOOR_DB));
+      if (barRef.current) barRef.current.style.width = `${Math.round(level * 100)}%`;
+      frame = requestAnimationFrame(draw);
+    };
+    draw();
+
+    return () => {
+      cancelAnimationFrame(frame);
+      context.close();
+    };
+  }, [stream]);
+
+  return (
+    <div className={`h-2 rounded-full bg-white/10 overflow-hidden transition-opacity ${dimmed ? 'opacity-40' : ''}`}>
+      <div ref={barRef} className="h-full w-0 rounded-full bg-gradient-to-r from-emerald-400 via-amber-400 to-red-500" />
+    </div>
+  );
+};
+
+export default AudioLevelMeter;
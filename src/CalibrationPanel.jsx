@@ -0,0 +1,150 @@
+import React, { useEffect, useState } from 'react';
+
+export const REFERENCE_PRESETS = [
+  { id: 'marker', label: 'Calibration marker (10 cm)', lengthCm: 10 },
+  { id: 'a4', label: 'A4 sheet, short edge (21 cm)', lengthCm: 21 },
+  { id: 'letter', label: 'Letter sheet, short edge (21.6 cm)', lengthCm: 21.6 },
+  { id: 'card', label: 'ID card, long edge (8.56 cm)', lengthCm: 8.56 },
+  { id: 'custom', label: 'Other object...', lengthCm: null },
+];
+
+export const DEFAULT_CALIBRATION = {
+  method: 'none',
+  heightCm: '',
+  referencePreset: 'marker',
+  referenceCm: 10,
+  referencePoints: [],
+};
+
+// Typing a length only takes effect on blur or Enter, so the capture isn't re-analyzed and saved per keystroke
+const LengthInput = ({ value, onCommit, ...props }) => {
+  const [draft, setDraft] = useState(value);
+  useEffect(() => setDraft(value), [value]);
+
+  const commit = () => {
+    if (String(draft) !== String(value)) onCommit(draft);
+  };
+
+  return (
+    <input
+      type="number"
+      {...props}
+      value={draft}
+      onChange={(event) => setDraft(event.target.value)}
+      onBlur={commit}
+      onKeyDown={(event) => event.key === 'Enter' && commit()}
+    />
+  );
+};
+
+/**
+ * Calibration settings for cm measurements: none, patient height, or two
+ * points marked on a reference object in the photo.
+ */
+const CalibrationPanel = ({ calibration, onChange, marking, onStartMarking, resolved, hasCapture }) => {
+  const update = (changes) => onChange({ ...calibration, ...changes });
+
+  const handlePreset = (presetId) => {
+    const preset = REFERENCE_PRESETS.find((item) => item.id === presetId);
+    update({ referencePreset: presetId, referenceCm: preset.lengthCm ?? calibration.referenceCm });
+  };
+
+  const pointsMarked = calibration.referencePoints.length;
+
+  return (
+    <div className="glass-card rounded-2xl p-6">
+      <div className="flex items-center justify-between mb-4">
+        <h3 className="text-sm font-medium text-white">📏 Calibration (cm)</h3>
+        {resolved && <span className="px-2 py-0.5 bg-emerald-500/20 text-emerald-400 rounded-full text-xs">Calibrated</span>}
+      </div>
+
+      <div className="grid grid-cols-3 gap-2 mb-4">
+        {[
+          { id: 'none', label: 'Off' },
+          { id: 'height', label: 'Patient height' },
+          { id: 'reference', label: 'Reference object' },
+        ].map((item) => (
+          <button
+            key={item.id}
+            onClick={() => update({ method: item.id })}
+            className={`py-2 rounded-lg text-xs font-medium transition-all ${calibration.method === item.id
+              ? 'bg-teal-500/20 text-teal-400 border border-teal-500/30'
+              : 'bg-white/5 text-gray-400 border border-transparent hover:bg-white/10'
+              }`}
+          >
+            {item.label}
+          </button>
+        ))}
+      </div>
+
+      {calibration.method === 'height' && (
+        <label className="flex items-center gap-3 text-sm text-gray-400">
+          Height
+          <LengthInput
+            min="50"
+            max="250"
+            value={calibration.heightCm}
+            onCommit={(heightCm) => update({ heightCm })}
+            placeholder="170"
+            className="w-24 bg-white/5 border border-white/10 rounded-lg px-3 py-2 text-sm text-white focus:outline-none"
+          />
+          cm
+        </label>
+      )}
+
+      {calibration.method === 'reference' && (
+        <div className="space-y-3">
+          <div className="flex gap-2">
+            <select
+              value={calibration.referencePreset}
+              onChange={(event) => handlePreset(event.target.value)}
+              className="flex-1 bg-white/5 border border-white/10 rounded-lg px-3 py-2 text-sm text-white focus:outline-none"
+            >
+              {REFERENCE_PRESETS.map((preset) => (
+                <option key={preset.id} value={preset.id}>
+                  {preset.label}
+                </option>
+              ))}
+            </select>
+            {calibration.referencePreset === 'custom' && (
+              <LengthInput
+                min="1"
+                value={calibration.referenceCm}
+                onCommit={(referenceCm) => update({ referenceCm })}
+                className="w-20 bg-white/5 border border-white/10 rounded-lg px-3 py-2 text-sm text-white focus:outline-none"
+                title="Length in cm"
+              />
+            )}
+          </div>
+          <button
+            onClick={onStartMarking}
+            disabled={!hasCapture}
+            className="w-full py-2 rounded-lg bg-white/5 text-gray-300 text-sm hover:bg-white/10 disabled:opacity-40"
+          >
+            {marking
+              ? `Click ${pointsMarked === 0 ? 'the first' : 'the second'} end of the object on the photo`
+              : pointsMarked === 2
+                ? 'Re-mark reference ends'
+                : 'Mark reference ends on photo'}
+          </button>
+          <p className="text-xs text-gray-500">Hold the object against the patient so it is the same distance from the camera.</p>
+        </div>
+      )}
+
+      {calibration.method !== 'none' && hasCapture && !resolved && !marking && (
+        <p className="text-xs text-amber-400 mt-3">
+          {calibration.method === 'height'
+            ? 'Enter the height and make sure the eyes and feet are visible.'
+            : 'Mark both ends of the reference object to calibrate.'}
+        </p>
+      )}
+      {resolved && (
+        <p className="text-xs text-gray-500 mt-3">
+          {(resolved.cmPerPixel * 10).toFixed(2)} mm per pixel from {resolved.source}
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default CalibrationPanel;
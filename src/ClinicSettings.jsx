@@ -0,0 +1,59 @@
+import React, { useEffect, useState } from 'react';
+import { saveClinicInfo, useClinicInfo } from './clinicInfo';
+
+const FIELDS = [
+  { id: 'name', label: 'Clinic name', placeholder: 'Riverside Chiropractic' },
+  { id: 'clinician', label: 'Clinician', placeholder: 'Dr. Jordan Lee, DC' },
+  { id: 'address', label: 'Address', placeholder: '12 Main St, Springfield' },
+  { id: 'phone', label: 'Phone', placeholder: '(555) 010-0000' },
+];
+
+/**
+ * Clinic details printed in the header of exported reports.
+ */
+const ClinicSettings = () => {
+  const clinic = useClinicInfo();
+  const [draft, setDraft] = useState(clinic);
+  const [saved, setSaved] = useState(false);
+
+  useEffect(() => setDraft(clinic), [clinic]);
+
+  const handleSave = () => {
+    saveClinicInfo(Object.fromEntries(Object.entries(draft).map(([key, value]) => [key, value.trim()])));
+    setSaved(true);
+  };
+
+  return (
+    <div className="glass-card rounded-2xl p-6">
+      <h2 className="text-xl font-serif text-white mb-2">Clinic Details</h2>
+      <p className="text-sm text-gray-400 mb-4">Printed in the header of the Report of Findings PDF.</p>
+      <div className="grid sm:grid-cols-2 gap-4">
+        {FIELDS.map((field) => (
+          <label key={field.id} className="text-sm text-gray-400">
+            {field.label}
+            <input
+              value={draft[field.id]}
+              placeholder={field.placeholder}
+              onChange={(event) => {
+                setDraft({ ...draft, [field.id]: event.target.value });
+                setSaved(false);
+              }}
+              className="mt-1 w-full bg-white/5 border border-white/10 rounded-lg px-3 py-2 text-white placeholder-gray-600 focus:outline-none focus:border-teal-400/50"
+            />
+          </label>
+        ))}
+      </div>
+      <div className="flex items-center gap-3 mt-4">
+        <button
+          onClick={handleSave}
+          className="px-5 py-2 rounded-xl bg-gradient-to-r from-teal-500 to-cyan-500 text-white text-sm font-medium hover:opacity-90"
+        >
+          Save details
+        </button>
+        {saved && <span className="text-sm text-emerald-400">Saved.</span>}
+      </div>
+    </div>
+  );
+};
+
+export default ClinicSettings;
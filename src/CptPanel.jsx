@@ -0,0 +1,92 @@
+import React, { useState } from 'react';
+import { SPINAL_REGIONS, suggestCptCodes } from './cptCodes';
+
+const regionLabels = (regions) => regions.map((id) => SPINAL_REGIONS.find((region) => region.id === id).label).join(', ');
+
+// "98941-AT x1", the form billing staff key in
+const formatLine = (suggestion) =>
+  `${suggestion.code}${suggestion.modifiers.map((modifier) => `-${modifier}`).join('')} x${suggestion.units}`;
+
+/**
+ * CPT codes suggested from the PLAN by rule, with modifiers and timed units.
+ * Codes the note doesn't fully support are flagged for the clinician rather
+ * than left out.
+ */
+const CptPanel = ({ note, template }) => {
+  const { suggestions, timedMinutes, timedUnits, flags } = suggestCptCodes(note, { template });
+  const billable = suggestions.filter((suggestion) => suggestion.units > 0);
+  const [copyError, setCopyError] = useState(null);
+
+  const copyCodes = async () => {
+    try {
+      await navigator.clipboard.writeText(billable.map(formatLine).join('\n'));
+      setCopyError(null);
+    } catch (err) {
+      setCopyError('Could not copy to the clipboard; select the codes and copy them by hand.');
+    }
+  };
+
+  return (
+    <div className="border border-white/10 rounded-xl p-4">
+      <div className="flex items-center justify-between mb-3">
+        <h3 className="text-sm font-medium text-white">Suggested CPT codes</h3>
+        {billable.length > 0 && (
+          <button
+            onClick={copyCodes}
+            className="px-3 py-1 rounded-lg bg-teal-500/20 text-teal-400 text-xs font-medium hover:bg-teal-500/30"
+          >
+            Copy codes
+          </button>
+        )}
+      </div>
+      {copyError && <p className="text-xs text-red-400 mb-3">{copyError}</p>}
+
+      {suggestions.length > 0 && (
+        <ul className="space-y-3">
+          {suggestions.map((suggestion) => (
+            <li key={suggestion.code} className="text-sm">
+              <div className="flex flex-wrap items-center gap-2">
+                <span className="font-mono text-white">{suggestion.code}</span>
+                {suggestion.modifiers.map((modifier) => (
+                  <span key={modifier} className="px-2 py-0.5 rounded-full text-xs bg-teal-500/20 text-teal-400 font-mono">
+                    {modifier}
+                  </span>
+                ))}
+                <span className="flex-1 min-w-[8rem] text-gray-400">
+                  {suggestion.description}
+                  {suggestion.regions?.length > 0 && ` (${regionLabels(suggestion.regions)})`}
+                </span>
+                <span className="text-xs text-gray-500">
+                  {suggestion.minutes != null && `${suggestion.minutes} min · `}
+                  {suggestion.units} {suggestion.units === 1 ? 'unit' : 'units'}
+                </span>
+                {suggestion.flags.length > 0 && (
+                  <span className="px-2 py-0.5 rounded-full text-xs bg-amber-500/20 text-amber-400">Check documentation</span>
+                )}
+              </div>
+              {suggestion.evidence && <p className="text-xs text-gray-500 mt-1 truncate">“{suggestion.evidence}”</p>}
+              {suggestion.flags.map((flag) => (
+                <p key={flag} className="text-xs text-amber-400 mt-1">
+                  ⚠️ {flag}
+                </p>
+              ))}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {timedMinutes > 0 && (
+        <p className="text-xs text-gray-500 mt-3">
+          Timed services: {timedMinutes} min = {timedUnits} {timedUnits === 1 ? 'unit' : 'units'} under the 8-minute rule.
+        </p>
+      )}
+      {flags.map((flag) => (
+        <p key={flag} className="text-sm text-gray-500 mt-2">
+          {flag}
+        </p>
+      ))}
+    </div>
+  );
+};
+
+export default CptPanel;
@@ -0,0 +1,141 @@
+import React from 'react';
+import { SEGMENT_STATUS, formatTimestamp } from './dictation';
+import { changeKey } from './vocabulary';
+
+const STATUS_STYLES = {
+  [SEGMENT_STATUS.PENDING]: 'bg-white/10 text-gray-400',
+  [SEGMENT_STATUS.TRANSCRIBING]: 'bg-orange-500/20 text-orange-400 animate-pulse',
+  [SEGMENT_STATUS.DONE]: 'bg-emerald-500/20 text-emerald-400',
+  [SEGMENT_STATUS.FAILED]: 'bg-red-500/20 text-red-400',
+};
+
+const statusLabel = (segment, isOffline) => {
+  if (segment.status === SEGMENT_STATUS.PENDING) return isOffline || segment.error ? 'Waiting for connection' : 'Queued';
+  if (segment.status === SEGMENT_STATUS.TRANSCRIBING) return 'Transcribing';
+  if (segment.status === SEGMENT_STATUS.FAILED) return 'Failed';
+  return null;
+};
+
+/**
+ * Normalized text with its vocabulary changes highlighted; clicking one puts
+ * the words as heard back, and clicking again reapplies it.
+ * @param {{ parts: object[], reverted: Set<string>, onToggle: (key: string) => void }} props
+ */
+export const NormalizedText = ({ parts, reverted, onToggle }) =>
+  parts.map((part, index) => {
+    if (part.original == null) return <React.Fragment key={index}>{part.text}</React.Fragment>;
+    const key = changeKey(part);
+    const isReverted = reverted.has(key);
+    return (
+      <button
+        key={index}
+        onClick={() => onToggle(key)}
+        title={isReverted ? `Use "${part.text}"` : `Heard "${part.original}". Click to keep it as heard`}
+        className={`rounded px-0.5 ${isReverted ? 'bg-white/10 text-gray-400' : 'bg-sky-500/20 text-sky-300'}`}
+      >
+        {isReverted ? part.original : part.text}
+      </button>
+    );
+  });
+
+/**
+ * Dictation segments with their transcription status, and the stitched
+ * timestamped transcript. Segments that are done show their normalized text
+ * with vocabulary changes highlighted for review; the rest show where they
+ * are, with a retry for failures and for segments waiting after a dropped
+ * connection. Reverted changes are kept on each segment.
+ * @param {{
+ *   segments: object[],
+ *   normalized: Object<string, object[]>,
+ *   onSetReverted: (bySegment: Object<string, string[]>) => void,
+ * }} props - `normalized` holds the parts of each done segment by id (see `normalizeTranscript`)
+ */
+const DictationTranscript = ({ segments, normalized, isOffline, onRetry, onSetReverted, onClear }) => {
+  const failed = segments.filter((segment) => segment.status === SEGMENT_STATUS.FAILED);
+  const reverted = Object.fromEntries(segments.map((segment) => [segment.id, new Set(segment.reverted || [])]));
+  const changeKeys = Object.fromEntries(
+    Object.entries(normalized).map(([segmentId, parts]) => [segmentId, parts.filter((part) => part.original != null).map(changeKey)])
+  );
+  const total = Object.values(changeKeys).reduce((sum, keys) => sum + keys.length, 0);
+  const applied = Object.entries(changeKeys).reduce(
+    (sum, [segmentId, keys]) => sum + keys.filter((key) => !reverted[segmentId]?.has(key)).length,
+    0
+  );
+
+  const toggle = (segmentId, key) => {
+    const next = new Set(reverted[segmentId]);
+    if (!next.delete(key)) next.add(key);
+    onSetReverted({ [segmentId]: [...next] });
+  };
+
+  const setAll = (revert) =>
+    onSetReverted(Object.fromEntries(Object.entries(changeKeys).map(([segmentId, keys]) => [segmentId, revert ? keys : []])));
+
+  return (
+    <div>
+      <div className="bg-white/5 rounded-xl p-4 text-sm max-h-48 overflow-y-auto space-y-2">
+        {segments.map((segment) => {
+          const label = statusLabel(segment, isOffline);
+          return (
+            <div key={segment.id} className="flex gap-3">
+              <span className="font-mono text-xs text-gray-500 pt-0.5">{formatTimestamp(segment.startMs)}</span>
+              {label ? (
+                <div className="flex-1 flex flex-wrap items-center gap-2">
+                  <span className={`px-2 py-0.5 rounded-full text-xs ${STATUS_STYLES[segment.status]}`}>{label}</span>
+                  <span className="text-xs text-gray-500">
+                    {[segment.filename, segment.durationMs > 0 && `${Math.round(segment.durationMs / 1000)}s of audio`].filter(Boolean).join(' · ')}
+                  </span>
+                  {segment.error && (
+                    <>
+                      <span className={`text-xs ${segment.status === SEGMENT_STATUS.FAILED ? 'text-red-400/70' : 'text-gray-500'}`}>
+                        {segment.error}
+                      </span>
+                      <button onClick={() => onRetry(segment.id)} className="text-xs text-orange-400 hover:text-orange-300">
+                        Retry
+                      </button>
+                    </>
+                  )}
+                </div>
+              ) : (
+                <p className="flex-1 text-gray-300">
+                  {segment.text ? (
+                    <NormalizedText
+                      parts={normalized[segment.id] || [{ text: segment.text }]}
+                      reverted={reverted[segment.id]}
+                      onToggle={(key) => toggle(segment.id, key)}
+                    />
+                  ) : (
+                    <span className="text-gray-500 italic">No speech</span>
+                  )}
+                </p>
+              )}
+            </div>
+          );
+        })}
+      </div>
+      <div className="flex flex-wrap items-center gap-4 mt-2">
+        {total > 0 && (
+          <span className="text-xs text-sky-300">
+            {applied} of {total} vocabulary {total === 1 ? 'fix' : 'fixes'} applied ·{' '}
+            <button
+              onClick={() => setAll(applied > 0)}
+              className="text-gray-400 hover:text-gray-200"
+            >
+              {applied > 0 ? 'Undo all' : 'Apply all'}
+            </button>
+          </span>
+        )}
+        {failed.length > 1 && (
+          <button onClick={() => failed.forEach((segment) => onRetry(segment.id))} className="text-xs text-orange-400 hover:text-orange-300">
+            Retry all failed
+          </button>
+        )}
+        <button onClick={onClear} className="text-xs text-gray-500 hover:text-gray-300">
+          Clear transcription
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default DictationTranscript;
@@ -0,0 +1,306 @@
+import React, { useRef, useState } from 'react';
+import usePatient from './PatientContext';
+import useOfflineDetection from './useOfflineDetection';
+import ResultsRenderer from './ResultsRenderer';
+import { RECORD_KINDS } from './patientStore';
+import { detectPose, loadImage } from './poseDetector';
+import { analyzePosture, bodyBox, formatMetricValue, generateExamSOAPNote, serializeLandmarks } from './OfflinePostureAnalyzer';
+import { estimateTiltFromImage } from './cameraTilt';
+import { getProfile, usePostureProfiles } from './postureProfiles';
+import { ProfileSelect } from './ProfileSettings';
+
+export const EXAM_VIEWS = [
+  { id: 'anterior', label: 'Anterior', icon: '👤', viewType: 'frontal', instruction: 'Patient faces the camera, arms relaxed, feet hip-width apart.' },
+  { id: 'posterior', label: 'Posterior', icon: '🔙', viewType: 'frontal', instruction: 'Patient faces away from the camera, hair clear of the neck.' },
+  { id: 'lateral-left', label: 'Left Lateral', icon: '◀️', viewType: 'lateral', instruction: "Patient's left side toward the camera, looking straight ahead." },
+  { id: 'lateral-right', label: 'Right Lateral', icon: '▶️', viewType: 'lateral', instruction: "Patient's right side toward the camera, looking straight ahead." },
+];
+
+// Stored photos are downscaled so a full exam stays small in IndexedDB
+const MAX_PHOTO_WIDTH = 960;
+
+const readPhoto = async (file) => {
+  const img = await loadImage(file);
+  const scale = Math.min(1, MAX_PHOTO_WIDTH / img.width);
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.round(img.width * scale);
+  canvas.height = Math.round(img.height * scale);
+  canvas.getContext('2d').drawImage(img, 0, 0, canvas.width, canvas.height);
+  return canvas.toDataURL('image/jpeg', 0.85);
+};
+
+/**
+ * One markdown report covering every view, with offline metrics and the Venice
+ * narrative under the same view heading.
+ */
+export const buildExamReport = (results) => {
+  const analyzed = EXAM_VIEWS.filter((view) => results[view.id]);
+  const scores = analyzed.map((view) => results[view.id].analysis?.overallScore).filter((score) => score != null);
+
+  const sections = analyzed.map((view) => {
+    const { analysis, cloud, cloudError } = results[view.id];
+    const lines = [`## ${view.label} View`];
+    if (analysis?.refused) {
+      lines.push('**Offline metrics not scored - retake this view**', ...analysis.quality.issues.map((issue) => `- ${issue.message}`));
+    } else if (analysis) {
+      lines.push(`**Offline metrics (score ${analysis.overallScore}/100)**`);
+      Object.values(analysis.metrics).forEach((m) =>
+        lines.push(`- ${m.label}: ${formatMetricValue(m)} (${m.confidence === 'low' ? 'low confidence, not scored' : m.status})`)
+      );
+      analysis.quality?.issues.forEach((issue) => lines.push(`- Photo quality: ${issue.message}`));
+    }
+    if (cloud) {
+      lines.push('', '**Venice vision findings**', cloud.replace(/^#{2,3} (.*)$/gm, '**$1**'));
+    } else if (cloudError) {
+      lines.push('', `Venice vision analysis failed: ${cloudError}`);
+    }
+    return lines.join('\n');
+  });
+
+  const header = ['## Multi-View Posture Exam', `**Views:** ${analyzed.map((view) => view.label).join(', ')}`];
+  if (scores.length) {
+    header.push(`**Combined offline score:** ${Math.round(scores.reduce((a, b) => a + b, 0) / scores.length)}/100`);
+  }
+  return [header.join('\n'), ...sections].join('\n\n');
+};
+
+/**
+ * Guided four-view posture exam producing one combined report and SOAP note.
+ */
+const ExamSession = ({ analyzeWithVenice }) => {
+  const { saveRecord } = usePatient();
+  const { isOffline } = useOfflineDetection();
+  const [photos, setPhotos] = useState({});
+  const [stepIndex, setStepIndex] = useState(0);
+  const [useOfflineMetrics, setUseOfflineMetrics] = useState(true);
+  const [useVenice, setUseVenice] = useState(true);
+  const [running, setRunning] = useState(false);
+  const [progress, setProgress] = useState('');
+  const [report, setReport] = useState(null);
+  const [soapNote, setSoapNote] = useState(null);
+  const [error, setError] = useState(null);
+  const { activeProfile } = usePostureProfiles();
+  const [profileId, setProfileId] = useState(activeProfile.id);
+  const fileInputRef = useRef(null);
+
+  const step = EXAM_VIEWS[stepIndex];
+  const capturedCount = EXAM_VIEWS.filter((view) => photos[view.id]).length;
+  const runVenice = useVenice && !isOffline;
+
+  const handlePhoto = async (event) => {
+    const file = event.target.files?.[0];
+    event.target.value = '';
+    if (!file) return;
+    try {
+      const photo = await readPhoto(file);
+      const next = { ...photos, [step.id]: photo };
+      setPhotos(next);
+      setReport(null);
+      setSoapNote(null);
+      // Move on to the next view that still needs a photo
+      const nextMissing = EXAM_VIEWS.findIndex((view, i) => i > stepIndex && !next[view.id]);
+      if (nextMissing !== -1) setStepIndex(nextMissing);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const runExam = async () => {
+    setRunning(true);
+    setError(null);
+    const results = {};
+    const profile = getProfile(profileId);
+
+    try {
+      for (const view of EXAM_VIEWS) {
+        const photo = photos[view.id];
+        if (!photo) continue;
+        const result = {};
+
+        if (useOfflineMetrics) {
+          setProgress(`Measuring ${view.label.toLowerCase()} view...`);
+          const img = await loadImage(photo);
+          const landmarks = await detectPose(img);
+          if (landmarks) {
+            result.landmarks = serializeLandmarks(landmarks);
+            result.analysis = analyzePosture(landmarks, view.id, profile, {
+              tilt: estimateTiltFromImage(img, bodyBox(landmarks)),
+            });
+          }
+        }
+
+        if (runVenice) {
+          setProgress(`Venice analysis of ${view.label.toLowerCase()} view...`);
+          try {
+            const cloud = await analyzeWithVenice(photo, view.id);
+            result.cloud = cloud.content;
+            result.cloudFindings = cloud.findings;
+          } catch (err) {
+            result.cloudError = err.message;
+          }
+        }
+
+        results[view.id] = result;
+      }
+
+      const combinedReport = buildExamReport(results);
+      const combinedSoap = generateExamSOAPNote(
+        EXAM_VIEWS.filter((view) => results[view.id]).map((view) => ({ label: `${view.label} View`, analysis: results[view.id].analysis }))
+      );
+      setReport(combinedReport);
+      setSoapNote(combinedSoap);
+
+      const views = {};
+      Object.entries(results).forEach(([id, result]) => {
+        views[id] = { ...result, image: photos[id] };
+      });
+      saveRecord(RECORD_KINDS.EXAM_SESSION, { views, report: combinedReport, soapNote: combinedSoap });
+    } catch (err) {
+      setError(err.message || 'Exam analysis failed');
+    } finally {
+      setRunning(false);
+      setProgress('');
+    }
+  };
+
+  const reset = () => {
+    setPhotos({});
+    setStepIndex(0);
+    setReport(null);
+    setSoapNote(null);
+    setError(null);
+  };
+
+  return (
+    <div className="grid lg:grid-cols-2 gap-8">
+      <div className="space-y-6">
+        <div className="glass-card rounded-2xl p-6 glow-teal">
+          <div className="flex items-center justify-between mb-4">
+            <h2 className="text-xl font-serif text-white">Posture Exam Session</h2>
+            <span className="text-xs text-gray-500">{capturedCount}/{EXAM_VIEWS.length} views</span>
+          </div>
+
+          <div className="grid grid-cols-4 gap-2 mb-6">
+            {EXAM_VIEWS.map((view, i) => (
+              <button
+                key={view.id}
+                onClick={() => setStepIndex(i)}
+                className={`rounded-lg overflow-hidden border text-xs transition-all ${i === stepIndex ? 'border-teal-400/60 bg-teal-500/10' : 'border-white/10 bg-white/5 hover:bg-white/10'}`}
+              >
+                <div className="aspect-[3/4] flex items-center justify-center bg-slate-900/50">
+                  {photos[view.id] ? (
+                    <img src={photos[view.id]} alt={view.label} className="w-full h-full object-cover" />
+                  ) : (
+                    <span className="text-2xl opacity-40">{view.icon}</span>
+                  )}
+                </div>
+                <span className={`block py-1 ${photos[view.id] ? 'text-teal-400' : 'text-gray-400'}`}>
+                  {photos[view.id] ? '✓ ' : ''}
+                  {view.label}
+                </span>
+              </button>
+            ))}
+          </div>
+
+          <div onClick={() => fileInputRef.current?.click()} className="upload-zone rounded-xl p-6 cursor-pointer text-center">
+            <p className="text-white font-medium mb-1">
+              Step {stepIndex + 1}: {step.label} view
+            </p>
+            <p className="text-sm text-gray-400">{step.instruction}</p>
+            <p className="text-xs text-gray-500 mt-3">{photos[step.id] ? 'Click to replace photo' : 'Click to add photo'}</p>
+            <input ref={fileInputRef} type="file" accept="image/*" onChange={handlePhoto} className="hidden" />
+          </div>
+
+          <div className="mt-4 grid gap-3">
+            <label className="flex items-center gap-3 text-sm text-gray-400">
+              <input type="checkbox" checked={useOfflineMetrics} onChange={() => setUseOfflineMetrics(!useOfflineMetrics)} />
+              MediaPipe metrics (runs locally)
+            </label>
+            {useOfflineMetrics && <ProfileSelect value={profileId} onChange={setProfileId} />}
+            <label className={`flex items-center gap-3 text-sm ${isOffline ? 'text-gray-600' : 'text-gray-400'}`}>
+              <input type="checkbox" checked={runVenice} disabled={isOffline} onChange={() => setUseVenice(!useVenice)} />
+              Venice vision analysis {isOffline && '(unavailable offline)'}
+            </label>
+          </div>
+
+          <div className="flex gap-3 mt-6">
+            <button
+              onClick={runExam}
+              disabled={!capturedCount || running || (!useOfflineMetrics && !runVenice)}
+              className={`flex-1 py-4 rounded-xl font-medium text-lg transition-all ${!capturedCount || running || (!useOfflineMetrics && !runVenice)
+                ? 'bg-gray-700 text-gray-400 cursor-not-allowed'
+                : 'bg-gradient-to-r from-teal-500 to-cyan-500 text-white hover:opacity-90'
+                }`}
+            >
+              {running ? progress || 'Analyzing...' : `Analyze ${capturedCount || ''} ${capturedCount === 1 ? 'View' : 'Views'}`}
+            </button>
+            <button onClick={reset} disabled={running} className="px-4 rounded-xl bg-white/5 text-gray-400 text-sm hover:bg-white/10">
+              New Exam
+            </button>
+          </div>
+        </div>
+      </div>
+
+      <div className="space-y-6">
+        <div className="glass-card rounded-2xl p-6 glow-teal">
+          <h2 className="text-xl font-serif text-white mb-4">Combined Report</h2>
+
+          {error && (
+            <div className="bg-red-500/10 border border-red-500/30 rounded-xl p-4 mb-4 text-red-400 text-sm">{error}</div>
+          )}
+
+          {!report && !running && (
+            <div className="h-72 flex items-center justify-center text-gray-500">
+              <div className="text-center">
+                <div className="text-6xl mb-4 opacity-20">🧍</div>
+                <p>Capture the four views, then analyze them together</p>
+              </div>
+            </div>
+          )}
+
+          {running && (
+            <div className="h-72 flex items-center justify-center">
+              <div className="text-center">
+                <div className="w-16 h-16 border-4 border-teal-500/30 border-t-teal-500 rounded-full animate-spin mx-auto mb-4"></div>
+                <p className="text-gray-400">{progress}</p>
+              </div>
+            </div>
+          )}
+
+          {report && !running && (
+            <div className="fade-in">
+              <div className="text-gray-300 whitespace-pre-wrap text-sm leading-relaxed overflow-y-auto max-h-[420px] sm:max-h-[600px] pr-2">
+                <ResultsRenderer content={report} />
+              </div>
+              <button
+                onClick={() => navigator.clipboard.writeText(report)}
+                className="w-full mt-6 py-3 rounded-xl bg-white/5 hover:bg-white/10 text-gray-300 text-sm font-medium transition-all"
+              >
+                📋 Copy Report
+              </button>
+            </div>
+          )}
+        </div>
+
+        {soapNote && !running && (
+          <div className="glass-card rounded-2xl p-6">
+            <div className="flex items-center justify-between mb-4">
+              <h3 className="text-lg font-serif text-white">📋 Combined SOAP Note</h3>
+              <button
+                onClick={() => navigator.clipboard.writeText(soapNote)}
+                className="px-3 py-1.5 bg-teal-500/20 text-teal-400 rounded-lg text-xs font-medium hover:bg-teal-500/30 transition-all"
+              >
+                Copy
+              </button>
+            </div>
+            <div className="text-gray-300 text-sm whitespace-pre-wrap bg-white/5 rounded-xl p-4 max-h-64 overflow-y-auto font-mono">
+              {soapNote}
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ExamSession;
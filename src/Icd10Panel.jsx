@@ -0,0 +1,145 @@
+import React, { useState } from 'react';
+import { ICD10_STATUS, extractIcd10Codes, findIcd10, formatDiagnosis, searchIcd10 } from './icd10';
+import { parseSoapNote, updateSection } from './soapSections';
+
+const STATUS_STYLES = {
+  [ICD10_STATUS.VALID]: { badge: 'bg-emerald-500/20 text-emerald-400', label: 'Valid' },
+  [ICD10_STATUS.INCOMPLETE]: { badge: 'bg-amber-500/20 text-amber-400', label: 'Needs more characters' },
+  [ICD10_STATUS.UNKNOWN]: { badge: 'bg-red-500/20 text-red-400', label: 'Not recognised' },
+};
+
+// Whole code only, so M54.5 doesn't match inside M54.50
+const codePattern = (code) => new RegExp(`\\b${code.replace('.', '\\.')}\\b`);
+
+const isListItem = (line) => /^\s*(?:[-•*]|\d+\.)\s/.test(line);
+
+// Swap a code (and its listed description, if the line has it) for another
+const replaceOnLine = (line, code, entry) => {
+  const previous = findIcd10(code);
+  const replaced = line.replace(codePattern(code), entry.code);
+  return previous && replaced.includes(previous.description) ? replaced.replace(previous.description, entry.description) : replaced;
+};
+
+// Drop the diagnosis line, or just the code when it sits inside a sentence
+const removeFromLine = (line, code) =>
+  isListItem(line) ? null : line.replace(codePattern(code), '').replace(/\(\s*\)|\[\s*\]/g, '').replace(/\s{2,}/g, ' ').trimEnd();
+
+/**
+ * ICD-10 codes found in the ASSESSMENT, checked against the bundled subset,
+ * with a searchable picker to add or replace diagnoses. Changes are written
+ * back into the note through `onChange`.
+ */
+const Icd10Panel = ({ note, onChange }) => {
+  const [query, setQuery] = useState('');
+  const [pickerOpen, setPickerOpen] = useState(false);
+  // Code being replaced by the next pick, or null to add a diagnosis
+  const [replacing, setReplacing] = useState(null);
+
+  const assessment = parseSoapNote(note).sections.find((section) => section.id === 'assessment');
+  const codes = extractIcd10Codes(assessment?.body || '');
+  const results = searchIcd10(query, 30);
+
+  const editAssessmentLines = (code, edit) => {
+    onChange(
+      updateSection(note, 'assessment', (body) =>
+        body
+          .split('\n')
+          .map((line) => (codePattern(code).test(line) ? edit(line) : line))
+          .filter((line) => line !== null)
+          .join('\n')
+      )
+    );
+  };
+
+  const pick = (entry) => {
+    if (replacing) {
+      editAssessmentLines(replacing, (line) => replaceOnLine(line, replacing, entry));
+    } else {
+      onChange(updateSection(note, 'assessment', (body) => [body.trim(), `- ${formatDiagnosis(entry)}`].filter(Boolean).join('\n')));
+    }
+    setPickerOpen(false);
+    setReplacing(null);
+    setQuery('');
+  };
+
+  const openPicker = (code = null) => {
+    setReplacing(code);
+    setPickerOpen(true);
+    // Start from the complete codes under an incomplete category
+    setQuery(code && !findIcd10(code) ? code : '');
+  };
+
+  return (
+    <div className="border border-white/10 rounded-xl p-4">
+      <div className="flex items-center justify-between mb-3">
+        <h3 className="text-sm font-medium text-white">Diagnoses (ICD-10)</h3>
+        <button
+          onClick={() => (pickerOpen && !replacing ? setPickerOpen(false) : openPicker())}
+          className="px-3 py-1 rounded-lg bg-teal-500/20 text-teal-400 text-xs font-medium hover:bg-teal-500/30"
+        >
+          + Add diagnosis
+        </button>
+      </div>
+
+      {codes.length === 0 ? (
+        <p className="text-sm text-gray-500">No ICD-10 codes in the assessment yet.</p>
+      ) : (
+        <ul className="space-y-2">
+          {codes.map(({ code, status, entry, suggestions }) => (
+            <li key={code} className="flex flex-wrap items-center gap-2 text-sm">
+              <span className="font-mono text-white">{code}</span>
+              <span className={`px-2 py-0.5 rounded-full text-xs ${STATUS_STYLES[status].badge}`}>{STATUS_STYLES[status].label}</span>
+              <span className="flex-1 min-w-[8rem] text-gray-400">
+                {entry
+                  ? entry.description
+                  : status === ICD10_STATUS.INCOMPLETE
+                    ? `Category only; choose one of ${suggestions.map((s) => s.code).join(', ')}`
+                    : 'Not in the offline code list. Check it before billing.'}
+              </span>
+              <button onClick={() => openPicker(code)} className="text-xs text-teal-400 hover:text-teal-300">
+                Replace
+              </button>
+              <button
+                onClick={() => editAssessmentLines(code, (line) => removeFromLine(line, code))}
+                className="text-xs text-gray-500 hover:text-red-400"
+              >
+                Remove
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {pickerOpen && (
+        <div className="mt-4">
+          <div className="flex items-center gap-2 mb-2">
+            <input
+              autoFocus
+              value={query}
+              onChange={(event) => setQuery(event.target.value)}
+              placeholder="Search code or description, e.g. cervical, M99, sciatica left"
+              className="flex-1 bg-white/5 border border-white/10 rounded-lg px-3 py-2 text-sm text-white placeholder-gray-500 focus:outline-none focus:border-teal-400/50"
+            />
+            <button onClick={() => setPickerOpen(false)} className="text-xs text-gray-500 hover:text-gray-300">
+              Cancel
+            </button>
+          </div>
+          {replacing && <p className="text-xs text-gray-500 mb-2">Replacing {replacing}</p>}
+          <ul className="max-h-56 overflow-y-auto divide-y divide-white/5">
+            {results.map((entry) => (
+              <li key={entry.code}>
+                <button onClick={() => pick(entry)} className="w-full text-left px-2 py-2 text-sm hover:bg-white/5 rounded-lg">
+                  <span className="font-mono text-teal-400 mr-2">{entry.code}</span>
+                  <span className="text-gray-300">{entry.description}</span>
+                </button>
+              </li>
+            ))}
+            {results.length === 0 && <li className="px-2 py-2 text-sm text-gray-500">No matching codes in the offline list.</li>}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default Icd10Panel;
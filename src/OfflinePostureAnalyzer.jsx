@@ -1,24 +1,12 @@
 import React, { useRef, useState, useEffect, useCallback } from 'react';
-
-// ============================================================================
-// POSTURE ANALYSIS THRESHOLDS
-// ============================================================================
-
-// Frontal View Thresholds (Symmetry Assessment)
-const FRONTAL_THRESHOLDS = {
-    HEAD_TILT: { good: 5, moderate: 10 },      // Left/right head lean
-    SHOULDER_LEVEL: { good: 3, moderate: 7 },   // Height difference
-    HIP_LEVEL: { good: 3, moderate: 7 },        // Height difference
-    SPINE_ALIGNMENT: { good: 5, moderate: 12 }, // Lateral shift
-};
-
-// Lateral View Thresholds (Forward Posture Assessment)
-const LATERAL_THRESHOLDS = {
-    HEAD_FORWARD: { good: 10, moderate: 20 },     // Forward head posture
-    SHOULDER_ROUND: { good: 15, moderate: 25 },   // Kyphosis indicator
-    PELVIC_TILT: { good: 10, moderate: 18 },      // Anterior/posterior
-    SPINE_CURVE: { good: 12, moderate: 20 },      // Overall curvature
-};
+import { detectPose, loadPoseDetector } from './poseDetector';
+import { createId } from './db';
+import CalibrationPanel, { DEFAULT_CALIBRATION } from './CalibrationPanel';
+import PhotoQualityPanel from './PhotoQualityPanel';
+import { estimateTiltFromImage, requestTiltPermission, watchDeviceTilt } from './cameraTilt';
+import { FRONTAL_THRESHOLDS, LATERAL_THRESHOLDS } from './postureThresholds';
+import { getProfile, usePostureProfiles } from './postureProfiles';
+import { ProfileSelect } from './ProfileSettings';
 
 // ============================================================================
 // MEDIAPIPE LANDMARK INDICES
@@ -42,6 +30,10 @@ const LANDMARKS = {
     RIGHT_KNEE: 26,
     LEFT_ANKLE: 27,
     RIGHT_ANKLE: 28,
+    LEFT_HEEL: 29,
+    RIGHT_HEEL: 30,
+    LEFT_FOOT_INDEX: 31,
+    RIGHT_FOOT_INDEX: 32,
 };
 
 // Skeleton connections for drawing
@@ -58,6 +50,12 @@ const POSE_CONNECTIONS = [
     [LANDMARKS.LEFT_KNEE, LANDMARKS.LEFT_ANKLE],
     [LANDMARKS.RIGHT_HIP, LANDMARKS.RIGHT_KNEE],
     [LANDMARKS.RIGHT_KNEE, LANDMARKS.RIGHT_ANKLE],
+    [LANDMARKS.LEFT_ANKLE, LANDMARKS.LEFT_HEEL],
+    [LANDMARKS.LEFT_HEEL, LANDMARKS.LEFT_FOOT_INDEX],
+    [LANDMARKS.LEFT_ANKLE, LANDMARKS.LEFT_FOOT_INDEX],
+    [LANDMARKS.RIGHT_ANKLE, LANDMARKS.RIGHT_HEEL],
+    [LANDMARKS.RIGHT_HEEL, LANDMARKS.RIGHT_FOOT_INDEX],
+    [LANDMARKS.RIGHT_ANKLE, LANDMARKS.RIGHT_FOOT_INDEX],
 ];
 
 // ============================================================================
@@ -70,6 +68,10 @@ const getMidpoint = (p1, p2) => ({
     z: ((p1.z || 0) + (p2.z || 0)) / 2,
 });
 
+const MIN_VISIBILITY = 0.5;
+
+const isVisible = (point) => point && (point.visibility == null || point.visibility >= MIN_VISIBILITY);
+
 /**
  * Fix 1: Horizontal Tilt
  * Measures angle from horizontal (0° = perfectly level)
@@ -97,33 +99,60 @@ const verticalOffset = (topPoint, bottomPoint) => {
 };
 
 /**
- * Fix 3: Auto-detect View Type
- * Determines if image is frontal or lateral based on shoulder geometry
+ * Bend at `vertex` away from a straight line through `a` and `c`
+ * (0° = the three points are collinear).
  */
-const detectViewType = (landmarks) => {
-    const leftShoulder = landmarks[LANDMARKS.LEFT_SHOULDER];
-    const rightShoulder = landmarks[LANDMARKS.RIGHT_SHOULDER];
-
-    const shoulderDepthDiff = Math.abs(
-        (leftShoulder.z || 0) - (rightShoulder.z || 0)
-    );
-    const shoulderWidth = Math.abs(leftShoulder.x - rightShoulder.x);
-    const ratio = shoulderDepthDiff / (shoulderWidth + 0.001);
-
-    // Wide shoulders = frontal view (relaxed threshold)
-    // Narrow shoulders = lateral view
-    if (shoulderWidth > 0.05) {
-        return 'frontal';
-    }
-    return 'lateral';
+const lineDeviation = (a, vertex, c) => {
+    const v1 = { x: a.x - vertex.x, y: a.y - vertex.y };
+    const v2 = { x: c.x - vertex.x, y: c.y - vertex.y };
+    const cos = (v1.x * v2.x + v1.y * v2.y) / (Math.hypot(v1.x, v1.y) * Math.hypot(v2.x, v2.y) || 1);
+    return 180 - Math.acos(Math.max(-1, Math.min(1, cos))) * (180 / Math.PI);
 };
 
+/**
+ * Copy landmarks into plain objects so they can be stored alongside a result.
+ */
+const serializeLandmarks = (landmarks) =>
+    landmarks.map(({ x, y, z, visibility }) => ({ x, y, z, visibility }));
+
 const getStatus = (value, thresholds) => {
+    if (thresholds.higherIsBetter) {
+        if (value >= thresholds.good) return 'good';
+        if (value >= thresholds.moderate) return 'moderate';
+        return 'poor';
+    }
     if (value <= thresholds.good) return 'good';
     if (value <= thresholds.moderate) return 'moderate';
     return 'poor';
 };
 
+/**
+ * Overall score and status: per-metric points (good 100, moderate 60,
+ * poor 30) averaged by each metric's weight. Low-confidence metrics are left
+ * out; with nothing left to score the score is null.
+ */
+const scoreMetrics = (metrics) => {
+    let total = 0;
+    let totalWeight = 0;
+    Object.values(metrics).forEach(m => {
+        if (m.confidence === 'low') return;
+        const weight = m.thresholds?.weight ?? 1;
+        total += weight * (m.status === 'good' ? 100 : m.status === 'moderate' ? 60 : 30);
+        totalWeight += weight;
+    });
+    if (totalWeight === 0) return { overallScore: null, overallStatus: 'unknown' };
+    const overallScore = Math.round(total / totalWeight);
+    return {
+        overallScore,
+        overallStatus: overallScore >= 80 ? 'good' : overallScore >= 50 ? 'moderate' : 'poor',
+    };
+};
+
+/**
+ * Metric value with its unit, e.g. "4.2°" or "15%".
+ */
+const formatMetricValue = (metric) => `${metric.value}${metric.unit ?? '°'}`;
+
 const getStatusEmoji = (status) => {
     switch (status) {
         case 'good': return '✅';
@@ -137,7 +166,7 @@ const getStatusEmoji = (status) => {
 // FRONTAL VIEW ANALYSIS (Symmetry Assessment)
 // ============================================================================
 
-const analyzeFrontal = (landmarks) => {
+const analyzeFrontal = (landmarks, thresholds) => {
     const leftEar = landmarks[LANDMARKS.LEFT_EAR];
     const rightEar = landmarks[LANDMARKS.RIGHT_EAR];
     const leftShoulder = landmarks[LANDMARKS.LEFT_SHOULDER];
@@ -165,209 +194,935 @@ const analyzeFrontal = (landmarks) => {
     const metrics = {
         headTilt: {
             value: parseFloat(headTilt.toFixed(1)),
-            status: getStatus(headTilt, FRONTAL_THRESHOLDS.HEAD_TILT),
+            status: getStatus(headTilt, thresholds.HEAD_TILT),
+            thresholds: thresholds.HEAD_TILT,
             label: 'Head Tilt',
-            description: headTilt > FRONTAL_THRESHOLDS.HEAD_TILT.moderate
+            description: headTilt > thresholds.HEAD_TILT.moderate
                 ? 'Significant head tilt detected - may indicate neck tension'
-                : headTilt > FRONTAL_THRESHOLDS.HEAD_TILT.good
+                : headTilt > thresholds.HEAD_TILT.good
                     ? 'Slight head tilt noted'
                     : 'Head is well centered',
-            recommendation: headTilt > FRONTAL_THRESHOLDS.HEAD_TILT.good
+            recommendation: headTilt > thresholds.HEAD_TILT.good
                 ? 'Neck stretches and posture awareness exercises'
                 : 'Maintain current head positioning',
         },
         shoulderLevel: {
             value: parseFloat(shoulderLevel.toFixed(1)),
-            status: getStatus(shoulderLevel, FRONTAL_THRESHOLDS.SHOULDER_LEVEL),
+            status: getStatus(shoulderLevel, thresholds.SHOULDER_LEVEL),
+            thresholds: thresholds.SHOULDER_LEVEL,
             label: 'Shoulder Level',
-            description: shoulderLevel > FRONTAL_THRESHOLDS.SHOULDER_LEVEL.moderate
+            description: shoulderLevel > thresholds.SHOULDER_LEVEL.moderate
                 ? 'Significant shoulder imbalance detected'
-                : shoulderLevel > FRONTAL_THRESHOLDS.SHOULDER_LEVEL.good
+                : shoulderLevel > thresholds.SHOULDER_LEVEL.good
                     ? 'Minor shoulder asymmetry'
                     : 'Shoulders are well balanced',
-            recommendation: shoulderLevel > FRONTAL_THRESHOLDS.SHOULDER_LEVEL.good
+            recommendation: shoulderLevel > thresholds.SHOULDER_LEVEL.good
                 ? 'Shoulder blade squeezes and leveling exercises'
                 : 'Continue regular stretching',
         },
         hipLevel: {
             value: parseFloat(hipLevel.toFixed(1)),
-            status: getStatus(hipLevel, FRONTAL_THRESHOLDS.HIP_LEVEL),
+            status: getStatus(hipLevel, thresholds.HIP_LEVEL),
+            thresholds: thresholds.HIP_LEVEL,
             label: 'Hip Level',
-            description: hipLevel > FRONTAL_THRESHOLDS.HIP_LEVEL.moderate
+            description: hipLevel > thresholds.HIP_LEVEL.moderate
                 ? 'Hip imbalance may indicate pelvic tilt'
-                : hipLevel > FRONTAL_THRESHOLDS.HIP_LEVEL.good
+                : hipLevel > thresholds.HIP_LEVEL.good
                     ? 'Slight hip asymmetry noted'
                     : 'Hips are level and balanced',
-            recommendation: hipLevel > FRONTAL_THRESHOLDS.HIP_LEVEL.good
+            recommendation: hipLevel > thresholds.HIP_LEVEL.good
                 ? 'Hip flexor stretches and glute strengthening'
                 : 'Maintain hip mobility with stretching',
         },
         spineAlignment: {
             value: parseFloat(spineAlignment.toFixed(1)),
-            status: getStatus(spineAlignment, FRONTAL_THRESHOLDS.SPINE_ALIGNMENT),
+            status: getStatus(spineAlignment, thresholds.SPINE_ALIGNMENT),
+            thresholds: thresholds.SPINE_ALIGNMENT,
             label: 'Spine Alignment',
-            description: spineAlignment > FRONTAL_THRESHOLDS.SPINE_ALIGNMENT.moderate
+            description: spineAlignment > thresholds.SPINE_ALIGNMENT.moderate
                 ? 'Lateral spinal deviation requires attention'
-                : spineAlignment > FRONTAL_THRESHOLDS.SPINE_ALIGNMENT.good
+                : spineAlignment > thresholds.SPINE_ALIGNMENT.good
                     ? 'Minor lateral spine shift detected'
                     : 'Spine alignment is optimal',
-            recommendation: spineAlignment > FRONTAL_THRESHOLDS.SPINE_ALIGNMENT.good
+            recommendation: spineAlignment > thresholds.SPINE_ALIGNMENT.good
                 ? 'Core strengthening and lateral stretches'
                 : 'Continue core maintenance exercises',
         },
     };
 
-    const scores = Object.values(metrics).map(m =>
-        m.status === 'good' ? 100 : m.status === 'moderate' ? 60 : 30
-    );
-    const overallScore = Math.round(scores.reduce((a, b) => a + b, 0) / scores.length);
+    if (LOWER_EXTREMITY_POINTS.every(index => isVisible(landmarks[index]))) {
+        Object.assign(metrics, analyzeLowerExtremity(landmarks, thresholds));
+    }
 
     return {
         viewType: 'frontal',
         metrics,
-        overallScore,
-        overallStatus: overallScore >= 80 ? 'good' : overallScore >= 50 ? 'moderate' : 'poor',
+        ...scoreMetrics(metrics),
         timestamp: Date.now(),
     };
 };
 
 // ============================================================================
-// LATERAL VIEW ANALYSIS (Forward Posture Assessment)
+// LOWER EXTREMITY (Frontal View)
 // ============================================================================
 
-const analyzeLateral = (landmarks) => {
-    const leftEar = landmarks[LANDMARKS.LEFT_EAR];
-    const rightEar = landmarks[LANDMARKS.RIGHT_EAR];
-    const leftShoulder = landmarks[LANDMARKS.LEFT_SHOULDER];
-    const rightShoulder = landmarks[LANDMARKS.RIGHT_SHOULDER];
+// Hips, knees and ankles must all be in frame for the leg metrics
+const LOWER_EXTREMITY_POINTS = [
+    LANDMARKS.LEFT_HIP, LANDMARKS.RIGHT_HIP,
+    LANDMARKS.LEFT_KNEE, LANDMARKS.RIGHT_KNEE,
+    LANDMARKS.LEFT_ANKLE, LANDMARKS.RIGHT_ANKLE,
+];
+
+const KNEE_TERMS = {
+    valgus: 'valgus (knock-knee)',
+    varus: 'varus (bow-leg)',
+};
+
+/**
+ * Knee valgus/varus for one leg from the hip–knee–ankle (HKA) line. The
+ * Q-angle estimate is the signed bend (valgus positive) measured from the hip
+ * joint centre; it reads lower than a clinical Q-angle taken from the ASIS.
+ * `medial` is +1 when the body midline is toward image +x from this hip.
+ */
+const analyzeKnee = (side, hip, knee, ankle, medial, thresholds) => {
+    const deviation = lineDeviation(hip, knee, ankle);
+    // Where the hip-ankle line passes at knee height
+    const t = (knee.y - hip.y) / ((ankle.y - hip.y) || 1);
+    const lineX = hip.x + (ankle.x - hip.x) * t;
+    const direction = (knee.x - lineX) * medial > 0 ? 'valgus' : 'varus';
+    const qAngle = direction === 'valgus' ? deviation : -deviation;
+    const sideLabel = side === 'left' ? 'Left' : 'Right';
+
+    return {
+        value: parseFloat(deviation.toFixed(1)),
+        status: getStatus(deviation, thresholds),
+        thresholds,
+        label: `${sideLabel} Knee Alignment`,
+        direction,
+        hkaAngle: parseFloat((180 - deviation).toFixed(1)),
+        qAngle: parseFloat(qAngle.toFixed(1)),
+        description: deviation > thresholds.moderate
+            ? `Marked ${side} knee ${KNEE_TERMS[direction]} (Q-angle est. ${qAngle.toFixed(0)}°)`
+            : deviation > thresholds.good
+                ? `Mild ${side} knee ${KNEE_TERMS[direction]}`
+                : `${sideLabel} knee tracks in line with hip and ankle`,
+        recommendation: deviation > thresholds.good
+            ? direction === 'valgus'
+                ? 'Hip abductor and external rotator strengthening (clamshells, lateral band walks)'
+                : 'Hip adductor strengthening and IT band/lateral hip mobility'
+            : 'Maintain lower-extremity strength and mobility',
+    };
+};
+
+/**
+ * Toe-out/toe-in for one foot from the heel→foot-index direction in the
+ * x–z plane (MediaPipe depth is approximate, so this is an estimate).
+ */
+const analyzeFoot = (side, heel, toe, medial, thresholds) => {
+    const lateral = (toe.x - heel.x) * -medial;
+    const forward = Math.abs((heel.z || 0) - (toe.z || 0));
+    const rotation = Math.atan2(Math.abs(lateral), forward) * (180 / Math.PI);
+    const direction = lateral >= 0 ? 'toe-out' : 'toe-in';
+    const sideLabel = side === 'left' ? 'Left' : 'Right';
+
+    return {
+        value: parseFloat(rotation.toFixed(1)),
+        status: getStatus(rotation, thresholds),
+        thresholds,
+        label: `${sideLabel} Foot Rotation`,
+        direction,
+        description: rotation > thresholds.moderate
+            ? `Pronounced ${side} ${direction}`
+            : rotation > thresholds.good
+                ? `Slight ${side} ${direction}`
+                : `${sideLabel} foot points forward`,
+        recommendation: rotation > thresholds.good
+            ? direction === 'toe-out'
+                ? 'Hip external rotator (piriformis) stretching; assess for foot pronation'
+                : 'Hip external rotator strengthening; assess femoral/tibial torsion'
+            : 'Maintain ankle and foot mobility',
+    };
+};
+
+/**
+ * Knee alignment per side, weight shift, stance width and (when the feet are
+ * visible) foot rotation. Sides are the patient's, so they hold whether the
+ * photo is anterior, posterior or mirrored.
+ */
+const analyzeLowerExtremity = (landmarks, thresholds) => {
     const leftHip = landmarks[LANDMARKS.LEFT_HIP];
     const rightHip = landmarks[LANDMARKS.RIGHT_HIP];
-
-    const midShoulder = getMidpoint(leftShoulder, rightShoulder);
+    const leftAnkle = landmarks[LANDMARKS.LEFT_ANKLE];
+    const rightAnkle = landmarks[LANDMARKS.RIGHT_ANKLE];
     const midHip = getMidpoint(leftHip, rightHip);
-    const midEar = getMidpoint(leftEar, rightEar);
+    const midAnkle = getMidpoint(leftAnkle, rightAnkle);
+    const midShoulder = getMidpoint(landmarks[LANDMARKS.LEFT_SHOULDER], landmarks[LANDMARKS.RIGHT_SHOULDER]);
+    const hipWidth = Math.abs(leftHip.x - rightHip.x) || 0.001;
+    // +1 when the patient's left is toward image +x
+    const leftward = Math.sign(leftHip.x - rightHip.x) || 1;
+    const medialOf = (hip) => Math.sign(midHip.x - hip.x) || 1;
+
+    const metrics = {
+        leftKnee: analyzeKnee('left', leftHip, landmarks[LANDMARKS.LEFT_KNEE], leftAnkle, medialOf(leftHip), thresholds.KNEE_ALIGNMENT),
+        rightKnee: analyzeKnee('right', rightHip, landmarks[LANDMARKS.RIGHT_KNEE], rightAnkle, medialOf(rightHip), thresholds.KNEE_ALIGNMENT),
+    };
+
+    // Trunk centre over the centre of the base of support
+    const trunkX = (midShoulder.x + midHip.x) / 2;
+    const weightShift = (Math.abs(trunkX - midAnkle.x) / hipWidth) * 100;
+    const shiftSide = (trunkX - midAnkle.x) * leftward > 0 ? 'left' : 'right';
+    metrics.weightShift = {
+        value: parseFloat(weightShift.toFixed(1)),
+        unit: '%',
+        status: getStatus(weightShift, thresholds.WEIGHT_SHIFT),
+        thresholds: thresholds.WEIGHT_SHIFT,
+        label: 'Weight Shift',
+        description: weightShift > thresholds.WEIGHT_SHIFT.moderate
+            ? `Weight shifted toward the ${shiftSide} leg`
+            : weightShift > thresholds.WEIGHT_SHIFT.good
+                ? `Slight shift toward the ${shiftSide} leg`
+                : 'Weight is centred between the feet',
+        recommendation: weightShift > thresholds.WEIGHT_SHIFT.good
+            ? 'Single-leg balance work and weight-bearing symmetry drills'
+            : 'Maintain balanced stance',
+    };
+
+    const stanceRatio = Math.abs(leftAnkle.x - rightAnkle.x) / hipWidth;
+    const stanceWidth = Math.abs(stanceRatio - 1) * 100;
+    metrics.stanceWidth = {
+        value: parseFloat(stanceWidth.toFixed(1)),
+        unit: '%',
+        status: getStatus(stanceWidth, thresholds.STANCE_WIDTH),
+        thresholds: thresholds.STANCE_WIDTH,
+        label: 'Stance Width',
+        description: stanceWidth > thresholds.STANCE_WIDTH.good
+            ? `Stance ${stanceWidth.toFixed(0)}% ${stanceRatio < 1 ? 'narrower' : 'wider'} than hip width`
+            : 'Feet are about hip-width apart',
+        recommendation: stanceWidth > thresholds.STANCE_WIDTH.good
+            ? 'Re-check with feet hip-width apart; a habitual wide or narrow base may reflect balance strategy'
+            : 'Maintain current stance',
+    };
+
+    [
+        ['left', 'leftFoot', LANDMARKS.LEFT_HEEL, LANDMARKS.LEFT_FOOT_INDEX, leftHip],
+        ['right', 'rightFoot', LANDMARKS.RIGHT_HEEL, LANDMARKS.RIGHT_FOOT_INDEX, rightHip],
+    ].forEach(([side, key, heelIndex, toeIndex, hip]) => {
+        const heel = landmarks[heelIndex];
+        const toe = landmarks[toeIndex];
+        if (isVisible(heel) && isVisible(toe)) {
+            metrics[key] = analyzeFoot(side, heel, toe, medialOf(hip), thresholds.FOOT_ROTATION);
+        }
+    });
+
+    return metrics;
+};
 
-    // Head forward: how far ear is in front of shoulder (using vertical offset)
-    const headForward = verticalOffset(midEar, midShoulder);
+// ============================================================================
+// LATERAL VIEW ANALYSIS (Forward Posture Assessment)
+// ============================================================================
+
+/**
+ * Near-side landmarks for a side view. Left and right overlap in profile, so
+ * averaging them blurs the measurement; the side nearer the camera (smaller z,
+ * falling back to visibility) is used instead. `anterior` is +1 when the
+ * patient faces image +x.
+ */
+const getLateralPoints = (landmarks) => {
+    const indices = {
+        left: [LANDMARKS.LEFT_EAR, LANDMARKS.LEFT_SHOULDER, LANDMARKS.LEFT_HIP, LANDMARKS.LEFT_KNEE, LANDMARKS.LEFT_ANKLE],
+        right: [LANDMARKS.RIGHT_EAR, LANDMARKS.RIGHT_SHOULDER, LANDMARKS.RIGHT_HIP, LANDMARKS.RIGHT_KNEE, LANDMARKS.RIGHT_ANKLE],
+    };
+    const depth = (side) => indices[side].reduce((sum, index) => sum + (landmarks[index].z || 0), 0);
+    const visibility = (side) => indices[side].reduce((sum, index) => sum + (landmarks[index].visibility ?? 1), 0);
+    const side = depth('left') !== depth('right')
+        ? (depth('left') < depth('right') ? 'left' : 'right')
+        : (visibility('left') >= visibility('right') ? 'left' : 'right');
+
+    const [ear, shoulder, hip, knee, ankle] = indices[side].map(index => landmarks[index]);
+    const anterior = Math.sign(landmarks[LANDMARKS.NOSE].x - ear.x) || 1;
+    return { side, indices: indices[side], ear, shoulder, hip, knee, ankle, anterior };
+};
 
-    // Shoulder round: forward deviation of shoulders relative to hips
-    const shoulderRound = verticalOffset(midShoulder, midHip);
+/**
+ * Signed angle at the lateral malleolus between the plumb line and `point`
+ * (positive = anterior).
+ */
+const plumbAngle = (point, ankle, anterior) =>
+    Math.atan2((point.x - ankle.x) * anterior, Math.abs(ankle.y - point.y) || 0.001) * (180 / Math.PI);
+
+const PLUMB_FINDINGS = {
+    earPlumb: {
+        label: 'Ear to Plumb Line',
+        anterior: ['Forward head carriage - ear well anterior to plumb line', 'Ear slightly anterior to plumb line'],
+        posterior: ['Head held posterior to plumb line', 'Ear slightly posterior to plumb line'],
+        aligned: 'Ear sits on the plumb line',
+        recommendation: { anterior: 'Chin tuck exercises, 10 reps × 3 sets daily', posterior: 'Assess for cervical flexion restriction and compensatory trunk lean' },
+    },
+    shoulderPlumb: {
+        label: 'Shoulder to Plumb Line',
+        anterior: ['Shoulders well anterior to plumb line - rounded/protracted posture', 'Shoulders slightly anterior to plumb line'],
+        posterior: ['Shoulders posterior to plumb line - posterior trunk lean', 'Shoulders slightly posterior to plumb line'],
+        aligned: 'Shoulder sits on the plumb line',
+        recommendation: { anterior: 'Pectoral stretches and mid-back (rhomboid, lower trapezius) strengthening', posterior: 'Core and hip flexor assessment for sway-back compensation' },
+    },
+    hipPlumb: {
+        label: 'Hip to Plumb Line',
+        anterior: ['Pelvis anterior to plumb line - sway-back/anterior pelvic shift', 'Pelvis slightly anterior to plumb line'],
+        posterior: ['Pelvis posterior to plumb line - flat-back tendency', 'Pelvis slightly posterior to plumb line'],
+        aligned: 'Greater trochanter sits on the plumb line',
+        recommendation: { anterior: 'Hip flexor stretches and gluteal/core stabilization', posterior: 'Hamstring mobility and lumbar extension work' },
+    },
+    kneePlumb: {
+        label: 'Knee to Plumb Line',
+        anterior: ['Knee well anterior to plumb line - flexed-knee stance', 'Knee slightly anterior to plumb line'],
+        posterior: ['Knee posterior to plumb line - genu recurvatum (hyperextension)', 'Knee slightly posterior to plumb line'],
+        aligned: 'Knee sits on or just anterior to the plumb line',
+        recommendation: { anterior: 'Hamstring and calf flexibility; check hip flexor tightness', posterior: 'Quadriceps/hamstring co-contraction drills and soft-knee stance cues' },
+    },
+};
+
+const plumbMetric = (key, angle, thresholds) => {
+    const finding = PLUMB_FINDINGS[key];
+    const value = Math.abs(angle);
+    const direction = angle >= 0 ? 'anterior' : 'posterior';
+    return {
+        value: parseFloat(value.toFixed(1)),
+        status: getStatus(value, thresholds),
+        thresholds,
+        label: finding.label,
+        direction,
+        description: value > thresholds.moderate
+            ? finding[direction][0]
+            : value > thresholds.good
+                ? finding[direction][1]
+                : finding.aligned,
+        recommendation: value > thresholds.good
+            ? finding.recommendation[direction]
+            : 'Maintain current alignment',
+    };
+};
 
-    // Pelvic tilt: anterior/posterior deviation (use vertical offset from hip to knee)
-    const leftKnee = landmarks[LANDMARKS.LEFT_KNEE];
-    const rightKnee = landmarks[LANDMARKS.RIGHT_KNEE];
-    const midKnee = getMidpoint(leftKnee, rightKnee);
-    const pelvicTilt = verticalOffset(midHip, midKnee);
+const analyzeLateral = (landmarks, thresholds) => {
+    const { side, ear, shoulder, hip, knee, ankle, anterior } = getLateralPoints(landmarks);
 
-    // Spine curve: overall curvature from shoulder to hip
-    const spineCurve = verticalOffset(midShoulder, midHip);
+    // Craniovertebral angle: tragus (ear) to C7 proxy (shoulder) against horizontal;
+    // 90° means the ear is directly above the shoulder
+    const rise = Math.abs(shoulder.y - ear.y) || 0.001;
+    const run = (ear.x - shoulder.x) * anterior;
+    const cva = Math.atan2(rise, Math.max(run, 0)) * (180 / Math.PI);
+    const cvaThresholds = thresholds.CRANIOVERTEBRAL_ANGLE;
 
     const metrics = {
-        headForward: {
-            value: parseFloat(headForward.toFixed(1)),
-            status: getStatus(headForward, LATERAL_THRESHOLDS.HEAD_FORWARD),
-            label: 'Head Forward',
-            description: headForward > LATERAL_THRESHOLDS.HEAD_FORWARD.moderate
+        craniovertebralAngle: {
+            value: parseFloat(cva.toFixed(1)),
+            status: getStatus(cva, cvaThresholds),
+            thresholds: cvaThresholds,
+            label: 'Craniovertebral Angle',
+            description: cva < cvaThresholds.moderate
                 ? 'Forward head posture detected - may cause neck strain'
-                : headForward > LATERAL_THRESHOLDS.HEAD_FORWARD.good
+                : cva < cvaThresholds.good
                     ? 'Slight forward head position'
                     : 'Excellent head alignment',
-            recommendation: headForward > LATERAL_THRESHOLDS.HEAD_FORWARD.good
-                ? 'Chin tuck exercises, 10 reps × 3 sets daily'
+            recommendation: cva < cvaThresholds.good
+                ? 'Chin tuck exercises and deep neck flexor training'
                 : 'Maintain current positioning',
         },
-        shoulderRound: {
-            value: parseFloat(shoulderRound.toFixed(1)),
-            status: getStatus(shoulderRound, LATERAL_THRESHOLDS.SHOULDER_ROUND),
-            label: 'Shoulder Round',
-            description: shoulderRound > LATERAL_THRESHOLDS.SHOULDER_ROUND.moderate
-                ? 'Rounded shoulders detected - kyphosis indicator'
-                : shoulderRound > LATERAL_THRESHOLDS.SHOULDER_ROUND.good
-                    ? 'Slight shoulder rounding'
-                    : 'Good shoulder posture',
-            recommendation: shoulderRound > LATERAL_THRESHOLDS.SHOULDER_ROUND.good
-                ? 'Chest stretches and upper back strengthening'
-                : 'Continue postural exercises',
-        },
-        pelvicTilt: {
-            value: parseFloat(pelvicTilt.toFixed(1)),
-            status: getStatus(pelvicTilt, LATERAL_THRESHOLDS.PELVIC_TILT),
-            label: 'Pelvic Tilt',
-            description: pelvicTilt > LATERAL_THRESHOLDS.PELVIC_TILT.moderate
-                ? 'Significant pelvic tilt - may cause lower back issues'
-                : pelvicTilt > LATERAL_THRESHOLDS.PELVIC_TILT.good
-                    ? 'Minor pelvic tilt noted'
-                    : 'Pelvis is well aligned',
-            recommendation: pelvicTilt > LATERAL_THRESHOLDS.PELVIC_TILT.good
-                ? 'Hip flexor stretches and core stabilization'
-                : 'Maintain pelvic mobility',
-        },
-        spineCurve: {
-            value: parseFloat(spineCurve.toFixed(1)),
-            status: getStatus(spineCurve, LATERAL_THRESHOLDS.SPINE_CURVE),
-            label: 'Spine Curve',
-            description: spineCurve > LATERAL_THRESHOLDS.SPINE_CURVE.moderate
-                ? 'Excessive spinal curvature detected'
-                : spineCurve > LATERAL_THRESHOLDS.SPINE_CURVE.good
-                    ? 'Minor spinal curve noted'
-                    : 'Healthy spinal curvature',
-            recommendation: spineCurve > LATERAL_THRESHOLDS.SPINE_CURVE.good
-                ? 'Core strengthening - focus on transverse abdominis'
-                : 'Continue core maintenance exercises',
-        },
+        earPlumb: plumbMetric('earPlumb', plumbAngle(ear, ankle, anterior), thresholds.EAR_PLUMB),
+        shoulderPlumb: plumbMetric('shoulderPlumb', plumbAngle(shoulder, ankle, anterior), thresholds.SHOULDER_PLUMB),
+        hipPlumb: plumbMetric('hipPlumb', plumbAngle(hip, ankle, anterior), thresholds.HIP_PLUMB),
+        kneePlumb: plumbMetric('kneePlumb', plumbAngle(knee, ankle, anterior), thresholds.KNEE_PLUMB),
     };
 
-    const scores = Object.values(metrics).map(m =>
-        m.status === 'good' ? 100 : m.status === 'moderate' ? 60 : 30
-    );
-    const overallScore = Math.round(scores.reduce((a, b) => a + b, 0) / scores.length);
-
     return {
         viewType: 'lateral',
+        side,
         metrics,
-        overallScore,
-        overallStatus: overallScore >= 80 ? 'good' : overallScore >= 50 ? 'moderate' : 'poor',
+        ...scoreMetrics(metrics),
         timestamp: Date.now(),
     };
 };
 
+// ============================================================================
+// VIEW DETECTION & ORIENTATION
+// ============================================================================
+
+const VIEWS = {
+    ANTERIOR: 'anterior',
+    POSTERIOR: 'posterior',
+    LATERAL_LEFT: 'lateral-left',
+    LATERAL_RIGHT: 'lateral-right',
+};
+
+const VIEW_TYPES = {
+    [VIEWS.ANTERIOR]: 'frontal',
+    [VIEWS.POSTERIOR]: 'frontal',
+    [VIEWS.LATERAL_LEFT]: 'lateral',
+    [VIEWS.LATERAL_RIGHT]: 'lateral',
+};
+
+const VIEW_LABELS = {
+    [VIEWS.ANTERIOR]: 'Anterior',
+    [VIEWS.POSTERIOR]: 'Posterior',
+    [VIEWS.LATERAL_LEFT]: 'Left Lateral',
+    [VIEWS.LATERAL_RIGHT]: 'Right Lateral',
+};
+
+// Shoulder width over torso height; frontal views run ~0.7-0.9, side views well under 0.4
+const FRONTAL_WIDTH_RATIO = 0.4;
+
+// Left/right landmark pairs (MediaPipe indices); the nose (0) has no pair
+const MIRROR_PAIRS = [
+    [1, 4], [2, 5], [3, 6], [7, 8], [9, 10], [11, 12], [13, 14], [15, 16],
+    [17, 18], [19, 20], [21, 22], [23, 24], [25, 26], [27, 28], [29, 30], [31, 32],
+];
+
+// The same landmark on the other side of the body
+const mirrorIndex = (index) => {
+    const pair = MIRROR_PAIRS.find((p) => p.includes(index));
+    return pair ? pair[0] + pair[1] - index : index;
+};
+
+const swapLeftRight = (landmarks) => {
+    const swapped = [...landmarks];
+    MIRROR_PAIRS.forEach(([left, right]) => {
+        swapped[left] = landmarks[right];
+        swapped[right] = landmarks[left];
+    });
+    return swapped;
+};
+
+/**
+ * Classify the camera view from the landmarks.
+ * - frontal vs lateral: shoulder width relative to torso height
+ * - anterior vs posterior: whether the nose sits in front of the ears (z) and
+ *   how visible the face is
+ * - left vs right lateral: which way the nose points; a patient showing their
+ *   left side faces image -x unless the image is mirrored
+ * @returns {'anterior'|'posterior'|'lateral-left'|'lateral-right'}
+ */
+const detectView = (landmarks, mirrored = false) => {
+    const midShoulder = getMidpoint(landmarks[LANDMARKS.LEFT_SHOULDER], landmarks[LANDMARKS.RIGHT_SHOULDER]);
+    const midHip = getMidpoint(landmarks[LANDMARKS.LEFT_HIP], landmarks[LANDMARKS.RIGHT_HIP]);
+    const midEar = getMidpoint(landmarks[LANDMARKS.LEFT_EAR], landmarks[LANDMARKS.RIGHT_EAR]);
+    const nose = landmarks[LANDMARKS.NOSE];
+
+    const shoulderWidth = Math.abs(landmarks[LANDMARKS.LEFT_SHOULDER].x - landmarks[LANDMARKS.RIGHT_SHOULDER].x);
+    const torsoHeight = Math.abs(midHip.y - midShoulder.y);
+    const frontal = torsoHeight > 0.01 ? shoulderWidth / torsoHeight > FRONTAL_WIDTH_RATIO : shoulderWidth > 0.05;
+
+    if (frontal) {
+        const noseForward = (midEar.z || 0) - (nose.z || 0) > 0 ? 1 : -1;
+        const faceVisibility = [LANDMARKS.NOSE, LANDMARKS.LEFT_EYE, LANDMARKS.RIGHT_EYE]
+            .reduce((sum, index) => sum + (landmarks[index].visibility ?? 1), 0) / 3;
+        const faceVisible = faceVisibility >= MIN_VISIBILITY ? 1 : -1;
+        // Ties go to anterior, the more common photo
+        return noseForward + faceVisible >= 0 ? VIEWS.ANTERIOR : VIEWS.POSTERIOR;
+    }
+
+    const facesPlusX = nose.x > midEar.x;
+    return facesPlusX === mirrored ? VIEWS.LATERAL_LEFT : VIEWS.LATERAL_RIGHT;
+};
+
+/**
+ * MediaPipe often swaps left and right when the patient faces away. Check the
+ * labels against where the patient's left must be for this view and swap the
+ * pairs if they disagree, so left/right findings are the patient's own.
+ * @returns {{ landmarks: Array, swapped: boolean }}
+ */
+const orientToView = (landmarks, view, mirrored = false) => {
+    let labelsAgree;
+    if (VIEW_TYPES[view] === 'frontal') {
+        // Unmirrored, the patient's left is toward image +x from the front, -x from behind
+        const expected = (view === VIEWS.ANTERIOR ? 1 : -1) * (mirrored ? -1 : 1);
+        const actual = Math.sign(
+            (landmarks[LANDMARKS.LEFT_SHOULDER].x - landmarks[LANDMARKS.RIGHT_SHOULDER].x) +
+            (landmarks[LANDMARKS.LEFT_HIP].x - landmarks[LANDMARKS.RIGHT_HIP].x)
+        );
+        labelsAgree = actual === 0 || actual === expected;
+    } else {
+        labelsAgree = getLateralPoints(landmarks).side === (view === VIEWS.LATERAL_LEFT ? 'left' : 'right');
+    }
+    return labelsAgree ? { landmarks, swapped: false } : { landmarks: swapLeftRight(landmarks), swapped: true };
+};
+
+/**
+ * The landmarks as the analysis saw them: raw landmarks with left/right
+ * swapped back if orientation swapped them. Use this before drawing or
+ * measuring a stored capture against its analysis.
+ */
+const orientLandmarks = (landmarks, analysis) =>
+    analysis?.landmarksSwapped ? swapLeftRight(landmarks) : landmarks;
+
+// ============================================================================
+// PHOTO QUALITY
+// ============================================================================
+
+const CONFIDENCE = {
+    HIGH: 'high',
+    MEDIUM: 'medium',
+    LOW: 'low',
+};
+
+const HIGH_VISIBILITY = 0.8;
+// Landmarks this close to the image edge are treated as cut off
+const FRAME_MARGIN = 0.01;
+// Camera roll (degrees) that caps tilt-sensitive metrics at medium / low confidence
+const TILT_CAUTION = 3;
+const TILT_LIMIT = 6;
+
+// Metrics that read a tilted camera as a tilted body
+const TILT_SENSITIVE = new Set([
+    'headTilt', 'shoulderLevel', 'hipLevel', 'spineAlignment', 'weightShift',
+    'craniovertebralAngle', 'earPlumb', 'shoulderPlumb', 'hipPlumb', 'kneePlumb',
+]);
+
+const BODY_REGIONS = [
+    { id: 'head', label: 'head', indices: [LANDMARKS.NOSE, LANDMARKS.LEFT_EAR, LANDMARKS.RIGHT_EAR] },
+    { id: 'shoulders', label: 'shoulders', indices: [LANDMARKS.LEFT_SHOULDER, LANDMARKS.RIGHT_SHOULDER] },
+    { id: 'hips', label: 'hips', indices: [LANDMARKS.LEFT_HIP, LANDMARKS.RIGHT_HIP] },
+    { id: 'knees', label: 'knees', indices: [LANDMARKS.LEFT_KNEE, LANDMARKS.RIGHT_KNEE] },
+    { id: 'ankles', label: 'ankles', indices: [LANDMARKS.LEFT_ANKLE, LANDMARKS.RIGHT_ANKLE] },
+    { id: 'feet', label: 'feet', indices: [LANDMARKS.LEFT_HEEL, LANDMARKS.RIGHT_HEEL, LANDMARKS.LEFT_FOOT_INDEX, LANDMARKS.RIGHT_FOOT_INDEX] },
+];
+
+const LANDMARK_NAMES = Object.fromEntries(
+    Object.entries(LANDMARKS).map(([name, index]) => [index, name.toLowerCase().replace(/_/g, ' ')])
+);
+
+const inFrame = (point) =>
+    point.x >= FRAME_MARGIN && point.x <= 1 - FRAME_MARGIN && point.y >= FRAME_MARGIN && point.y <= 1 - FRAME_MARGIN;
+
+// Visibility, counting a landmark outside the frame as unseen
+const reliability = (point) => (point && inFrame(point) ? point.visibility ?? 1 : 0);
+
+/**
+ * Landmarks each metric is computed from. Lateral metrics use the near side.
+ */
+const metricLandmarks = (key, landmarks, viewType) => {
+    if (viewType === 'lateral') {
+        const [ear, shoulder, hip, knee, ankle] = getLateralPoints(landmarks).indices;
+        return {
+            craniovertebralAngle: [LANDMARKS.NOSE, ear, shoulder],
+            earPlumb: [ear, ankle],
+            shoulderPlumb: [shoulder, ankle],
+            hipPlumb: [hip, ankle],
+            kneePlumb: [knee, ankle],
+        }[key] || [];
+    }
+    const L = LANDMARKS;
+    return {
+        headTilt: [L.LEFT_EAR, L.RIGHT_EAR],
+        shoulderLevel: [L.LEFT_SHOULDER, L.RIGHT_SHOULDER],
+        hipLevel: [L.LEFT_HIP, L.RIGHT_HIP],
+        spineAlignment: [L.LEFT_SHOULDER, L.RIGHT_SHOULDER, L.LEFT_HIP, L.RIGHT_HIP],
+        leftKnee: [L.LEFT_HIP, L.LEFT_KNEE, L.LEFT_ANKLE],
+        rightKnee: [L.RIGHT_HIP, L.RIGHT_KNEE, L.RIGHT_ANKLE],
+        weightShift: [L.LEFT_SHOULDER, L.RIGHT_SHOULDER, L.LEFT_HIP, L.RIGHT_HIP, L.LEFT_ANKLE, L.RIGHT_ANKLE],
+        stanceWidth: [L.LEFT_HIP, L.RIGHT_HIP, L.LEFT_ANKLE, L.RIGHT_ANKLE],
+        leftFoot: [L.LEFT_HEEL, L.LEFT_FOOT_INDEX],
+        rightFoot: [L.RIGHT_HEEL, L.RIGHT_FOOT_INDEX],
+    }[key] || [];
+};
+
+const metricConfidence = (key, landmarks, viewType, tilt) => {
+    const indices = metricLandmarks(key, landmarks, viewType);
+    const weakest = indices.length ? Math.min(...indices.map(index => reliability(landmarks[index]))) : 0;
+    let confidence = weakest >= HIGH_VISIBILITY ? CONFIDENCE.HIGH : weakest >= MIN_VISIBILITY ? CONFIDENCE.MEDIUM : CONFIDENCE.LOW;
+
+    const roll = Math.abs(tilt?.degrees ?? 0);
+    if (TILT_SENSITIVE.has(key) && roll > TILT_LIMIT) confidence = CONFIDENCE.LOW;
+    else if (TILT_SENSITIVE.has(key) && roll > TILT_CAUTION && confidence === CONFIDENCE.HIGH) confidence = CONFIDENCE.MEDIUM;
+    return confidence;
+};
+
+/**
+ * Box around the visible body (normalized), used to keep the body out of the
+ * background tilt estimate.
+ */
+const bodyBox = (landmarks, padding = 0.05) => {
+    const visible = landmarks.filter(isVisible);
+    if (!visible.length) return null;
+    const xs = visible.map(p => p.x);
+    const ys = visible.map(p => p.y);
+    const x = Math.max(0, Math.min(...xs) - padding);
+    const y = Math.max(0, Math.min(...ys) - padding);
+    return { x, y, width: Math.min(1, Math.max(...xs) + padding) - x, height: Math.min(1, Math.max(...ys) + padding) - y };
+};
+
+/**
+ * Check the photo before trusting its metrics: per-landmark visibility,
+ * whether the full body is in frame and camera tilt, with retake guidance for
+ * each problem found.
+ * @param {Array} landmarks - oriented landmarks
+ * @param {'frontal'|'lateral'} viewType
+ * @param {{ degrees: number, source: string }|null} tilt
+ */
+const assessQuality = (landmarks, viewType, tilt) => {
+    const visibility = {};
+    Object.values(LANDMARKS).forEach(index => {
+        visibility[LANDMARK_NAMES[index]] = parseFloat(reliability(landmarks[index]).toFixed(2));
+    });
+
+    const issues = [];
+    const cutOff = [];
+    const obscured = [];
+    // In a side view the far limbs are hidden behind the near ones, so only the near side counts
+    const farPrefix = viewType === 'lateral' ? (getLateralPoints(landmarks).side === 'left' ? 'RIGHT_' : 'LEFT_') : null;
+    const farSide = new Set(
+        Object.entries(LANDMARKS).filter(([name]) => farPrefix && name.startsWith(farPrefix)).map(([, index]) => index)
+    );
+
+    BODY_REGIONS.forEach(region => {
+        const points = region.indices.filter(index => !farSide.has(index)).map(index => landmarks[index]);
+        if (points.some(p => !inFrame(p))) cutOff.push(region.label);
+        else if (points.some(p => (p.visibility ?? 1) < MIN_VISIBILITY)) obscured.push(region.label);
+    });
+
+    if (cutOff.length) {
+        issues.push({
+            code: 'cropped',
+            message: `The ${cutOff.join(', ')} ${cutOff.length === 1 ? 'is' : 'are'} out of frame. Step back or lower the camera so the whole body from head to feet is visible.`,
+        });
+    }
+    if (obscured.length) {
+        issues.push({
+            code: 'obscured',
+            message: `The ${obscured.join(', ')} ${obscured.length === 1 ? 'is' : 'are'} hard to see. Use fitted clothing, clear the area around the patient and improve the lighting.`,
+        });
+    }
+    if (tilt && Math.abs(tilt.degrees) > TILT_CAUTION) {
+        issues.push({
+            code: 'tilt',
+            message: `The camera is tilted about ${Math.abs(tilt.degrees).toFixed(0)}° (${tilt.source === 'device' ? 'device sensor' : 'background verticals'}). Level the camera, ideally on a tripod, and retake.`,
+        });
+    }
+
+    const level = cutOff.length || (tilt && Math.abs(tilt.degrees) > TILT_LIMIT)
+        ? 'poor'
+        : issues.length ? 'fair' : 'good';
+
+    return { level, visibility, fullBody: cutOff.length === 0, cutOff, tilt: tilt || null, issues };
+};
+
 // ============================================================================
 // MAIN ANALYSIS FUNCTION
 // ============================================================================
 
-const analyzePosture = (landmarks) => {
+/**
+ * Cutoffs and weights for one view: the profile's values over the defaults,
+ * so metrics added after a profile was saved still get sensible values.
+ */
+const resolveThresholds = (defaults, overrides = {}) =>
+    Object.fromEntries(
+        Object.entries(defaults).map(([key, value]) => [key, { weight: 1, ...value, ...overrides[key] }])
+    );
+
+/**
+ * Analyze a set of pose landmarks. Pass `viewOverride` (one of VIEWS) when the
+ * view is already known, otherwise it is detected from the landmarks.
+ * `profile` ({ id, name, frontal, lateral }) overrides the default cutoffs and
+ * weights; each metric keeps the thresholds it was scored with. Set
+ * `options.mirrored` for selfie-style images flipped left to right and
+ * `options.tilt` ({ degrees, source }) when camera roll is known.
+ *
+ * Each metric gets a `confidence`; low-confidence metrics are kept for
+ * reference but left out of the score. When too little is reliable the
+ * analysis is `refused` (score null) and `quality.issues` says how to retake.
+ */
+const analyzePosture = (landmarks, viewOverride, profile, { mirrored = false, tilt = null } = {}) => {
     if (!landmarks || landmarks.length < 33) return null;
 
-    const viewType = detectViewType(landmarks);
+    const detectedView = detectView(landmarks, mirrored);
+    const view = viewOverride || detectedView;
+    const oriented = orientToView(landmarks, view, mirrored);
+
+    const analysis = VIEW_TYPES[view] === 'frontal'
+        ? analyzeFrontal(oriented.landmarks, resolveThresholds(FRONTAL_THRESHOLDS, profile?.frontal))
+        : analyzeLateral(oriented.landmarks, resolveThresholds(LATERAL_THRESHOLDS, profile?.lateral));
+
+    const metrics = Object.fromEntries(Object.entries(analysis.metrics).map(([key, metric]) => [
+        key,
+        { ...metric, confidence: metricConfidence(key, oriented.landmarks, analysis.viewType, tilt) },
+    ]));
+    const quality = assessQuality(oriented.landmarks, analysis.viewType, tilt);
+    const scored = scoreMetrics(metrics);
+    const refused = scored.overallScore === null;
+    if (refused) {
+        quality.level = 'poor';
+        quality.issues.push({
+            code: 'refused',
+            message: 'Too few landmarks are reliable to score this photo. Retake it following the guidance above.',
+        });
+    }
+
+    return {
+        ...analysis,
+        metrics,
+        ...scored,
+        refused,
+        quality,
+        view,
+        viewSource: viewOverride ? 'manual' : 'auto',
+        detectedView,
+        mirrored,
+        landmarksSwapped: oriented.swapped,
+        profile: profile ? { id: profile.id, name: profile.name } : null,
+    };
+};
+
+// ============================================================================
+// CALIBRATED DISTANCES (cm)
+// ============================================================================
+
+const CALIBRATION_METHODS = {
+    NONE: 'none',
+    HEIGHT: 'height',
+    REFERENCE: 'reference',
+};
+
+// Standing eye and ankle heights as fractions of stature (adult anthropometric averages)
+const EYE_HEIGHT_RATIO = 0.936;
+const ANKLE_HEIGHT_RATIO = 0.039;
+
+const toPixels = (point, size) => ({ x: point.x * size.width, y: point.y * size.height });
+
+const pixelDistance = (a, b) => Math.hypot(a.x - b.x, a.y - b.y);
+
+/**
+ * Work out centimetres per image pixel.
+ * - height: patient height in cm, using eye level to heels (or ankles)
+ * - reference: two points (image pixels) on an object of known length in
+ *   the patient's plane
+ * @param {{ method: string, heightCm?: number, referenceCm?: number, referencePoints?: Array<{x: number, y: number}> }} calibration
+ * @param {Array} landmarks
+ * @param {{ width: number, height: number }} size - image size in pixels
+ * @returns {{ method: string, cmPerPixel: number, source: string }|null} null when calibration isn't possible
+ */
+const resolveCalibration = (calibration, landmarks, size) => {
+    if (!calibration || !landmarks || !size?.width) return null;
+
+    if (calibration.method === CALIBRATION_METHODS.HEIGHT) {
+        const heightCm = Number(calibration.heightCm);
+        if (!(heightCm > 0)) return null;
+
+        const eyes = getMidpoint(landmarks[LANDMARKS.LEFT_EYE], landmarks[LANDMARKS.RIGHT_EYE]);
+        const useHeels = isVisible(landmarks[LANDMARKS.LEFT_HEEL]) || isVisible(landmarks[LANDMARKS.RIGHT_HEEL]);
+        const [left, right, ratio] = useHeels
+            ? [LANDMARKS.LEFT_HEEL, LANDMARKS.RIGHT_HEEL, EYE_HEIGHT_RATIO]
+            : [LANDMARKS.LEFT_ANKLE, LANDMARKS.RIGHT_ANKLE, EYE_HEIGHT_RATIO - ANKLE_HEIGHT_RATIO];
+        if (!isVisible(landmarks[left]) && !isVisible(landmarks[right])) return null;
+
+        const feetY = Math.max(landmarks[left].y, landmarks[right].y);
+        const spanPixels = (feetY - eyes.y) * size.height;
+        if (spanPixels <= 0) return null;
+
+        return {
+            method: CALIBRATION_METHODS.HEIGHT,
+            cmPerPixel: (heightCm * ratio) / spanPixels,
+            source: `patient height ${heightCm} cm`,
+        };
+    }
+
+    if (calibration.method === CALIBRATION_METHODS.REFERENCE) {
+        const referenceCm = Number(calibration.referenceCm);
+        const [a, b] = calibration.referencePoints || [];
+        if (!(referenceCm > 0) || !a || !b) return null;
+
+        const spanPixels = pixelDistance(a, b);
+        if (spanPixels < 5) return null;
+
+        return {
+            method: CALIBRATION_METHODS.REFERENCE,
+            cmPerPixel: referenceCm / spanPixels,
+            source: `${referenceCm} cm reference in frame`,
+        };
+    }
 
-    if (viewType === 'frontal') {
-        return analyzeFrontal(landmarks);
+    return null;
+};
+
+const sideName = (side) => (side === 'left' ? 'Left' : 'Right');
+
+/**
+ * Linear measurements in cm, keyed like the angle metrics they accompany.
+ * Sides are the patient's, so they hold for anterior and posterior photos.
+ */
+const measureDistances = (analysis, landmarks, scale, size) => {
+    const point = (index) => toPixels(landmarks[index], size);
+    const cm = (pixels) => parseFloat((Math.abs(pixels) * scale.cmPerPixel).toFixed(1));
+
+    const leftShoulder = point(LANDMARKS.LEFT_SHOULDER);
+    const rightShoulder = point(LANDMARKS.RIGHT_SHOULDER);
+    const leftHip = point(LANDMARKS.LEFT_HIP);
+    const rightHip = point(LANDMARKS.RIGHT_HIP);
+    const midShoulder = getMidpoint(leftShoulder, rightShoulder);
+    const midHip = getMidpoint(leftHip, rightHip);
+    const midEar = getMidpoint(point(LANDMARKS.LEFT_EAR), point(LANDMARKS.RIGHT_EAR));
+    const measurements = {};
+
+    if (analysis.viewType === 'frontal') {
+        // +1 when the patient's left is toward image +x
+        const leftward = Math.sign(leftShoulder.x - rightShoulder.x) || 1;
+        const towards = (dx) => (dx * leftward > 0 ? 'left' : 'right');
+        // Smaller y is higher in the image
+        const higherSide = (left, right) => (left.y < right.y ? 'left' : 'right');
+
+        const shoulderDiff = cm(leftShoulder.y - rightShoulder.y);
+        measurements.shoulderLevel = {
+            label: 'Shoulder Height Difference',
+            value: shoulderDiff,
+            text: `${sideName(higherSide(leftShoulder, rightShoulder))} shoulder ${shoulderDiff} cm high`,
+        };
+
+        const hipDiff = cm(leftHip.y - rightHip.y);
+        measurements.hipLevel = {
+            label: 'Hip Height Difference',
+            value: hipDiff,
+            text: `${sideName(higherSide(leftHip, rightHip))} iliac crest ${hipDiff} cm high`,
+        };
+
+        const trunkShift = cm(midShoulder.x - midHip.x);
+        measurements.spineAlignment = {
+            label: 'Lateral Trunk Shift',
+            value: trunkShift,
+            text: `Thorax shifted ${trunkShift} cm ${towards(midShoulder.x - midHip.x)} of pelvis`,
+        };
+
+        const headShift = cm(midEar.x - midShoulder.x);
+        measurements.headTilt = {
+            label: 'Lateral Head Shift',
+            value: headShift,
+            text: `Head shifted ${headShift} cm ${towards(midEar.x - midShoulder.x)} of midline`,
+        };
+
+        if (analysis.metrics.stanceWidth) {
+            const leftAnkle = point(LANDMARKS.LEFT_ANKLE);
+            const rightAnkle = point(LANDMARKS.RIGHT_ANKLE);
+            const midAnkle = getMidpoint(leftAnkle, rightAnkle);
+            const trunkX = (midShoulder.x + midHip.x) / 2;
+
+            const shift = cm(trunkX - midAnkle.x);
+            measurements.weightShift = {
+                label: 'Weight Shift',
+                value: shift,
+                text: `Trunk centred ${shift} cm ${towards(trunkX - midAnkle.x)} of the base of support`,
+            };
+
+            const stance = cm(leftAnkle.x - rightAnkle.x);
+            measurements.stanceWidth = {
+                label: 'Stance Width',
+                value: stance,
+                text: `Ankles ${stance} cm apart (hips ${cm(leftHip.x - rightHip.x)} cm)`,
+            };
+        }
     } else {
-        return analyzeLateral(landmarks);
+        const near = getLateralPoints(landmarks);
+        const [ear, shoulder, hip, knee, ankle] = [near.ear, near.shoulder, near.hip, near.knee, near.ankle].map(p => toPixels(p, size));
+        const relation = (dx) => (dx * near.anterior >= 0 ? 'anterior' : 'posterior');
+
+        const headTranslation = cm(ear.x - shoulder.x);
+        measurements.craniovertebralAngle = {
+            label: 'Anterior Head Translation',
+            value: headTranslation,
+            text: `Head (ear) ${headTranslation} cm ${relation(ear.x - shoulder.x)} to shoulder`,
+        };
+
+        [
+            ['earPlumb', 'Ear', ear],
+            ['shoulderPlumb', 'Shoulder', shoulder],
+            ['hipPlumb', 'Greater trochanter', hip],
+            ['kneePlumb', 'Knee', knee],
+        ].forEach(([key, name, p]) => {
+            const offset = cm(p.x - ankle.x);
+            measurements[key] = {
+                label: `${name} Plumb Offset`,
+                value: offset,
+                text: `${name} ${offset} cm ${relation(p.x - ankle.x)} to the plumb line`,
+            };
+        });
     }
+
+    return measurements;
+};
+
+/**
+ * Add cm measurements to an analysis when calibration is possible.
+ * Returns the analysis unchanged (without `distances`) otherwise.
+ */
+const applyCalibration = (analysis, landmarks, calibration, size) => {
+    if (!analysis) return analysis;
+    const { distances, ...uncalibrated } = analysis;
+    const scale = resolveCalibration(calibration, landmarks, size);
+    if (!scale) return uncalibrated;
+    return {
+        ...uncalibrated,
+        distances: { ...scale, measurements: measureDistances(analysis, orientLandmarks(landmarks, analysis), scale, size) },
+    };
+};
+
+/**
+ * Draw the marked reference object ends (image pixels) on the overlay.
+ */
+const drawReferenceMarks = (ctx, calibration) => {
+    if (calibration?.method !== CALIBRATION_METHODS.REFERENCE) return;
+    const points = calibration.referencePoints || [];
+    if (!points.length) return;
+
+    ctx.save();
+    ctx.strokeStyle = '#E879F9';
+    ctx.fillStyle = '#E879F9';
+    ctx.lineWidth = 2;
+    if (points.length === 2) {
+        ctx.beginPath();
+        ctx.moveTo(points[0].x, points[0].y);
+        ctx.lineTo(points[1].x, points[1].y);
+        ctx.stroke();
+    }
+    points.forEach(({ x, y }) => {
+        ctx.beginPath();
+        ctx.arc(x, y, 5, 0, 2 * Math.PI);
+        ctx.fill();
+    });
+    ctx.restore();
 };
 
 // ============================================================================
 // SOAP NOTE GENERATOR
 // ============================================================================
 
+const formatDistances = (distances) =>
+    distances
+        ? `\n**Linear Measurements (calibrated from ${distances.source}):**\n${Object.values(distances.measurements).map(d => `- ${d.text}`).join('\n')}\n`
+        : '';
+
+// Status with a confidence note for metrics that aren't fully reliable
+const describeStatus = (m) =>
+    m.confidence && m.confidence !== 'high' ? `${m.status}, ${m.confidence} confidence` : m.status;
+
+const formatQuality = (quality) =>
+    quality ? `**Photo Quality:** ${quality.level}${quality.issues.length ? ` - ${quality.issues.map(issue => issue.code).join(', ')}` : ''}\n` : '';
+
 const generateOfflineSOAPNote = (analysis) => {
-    if (!analysis) return null;
+    if (!analysis || analysis.refused) return null;
 
-    const { metrics, overallScore, viewType } = analysis;
+    const { overallScore, viewType } = analysis;
+    // Low-confidence metrics are reported but don't drive findings or the plan
+    const metrics = Object.fromEntries(Object.entries(analysis.metrics).filter(([, m]) => m.confidence !== 'low'));
+    const unscored = Object.values(analysis.metrics).filter(m => m.confidence === 'low').map(m => m.label);
     const date = new Date().toLocaleDateString('en-US', {
         year: 'numeric',
         month: 'long',
         day: 'numeric',
     });
 
+    const viewName = VIEW_LABELS[analysis.view] ? ` (${VIEW_LABELS[analysis.view]})` : '';
     const viewDescription = viewType === 'frontal'
-        ? 'Frontal View - Symmetry Assessment'
-        : 'Lateral View - Forward Posture Assessment';
+        ? `Frontal View${viewName} - Symmetry Assessment`
+        : `Lateral View${viewName} - Forward Posture Assessment`;
 
     const findings = Object.values(metrics)
         .filter(m => m.status !== 'good')
-        .map(m => `- ${m.label}: ${m.description} (${m.value}°)`);
+        .map(m => `- ${m.label}: ${m.description} (${formatMetricValue(m)})`);
 
     const goodFindings = Object.values(metrics)
         .filter(m => m.status === 'good')
@@ -382,11 +1137,11 @@ Patient presents for posture assessment.
 ### OBJECTIVE
 **POSTURE ANALYSIS (AI-Assisted - Offline MediaPipe)**
 **View Type:** ${viewDescription}
-**Overall Posture Score:** ${overallScore}/100
-
+**Overall Posture Score:** ${overallScore}/100${analysis.profile ? ` (${analysis.profile.name} norms)` : ''}
+${formatQuality(analysis.quality)}${analysis.adjustedLandmarks?.length ? `**Landmarks Placed Manually:** ${analysis.adjustedLandmarks.join(', ')}\n` : ''}
 **Measurements:**
-${Object.values(metrics).map(m => `- ${m.label}: ${m.value}° (${m.status})`).join('\n')}
-
+${Object.values(metrics).map(m => `- ${m.label}: ${formatMetricValue(m)} (${describeStatus(m)})`).join('\n')}
+${unscored.length > 0 ? `\n**Not Scored (low confidence):** ${unscored.join(', ')}\n` : ''}${formatDistances(analysis.distances)}
 ${findings.length > 0 ? `**Areas of Concern:**\n${findings.join('\n')}` : ''}
 ${goodFindings.length > 0 ? `\n**Within Normal Limits:** ${goodFindings.join(', ')}` : ''}
 
@@ -403,12 +1158,135 @@ ${overallScore < 80 ? `${Object.values(metrics).length + 2}. Follow-up posture a
 `;
 };
 
+/**
+ * Combined SOAP note for a multi-view exam.
+ * @param {Array<{ label: string, analysis: object }>} views - analyzed views in exam order
+ */
+const generateExamSOAPNote = (views) => {
+    const analyzed = views.filter(v => v.analysis && !v.analysis.refused);
+    if (analyzed.length === 0) return null;
+
+    const date = new Date().toLocaleDateString('en-US', {
+        year: 'numeric',
+        month: 'long',
+        day: 'numeric',
+    });
+
+    const overallScore = Math.round(
+        analyzed.reduce((sum, v) => sum + v.analysis.overallScore, 0) / analyzed.length
+    );
+
+    const objective = analyzed.map(({ label, analysis }) => {
+        const concerns = Object.values(analysis.metrics).filter(m => m.status !== 'good' && m.confidence !== 'low');
+        return `**${label}** (score ${analysis.overallScore}/100)
+${Object.values(analysis.metrics).map(m => `- ${m.label}: ${formatMetricValue(m)} (${describeStatus(m)})`).join('\n')}${analysis.distances ? `\n${Object.values(analysis.distances.measurements).map(d => `- ${d.text}`).join('\n')}` : ''}${concerns.length > 0 ? `\n- Areas of concern: ${concerns.map(m => m.label).join(', ')}` : ''}`;
+    }).join('\n\n');
+
+    // The same recommendation can come from several views
+    const recommendations = [...new Set(
+        analyzed.flatMap(({ analysis }) =>
+            Object.values(analysis.metrics).filter(m => m.status !== 'good' && m.confidence !== 'low').map(m => m.recommendation)
+        )
+    )];
+
+    return `## SOAP Note (Multi-View Posture Exam)
+**Date:** ${date}
+
+### SUBJECTIVE
+Patient presents for posture assessment.
+
+### OBJECTIVE
+**POSTURE EXAM (AI-Assisted - Offline MediaPipe)**
+**Views:** ${analyzed.map(v => v.label).join(', ')}
+**Combined Posture Score:** ${overallScore}/100
+
+${objective}
+
+### ASSESSMENT
+Multi-view posture exam reveals ${overallScore >= 80 ? 'generally good alignment with minor areas for improvement' :
+            overallScore >= 50 ? 'moderate postural deviations requiring attention' :
+                'significant postural imbalances requiring intervention'
+        }.
+
+### PLAN
+${recommendations.length > 0 ? recommendations.map((r, i) => `${i + 1}. ${r}`).join('\n') : '1. Maintain current posture and activity program'}
+${overallScore < 80 ? `${recommendations.length + 1}. Follow-up posture exam in ${overallScore >= 50 ? '4-6 weeks' : '2-4 weeks'}` : ''}
+`;
+};
+
 // ============================================================================
 // SKELETON DRAWING
 // ============================================================================
 
-const drawSkeleton = (ctx, landmarks, analysis, width, height) => {
-    if (!landmarks || landmarks.length < 33) return;
+const statusColor = (status) => status === 'good' ? '#10B981' : status === 'moderate' ? '#F59E0B' : '#EF4444';
+
+/**
+ * Plumb line through the lateral malleolus with each landmark's horizontal
+ * offset, color-coded by its metric, plus the craniovertebral angle line.
+ */
+const drawPlumbLine = (ctx, landmarks, analysis, width, height) => {
+    const { ear, shoulder, hip, knee, ankle } = getLateralPoints(landmarks);
+    const plumbX = ankle.x * width;
+
+    ctx.beginPath();
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.5)';
+    ctx.lineWidth = 2;
+    ctx.setLineDash([6, 4]);
+    ctx.moveTo(plumbX, 0);
+    ctx.lineTo(plumbX, ankle.y * height);
+    ctx.stroke();
+    ctx.setLineDash([]);
+
+    [
+        [ear, analysis.metrics.earPlumb],
+        [shoulder, analysis.metrics.shoulderPlumb],
+        [hip, analysis.metrics.hipPlumb],
+        [knee, analysis.metrics.kneePlumb],
+    ].forEach(([point, metric]) => {
+        if (!metric) return;
+        ctx.beginPath();
+        ctx.strokeStyle = statusColor(metric.status);
+        ctx.lineWidth = 3;
+        ctx.moveTo(plumbX, point.y * height);
+        ctx.lineTo(point.x * width, point.y * height);
+        ctx.stroke();
+    });
+
+    const cva = analysis.metrics.craniovertebralAngle;
+    if (cva) {
+        ctx.beginPath();
+        ctx.strokeStyle = statusColor(cva.status);
+        ctx.lineWidth = 4;
+        ctx.moveTo(shoulder.x * width, shoulder.y * height);
+        ctx.lineTo(ear.x * width, ear.y * height);
+        ctx.stroke();
+    }
+};
+
+// Landmarks drawn as points (and so draggable): visible ones, plus named
+// landmarks in frame that the metrics could not rely on
+const isDrawnLandmark = (point, index, analysis) =>
+    point.visibility > 0.5 || Boolean(analysis && LANDMARK_NAMES[index] && inFrame(point));
+
+/**
+ * Draw the pose skeleton and alignment lines. `style` overrides colours and
+ * opacity, e.g. to ghost an earlier capture underneath a newer one;
+ * `style.adjusted` lists raw landmark indices moved by hand, which get a ring.
+ */
+const drawSkeleton = (ctx, rawLandmarks, analysis, width, height, style = {}) => {
+    if (!rawLandmarks || rawLandmarks.length < 33) return;
+    const landmarks = orientLandmarks(rawLandmarks, analysis);
+
+    const {
+        lineColor = 'rgba(45, 212, 191, 0.8)', // Teal
+        pointColor = '#2DD4BF',
+        noseColor = '#F97316',
+        alpha = 1,
+        adjusted = [],
+    } = style;
+
+    ctx.save();
+    ctx.globalAlpha = alpha;
 
     // Draw connections
     ctx.lineWidth = 3;
@@ -419,7 +1297,7 @@ const drawSkeleton = (ctx, landmarks, analysis, width, height) => {
         const p2 = landmarks[end];
         if (p1 && p2 && p1.visibility > 0.5 && p2.visibility > 0.5) {
             ctx.beginPath();
-            ctx.strokeStyle = 'rgba(45, 212, 191, 0.8)'; // Teal
+            ctx.strokeStyle = lineColor;
             ctx.moveTo(p1.x * width, p1.y * height);
             ctx.lineTo(p2.x * width, p2.y * height);
             ctx.stroke();
@@ -430,17 +1308,37 @@ const drawSkeleton = (ctx, landmarks, analysis, width, height) => {
     landmarks.forEach((point, index) => {
         if (point.visibility > 0.5) {
             ctx.beginPath();
-            ctx.fillStyle = index === LANDMARKS.NOSE ? '#F97316' : '#2DD4BF';
+            ctx.fillStyle = index === LANDMARKS.NOSE ? noseColor : pointColor;
             ctx.arc(point.x * width, point.y * height, 5, 0, 2 * Math.PI);
             ctx.fill();
             ctx.strokeStyle = 'white';
             ctx.lineWidth = 2;
             ctx.stroke();
+        } else if (isDrawnLandmark(point, index, analysis)) {
+            // Hollow red ring: a landmark the metrics could not rely on
+            ctx.beginPath();
+            ctx.strokeStyle = '#EF4444';
+            ctx.lineWidth = 2;
+            ctx.arc(point.x * width, point.y * height, 6, 0, 2 * Math.PI);
+            ctx.stroke();
         }
     });
 
+    // Amber ring: placed by the clinician rather than detected
+    adjusted.forEach((index) => {
+        const point = rawLandmarks[index];
+        if (!point) return;
+        ctx.beginPath();
+        ctx.strokeStyle = '#F59E0B';
+        ctx.lineWidth = 2;
+        ctx.arc(point.x * width, point.y * height, 9, 0, 2 * Math.PI);
+        ctx.stroke();
+    });
+
     // Draw alignment lines
-    if (analysis) {
+    if (analysis?.viewType === 'lateral') {
+        drawPlumbLine(ctx, landmarks, analysis, width, height);
+    } else if (analysis) {
         const midShoulder = getMidpoint(landmarks[LANDMARKS.LEFT_SHOULDER], landmarks[LANDMARKS.RIGHT_SHOULDER]);
         const midHip = getMidpoint(landmarks[LANDMARKS.LEFT_HIP], landmarks[LANDMARKS.RIGHT_HIP]);
 
@@ -461,9 +1359,259 @@ const drawSkeleton = (ctx, landmarks, analysis, width, height) => {
         ctx.moveTo(midShoulder.x * width, midShoulder.y * height);
         ctx.lineTo(midHip.x * width, midHip.y * height);
         ctx.stroke();
+
+        // Hip-ankle lines, color-coded by knee alignment
+        [
+            [analysis.metrics.leftKnee, LANDMARKS.LEFT_HIP, LANDMARKS.LEFT_ANKLE],
+            [analysis.metrics.rightKnee, LANDMARKS.RIGHT_HIP, LANDMARKS.RIGHT_ANKLE],
+        ].forEach(([metric, hipIndex, ankleIndex]) => {
+            if (!metric) return;
+            ctx.beginPath();
+            ctx.strokeStyle = metric.status === 'good' ? '#10B981' :
+                metric.status === 'moderate' ? '#F59E0B' : '#EF4444';
+            ctx.lineWidth = 2;
+            ctx.setLineDash([4, 4]);
+            ctx.moveTo(landmarks[hipIndex].x * width, landmarks[hipIndex].y * height);
+            ctx.lineTo(landmarks[ankleIndex].x * width, landmarks[ankleIndex].y * height);
+            ctx.stroke();
+            ctx.setLineDash([]);
+        });
     }
+
+    ctx.restore();
+};
+
+// ============================================================================
+// ANNOTATED EXPORT
+// ============================================================================
+
+// Reference grid spacing as a fraction of the image width
+const GRID_STEP = 0.1;
+
+const drawReferenceGrid = (ctx, width, height) => {
+    const step = width * GRID_STEP;
+    ctx.save();
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.15)';
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    for (let x = step; x < width; x += step) {
+        ctx.moveTo(x, 0);
+        ctx.lineTo(x, height);
+    }
+    for (let y = step; y < height; y += step) {
+        ctx.moveTo(0, y);
+        ctx.lineTo(width, y);
+    }
+    ctx.stroke();
+    ctx.restore();
+};
+
+/**
+ * Label every metric beside the landmarks it is measured from. Labels stack
+ * in a column at the nearer image edge, with a leader line back to the body;
+ * labels that would run off the bottom push the ones above them up, so they
+ * only overlap when a column holds more than fit in the image height.
+ * Low-confidence metrics are greyed out.
+ */
+const drawMetricCallouts = (ctx, landmarks, analysis, width, height, fontSize) => {
+    const padding = Math.round(fontSize * 0.4);
+    const boxHeight = fontSize + padding * 2;
+
+    ctx.save();
+    ctx.font = `600 ${fontSize}px sans-serif`;
+    ctx.textBaseline = 'middle';
+
+    const callouts = Object.entries(analysis.metrics)
+        .map(([key, metric]) => {
+            const points = metricLandmarks(key, landmarks, analysis.viewType).map(index => landmarks[index]).filter(Boolean);
+            if (!points.length) return null;
+            return {
+                metric,
+                anchor: {
+                    x: (points.reduce((sum, p) => sum + p.x, 0) / points.length) * width,
+                    y: (points.reduce((sum, p) => sum + p.y, 0) / points.length) * height,
+                },
+                text: `${metric.label}: ${formatMetricValue(metric)}${metric.confidence === 'low' ? ' (not scored)' : ''}`,
+            };
+        })
+        .filter(Boolean)
+        .sort((a, b) => a.anchor.y - b.anchor.y);
+
+    // Top-down each label sits level with its anchor or just below the one above;
+    // bottom-up, any that ran past the bottom edge move the ones above them up
+    ['left', 'right'].forEach((side) => {
+        const column = callouts.filter(({ anchor }) => (anchor.x < width / 2 ? 'left' : 'right') === side);
+        let nextY = padding;
+        column.forEach((callout) => {
+            callout.side = side;
+            callout.y = Math.max(callout.anchor.y - boxHeight / 2, nextY);
+            nextY = callout.y + boxHeight + padding;
+        });
+        let maxY = height - boxHeight - padding;
+        [...column].reverse().forEach((callout) => {
+            callout.y = Math.max(padding, Math.min(callout.y, maxY));
+            maxY = callout.y - boxHeight - padding;
+        });
+    });
+
+    callouts.forEach(({ metric, anchor, text, side, y }) => {
+        const boxWidth = ctx.measureText(text).width + padding * 3;
+        const x = side === 'left' ? padding : width - padding - boxWidth;
+        const color = metric.confidence === 'low' ? '#9CA3AF' : statusColor(metric.status);
+
+        ctx.beginPath();
+        ctx.strokeStyle = color;
+        ctx.lineWidth = Math.max(1, fontSize / 10);
+        ctx.moveTo(side === 'left' ? x + boxWidth : x, y + boxHeight / 2);
+        ctx.lineTo(anchor.x, anchor.y);
+        ctx.stroke();
+
+        ctx.fillStyle = 'rgba(15, 23, 42, 0.85)';
+        ctx.fillRect(x, y, boxWidth, boxHeight);
+        ctx.fillStyle = color;
+        ctx.fillRect(x, y, padding / 2, boxHeight);
+        ctx.fillStyle = 'white';
+        ctx.fillText(text, x + padding * 1.5, y + boxHeight / 2);
+    });
+
+    ctx.restore();
 };
 
+/**
+ * Flatten the photo, the drawn overlay, a reference grid and metric callouts
+ * into one image, with a caption band below giving the date, view and score.
+ * @param {HTMLCanvasElement} photo
+ * @param {HTMLCanvasElement} overlay - skeleton as drawn on screen, same size as the photo
+ * @param {Array} rawLandmarks - the capture's landmarks, as passed to drawSkeleton
+ * @param {object} analysis
+ * @returns {HTMLCanvasElement}
+ */
+const composeAnnotatedImage = (photo, overlay, rawLandmarks, analysis, date = new Date()) => {
+    const { width, height } = photo;
+    const fontSize = Math.max(12, Math.round(width / 40));
+    const lineHeight = Math.round(fontSize * 1.5);
+
+    const caption = [
+        `SpineAI Posture Analysis · ${date.toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' })}`,
+        `${VIEW_LABELS[analysis.view] || analysis.viewType} view · Score ${analysis.overallScore}/100${analysis.profile ? ` (${analysis.profile.name} norms)` : ''}`,
+        analysis.adjustedLandmarks?.length ? `Landmarks placed manually: ${analysis.adjustedLandmarks.join(', ')}` : null,
+    ].filter(Boolean);
+    const captionHeight = lineHeight * caption.length + fontSize;
+
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height + captionHeight;
+    const ctx = canvas.getContext('2d');
+
+    ctx.drawImage(photo, 0, 0);
+    drawReferenceGrid(ctx, width, height);
+    ctx.drawImage(overlay, 0, 0, width, height);
+    drawMetricCallouts(ctx, orientLandmarks(rawLandmarks, analysis), analysis, width, height, fontSize);
+
+    ctx.fillStyle = '#0F172A';
+    ctx.fillRect(0, height, width, captionHeight);
+    ctx.textBaseline = 'middle';
+    caption.forEach((line, i) => {
+        ctx.font = `${i === 0 ? '600 ' : ''}${fontSize}px sans-serif`;
+        ctx.fillStyle = i === 0 ? 'white' : '#CBD5E1';
+        ctx.fillText(line, fontSize, height + fontSize / 2 + lineHeight * (i + 0.5));
+    });
+
+    return canvas;
+};
+
+// ============================================================================
+// LIVE CAMERA MONITORING
+// ============================================================================
+
+// Weight of each new frame in the running average (lower = steadier, slower)
+const LIVE_SMOOTHING = 0.25;
+
+/**
+ * Fold one frame into the running per-metric averages held in `smoothed`
+ * ({ viewType, values }, updated in place) and return an analysis built from
+ * the averages. Switching view type starts the averages over.
+ */
+const smoothLiveAnalysis = (smoothed, frame) => {
+    if (smoothed.viewType !== frame.viewType) {
+        smoothed.viewType = frame.viewType;
+        smoothed.values = {};
+    }
+
+    const metrics = {};
+    Object.entries(frame.metrics).forEach(([key, metric]) => {
+        const previous = smoothed.values[key];
+        const value = previous == null ? metric.value : previous + LIVE_SMOOTHING * (metric.value - previous);
+        smoothed.values[key] = value;
+        metrics[key] = {
+            ...metric,
+            value: parseFloat(value.toFixed(1)),
+            status: getStatus(value, metric.thresholds),
+        };
+    });
+
+    return { ...frame, metrics, ...scoreMetrics(metrics) };
+};
+
+// Higher score wins; ties go to the frame with less total deviation
+const isBetterFrame = (candidate, best) => {
+    if (candidate.refused) return false;
+    if (!best) return true;
+    if (candidate.overallScore !== best.overallScore) return candidate.overallScore > best.overallScore;
+    const totalDeviation = (analysis) =>
+        Object.values(analysis.metrics).reduce((sum, m) => sum + (m.thresholds?.higherIsBetter ? -m.value : m.value), 0);
+    return totalDeviation(candidate) < totalDeviation(best);
+};
+
+const copyCanvas = (source, target = document.createElement('canvas')) => {
+    target.width = source.width;
+    target.height = source.height;
+    target.getContext('2d').drawImage(source, 0, 0);
+    return target;
+};
+
+// ============================================================================
+// LANDMARK CORRECTION
+// ============================================================================
+
+// How close (in screen pixels) the pointer must be to pick up a landmark
+const HANDLE_RADIUS = 16;
+
+/**
+ * Raw index of the named landmark nearest the pointer, or null if none is
+ * within HANDLE_RADIUS. `x`/`y` are normalized; `rect` is the overlay's
+ * on-screen size so the radius stays the same however the photo is scaled.
+ */
+const findLandmarkAt = (landmarks, analysis, x, y, rect) => {
+    let nearest = null;
+    let nearestDistance = HANDLE_RADIUS;
+    landmarks.forEach((point, index) => {
+        if (!LANDMARK_NAMES[index] || !isDrawnLandmark(point, index, analysis)) return;
+        const distance = Math.hypot((point.x - x) * rect.width, (point.y - y) * rect.height);
+        if (distance <= nearestDistance) {
+            nearest = index;
+            nearestDistance = distance;
+        }
+    });
+    return nearest;
+};
+
+/**
+ * Copy of the landmarks with one moved. A hand-placed point counts as fully
+ * visible; its depth stays as detected.
+ */
+const moveLandmark = (landmarks, index, x, y) =>
+    landmarks.map((point, i) => i === index
+        ? { ...point, x: Math.min(1, Math.max(0, x)), y: Math.min(1, Math.max(0, y)), visibility: 1 }
+        : point);
+
+/**
+ * Names of hand-adjusted landmarks (raw indices) as the patient's own sides,
+ * following any left/right swap the analysis made.
+ */
+const adjustedLandmarkNames = (indices, analysis) =>
+    indices.map((index) => LANDMARK_NAMES[analysis?.landmarksSwapped ? mirrorIndex(index) : index]);
+
 // ============================================================================
 // MAIN COMPONENT
 // ============================================================================
@@ -474,6 +1622,9 @@ const OfflinePostureAnalyzer = ({ onAnalysisComplete }) => {
     const overlayCanvasRef = useRef(null);
     const fileInputRef = useRef(null);
     const poseRef = useRef(null);
+    // Keep the latest callback without re-creating handlePoseResults
+    const onAnalysisCompleteRef = useRef(onAnalysisComplete);
+    onAnalysisCompleteRef.current = onAnalysisComplete;
     const [isLoading, setIsLoading] = useState(true);
     const [error, setError] = useState(null);
     const [analysis, setAnalysis] = useState(null);
@@ -482,73 +1633,67 @@ const OfflinePostureAnalyzer = ({ onAnalysisComplete }) => {
     const [isProcessing, setIsProcessing] = useState(false);
     const [cacheStatus, setCacheStatus] = useState('unknown');
     const [loadProgress, setLoadProgress] = useState(0);
+    const [isLive, setIsLive] = useState(false);
+    const [bestLiveScore, setBestLiveScore] = useState(null);
+    const [calibration, setCalibration] = useState(DEFAULT_CALIBRATION);
+    const [markingReference, setMarkingReference] = useState(false);
+    const { activeProfile } = usePostureProfiles();
+    const [profileId, setProfileId] = useState(activeProfile.id);
+    // view: null for auto-detect, or one of VIEWS
+    const [viewSettings, setViewSettings] = useState({ view: null, mirrored: false });
+    // Read by callbacks that outlive a render (live loop, pose results)
+    const calibrationRef = useRef(calibration);
+    const profileIdRef = useRef(profileId);
+    const viewSettingsRef = useRef(viewSettings);
+    // Latest device roll while the camera runs, and how to stop listening
+    const deviceTiltRef = useRef(null);
+    const stopTiltWatchRef = useRef(null);
+    const captureRef = useRef(null);
+    // Raw index of the landmark being dragged, or null
+    const dragRef = useRef(null);
+    const [landmarkCursor, setLandmarkCursor] = useState('');
+    // Mutable live-loop state; kept out of React state so frames don't re-render twice
+    const liveRef = useRef({ active: false, frameId: null, spareCanvas: null, latest: null, best: null, smoothed: null });
+
+    const updateCalibration = (next) => {
+        calibrationRef.current = next;
+        setCalibration(next);
+    };
 
-    // Initialize MediaPipe Pose
-    useEffect(() => {
-        const loadMediaPipe = async () => {
-            try {
-                setLoadProgress(10);
-
-                const loadScript = (src) => {
-                    return new Promise((resolve, reject) => {
-                        const existing = document.querySelector(`script[src="${src}"]`);
-                        if (existing) {
-                            resolve();
-                            return;
-                        }
-                        const script = document.createElement('script');
-                        script.src = src;
-                        script.async = true;
-                        script.onload = resolve;
-                        script.onerror = reject;
-                        document.head.appendChild(script);
-                    });
-                };
-
-                setLoadProgress(20);
-                await loadScript('https://cdn.jsdelivr.net/npm/@mediapipe/camera_utils/camera_utils.js');
-                setLoadProgress(40);
-                await loadScript('https://cdn.jsdelivr.net/npm/@mediapipe/drawing_utils/drawing_utils.js');
-                setLoadProgress(60);
-                await loadScript('https://cdn.jsdelivr.net/npm/@mediapipe/pose/pose.js');
-                setLoadProgress(80);
-
-                await new Promise(resolve => {
-                    const check = () => {
-                        if (window.Pose) resolve();
-                        else setTimeout(check, 100);
-                    };
-                    check();
-                });
+    const updateProfileId = (next) => {
+        profileIdRef.current = next;
+        setProfileId(next);
+    };
 
-                const pose = new window.Pose({
-                    locateFile: (file) => `https://cdn.jsdelivr.net/npm/@mediapipe/pose/${file}`,
-                });
+    const updateViewSettings = (next) => {
+        viewSettingsRef.current = next;
+        setViewSettings(next);
+    };
 
-                pose.setOptions({
-                    modelComplexity: 2, // Highest accuracy
-                    smoothLandmarks: true,
-                    enableSegmentation: false,
-                    minDetectionConfidence: 0.7,
-                    minTrackingConfidence: 0.7,
-                });
+    // Only reads refs, so callbacks that outlive a render can use it
+    const analyzeLandmarks = (landmarks, tilt) => analyzePosture(
+        landmarks,
+        viewSettingsRef.current.view,
+        getProfile(profileIdRef.current),
+        { mirrored: viewSettingsRef.current.mirrored, tilt }
+    );
 
-                pose.onResults(handlePoseResults);
-                await pose.initialize();
+    // Initialize MediaPipe Pose
+    useEffect(() => {
+        let cancelled = false;
 
+        setLoadProgress(10);
+        loadPoseDetector((percent) => !cancelled && setLoadProgress(percent))
+            .then((pose) => {
+                if (cancelled) return;
                 poseRef.current = pose;
-                setLoadProgress(100);
                 setIsLoading(false);
-
-                // Notify service worker to cache MediaPipe assets
-                if (navigator.serviceWorker && navigator.serviceWorker.controller) {
-                    navigator.serviceWorker.controller.postMessage({ type: 'CACHE_MEDIAPIPE' });
-                }
-            } catch (err) {
+            })
+            .catch(() => {
+                if (cancelled) return;
                 setError('Failed to load pose detection. Check your internet connection and refresh.');
                 setIsLoading(false);
-            }
-        };
+            });
 
         // Listen for cache confirmation
         const handleMessage = (event) => {
@@ -558,38 +1703,184 @@ const OfflinePostureAnalyzer = ({ onAnalysisComplete }) => {
         };
         navigator.serviceWorker?.addEventListener('message', handleMessage);
 
-        loadMediaPipe();
-
         return () => {
+            cancelled = true;
             navigator.serviceWorker?.removeEventListener('message', handleMessage);
-            poseRef.current?.close();
         };
     }, []);
 
-    const handlePoseResults = useCallback((results) => {
+    // Release the camera if the tab changes while it is running
+    useEffect(() => () => {
+        const live = liveRef.current;
+        live.active = false;
+        cancelAnimationFrame(live.frameId);
+        videoRef.current?.srcObject?.getTracks().forEach(track => track.stop());
+        stopTiltWatchRef.current?.();
+    }, []);
+
+    /**
+     * Analyze the current capture with the current calibration, draw the
+     * overlay and report the result. Re-running it for the same capture
+     * reports the same id, so the saved result is updated rather than duplicated.
+     * While a landmark is being dragged, `save: false` redraws and rescores
+     * without reporting every intermediate position.
+     */
+    const renderCapture = useCallback(({ save = true } = {}) => {
+        const capture = captureRef.current;
         const canvas = overlayCanvasRef.current;
-        if (!canvas) return;
+        if (!capture || !canvas) return;
 
         const ctx = canvas.getContext('2d');
         ctx.clearRect(0, 0, canvas.width, canvas.height);
 
-        if (results.poseLandmarks) {
-            const postureAnalysis = analyzePosture(results.poseLandmarks);
-            setAnalysis(postureAnalysis);
+        const size = { width: canvas.width, height: canvas.height };
+        const calibrated = applyCalibration(analyzeLandmarks(capture.landmarks, capture.tilt), capture.landmarks, calibrationRef.current, size);
+        const postureAnalysis = calibrated && { ...calibrated, adjustedLandmarks: adjustedLandmarkNames(capture.adjusted, calibrated) };
+        setAnalysis(postureAnalysis);
+
+        // Draw skeleton with analysis overlay
+        drawSkeleton(ctx, capture.landmarks, postureAnalysis, canvas.width, canvas.height, { adjusted: capture.adjusted });
+        drawReferenceMarks(ctx, calibrationRef.current);
+
+        // A refused analysis shows retake guidance and is not saved
+        if (postureAnalysis?.refused) {
+            setSoapNote(null);
+        } else if (postureAnalysis) {
+            const soap = generateOfflineSOAPNote(postureAnalysis);
+            setSoapNote(soap);
+            if (save) {
+                onAnalysisCompleteRef.current?.(postureAnalysis, soap, {
+                    id: capture.id,
+                    landmarks: serializeLandmarks(capture.landmarks),
+                    image: capture.image,
+                    adjustedLandmarks: capture.adjusted,
+                });
+            }
+        }
+    }, []);
 
-            // Draw skeleton with analysis overlay
-            drawSkeleton(ctx, results.poseLandmarks, postureAnalysis, canvas.width, canvas.height);
+    const handlePoseResults = useCallback((results) => {
+        const canvas = overlayCanvasRef.current;
+        if (!canvas) return;
 
-            if (postureAnalysis) {
-                const soap = generateOfflineSOAPNote(postureAnalysis);
-                setSoapNote(soap);
-                window.lastPostureAnalysis = soap;
-                onAnalysisComplete?.(postureAnalysis);
-            }
+        canvas.getContext('2d').clearRect(0, 0, canvas.width, canvas.height);
+        // Reference marks belong to the previous photo
+        if (calibrationRef.current.referencePoints.length) {
+            updateCalibration({ ...calibrationRef.current, referencePoints: [] });
         }
+        setMarkingReference(false);
+        // A new photo may be a different view; mirroring is a property of the source, so it stays
+        if (viewSettingsRef.current.view) {
+            updateViewSettings({ ...viewSettingsRef.current, view: null });
+        }
+
+        captureRef.current = results.poseLandmarks
+            ? {
+                id: createId(),
+                landmarks: results.poseLandmarks,
+                // As detected, so manual corrections can be undone
+                detectedLandmarks: results.poseLandmarks,
+                adjusted: [],
+                image: canvasRef.current?.toDataURL('image/jpeg', 0.8) || null,
+                // Device roll when the camera reported it, otherwise read from the photo
+                tilt: results.tilt || (canvasRef.current ? estimateTiltFromImage(canvasRef.current, bodyBox(results.poseLandmarks)) : null),
+            }
+            : null;
+        renderCapture();
 
         setIsProcessing(false);
-    }, [onAnalysisComplete]);
+    }, [renderCapture]);
+
+    // Recalculate cm measurements and scores when the calibration, norms or view change
+    useEffect(() => {
+        if (!isLive) renderCapture();
+    }, [calibration, profileId, viewSettings]);
+
+    const handleOverlayClick = (event) => {
+        if (!markingReference) return;
+        const overlay = overlayCanvasRef.current;
+        const rect = overlay.getBoundingClientRect();
+        const point = {
+            x: ((event.clientX - rect.left) / rect.width) * overlay.width,
+            y: ((event.clientY - rect.top) / rect.height) * overlay.height,
+        };
+        const referencePoints = [...calibration.referencePoints, point].slice(-2);
+        updateCalibration({ ...calibration, referencePoints });
+        if (referencePoints.length === 2) setMarkingReference(false);
+    };
+
+    // Only analyses of a capture carry adjustedLandmarks; live frames can't be edited
+    const canAdjustLandmarks = Boolean(analysis?.adjustedLandmarks) && mode === 'upload' && !isLive && !isProcessing && !markingReference;
+    // Any scored capture has a photo and landmarks to flatten, whether uploaded or taken with the camera
+    const canExportAnnotated = Boolean(analysis?.adjustedLandmarks) && !analysis.refused && !isLive && !isProcessing;
+
+    const pointerPosition = (event) => {
+        const rect = overlayCanvasRef.current.getBoundingClientRect();
+        return { x: (event.clientX - rect.left) / rect.width, y: (event.clientY - rect.top) / rect.height, rect };
+    };
+
+    const handleLandmarkPointerDown = (event) => {
+        const capture = captureRef.current;
+        if (!canAdjustLandmarks || !capture) return;
+        const { x, y, rect } = pointerPosition(event);
+        const index = findLandmarkAt(capture.landmarks, analysis, x, y, rect);
+        if (index == null) return;
+        event.preventDefault();
+        event.currentTarget.setPointerCapture(event.pointerId);
+        dragRef.current = index;
+        setLandmarkCursor('cursor-grabbing');
+    };
+
+    // Moving a landmark rescores, redraws and rewrites the SOAP note as it goes
+    const handleLandmarkPointerMove = (event) => {
+        const capture = captureRef.current;
+        if (!canAdjustLandmarks || !capture) return;
+        const { x, y, rect } = pointerPosition(event);
+        const index = dragRef.current;
+        if (index == null) {
+            setLandmarkCursor(findLandmarkAt(capture.landmarks, analysis, x, y, rect) == null ? '' : 'cursor-grab');
+            return;
+        }
+        captureRef.current = {
+            ...capture,
+            landmarks: moveLandmark(capture.landmarks, index, x, y),
+            adjusted: capture.adjusted.includes(index) ? capture.adjusted : [...capture.adjusted, index],
+        };
+        renderCapture({ save: false });
+    };
+
+    const handleLandmarkPointerUp = () => {
+        if (dragRef.current == null) return;
+        dragRef.current = null;
+        setLandmarkCursor('cursor-grab');
+        renderCapture();
+    };
+
+    /**
+     * Download the photo with its overlay, callouts and caption.
+     * @param {'png'|'jpeg'} format
+     */
+    const exportAnnotatedImage = (format) => {
+        const capture = captureRef.current;
+        if (!capture || !analysis) return;
+        const image = composeAnnotatedImage(canvasRef.current, overlayCanvasRef.current, capture.landmarks, analysis);
+        image.toBlob((blob) => {
+            if (!blob) return;
+            const url = URL.createObjectURL(blob);
+            const a = document.createElement('a');
+            a.href = url;
+            a.download = `posture-${analysis.view}-${new Date().toISOString().slice(0, 10)}.${format === 'jpeg' ? 'jpg' : 'png'}`;
+            a.click();
+            URL.revokeObjectURL(url);
+        }, `image/${format}`, 0.92);
+    };
+
+    const resetLandmarks = () => {
+        const capture = captureRef.current;
+        if (!capture) return;
+        captureRef.current = { ...capture, landmarks: capture.detectedLandmarks, adjusted: [] };
+        renderCapture();
+    };
 
     const handleImageUpload = async (event) => {
         const file = event.target.files?.[0];
@@ -616,7 +1907,7 @@ const OfflinePostureAnalyzer = ({ onAnalysisComplete }) => {
             ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
 
             try {
-                await poseRef.current.send({ image: img });
+                handlePoseResults({ poseLandmarks: await detectPose(img) });
             } catch (err) {
                 setError('Failed to analyze image. Try a clearer photo.');
                 setIsProcessing(false);
@@ -626,6 +1917,11 @@ const OfflinePostureAnalyzer = ({ onAnalysisComplete }) => {
     };
 
     const startCamera = async () => {
+        // Asked first, while the click still counts as a user gesture (iOS)
+        if (await requestTiltPermission()) {
+            stopTiltWatchRef.current?.();
+            stopTiltWatchRef.current = watchDeviceTilt((tilt) => { deviceTiltRef.current = tilt; });
+        }
         try {
             const stream = await navigator.mediaDevices.getUserMedia({
                 video: { facingMode: 'environment', width: 640, height: 480 },
@@ -643,6 +1939,7 @@ const OfflinePostureAnalyzer = ({ onAnalysisComplete }) => {
 
     const captureFromCamera = async () => {
         if (!videoRef.current || !poseRef.current) return;
+        stopLive();
 
         setIsProcessing(true);
         setAnalysis(null);
@@ -659,14 +1956,113 @@ const OfflinePostureAnalyzer = ({ onAnalysisComplete }) => {
         ctx.drawImage(videoRef.current, 0, 0);
 
         try {
-            await poseRef.current.send({ image: videoRef.current });
+            handlePoseResults({ poseLandmarks: await detectPose(videoRef.current), tilt: deviceTiltRef.current });
         } catch (err) {
             setError('Failed to analyze. Please try again.');
             setIsProcessing(false);
         }
     };
 
+    // ------------------------------------------------------------------------
+    // Live mode: analyze video frames continuously without saving anything,
+    // then freeze one frame into a normal analysis.
+    // ------------------------------------------------------------------------
+
+    const processLiveFrame = async () => {
+        const live = liveRef.current;
+        const video = videoRef.current;
+        if (!live.active || !video) return;
+
+        if (video.readyState >= 2 && video.videoWidth) {
+            // Detect on a snapshot so a frozen frame matches its landmarks exactly.
+            // Two canvases alternate so the latest analyzed frame is never overwritten.
+            const frameCanvas = live.spareCanvas || document.createElement('canvas');
+            live.spareCanvas = null;
+            frameCanvas.width = video.videoWidth;
+            frameCanvas.height = video.videoHeight;
+            frameCanvas.getContext('2d').drawImage(video, 0, 0);
+
+            try {
+                const landmarks = await detectPose(frameCanvas);
+                if (!live.active) return;
+                live.spareCanvas = frameCanvas;
+
+                const overlay = overlayCanvasRef.current;
+                overlay.width = frameCanvas.width;
+                overlay.height = frameCanvas.height;
+                const ctx = overlay.getContext('2d');
+                ctx.clearRect(0, 0, overlay.width, overlay.height);
+
+                const frameAnalysis = applyCalibration(analyzeLandmarks(landmarks, deviceTiltRef.current), landmarks, calibrationRef.current, overlay);
+                if (frameAnalysis) {
+                    const smoothed = smoothLiveAnalysis(live.smoothed, frameAnalysis);
+                    drawSkeleton(ctx, landmarks, smoothed, overlay.width, overlay.height);
+                    setAnalysis(smoothed);
+
+                    live.spareCanvas = live.latest?.canvas || null;
+                    live.latest = { landmarks, canvas: frameCanvas };
+                    if (isBetterFrame(frameAnalysis, live.best?.analysis)) {
+                        live.best = { landmarks, analysis: frameAnalysis, canvas: copyCanvas(frameCanvas, live.best?.canvas) };
+                        setBestLiveScore(frameAnalysis.overallScore);
+                    }
+                }
+            } catch (err) {
+                // A dropped frame is fine; the next one will be tried
+            }
+        }
+
+        if (live.active) live.frameId = requestAnimationFrame(processLiveFrame);
+    };
+
+    const startLive = () => {
+        if (!videoRef.current?.srcObject || !poseRef.current) return;
+        liveRef.current = {
+            ...liveRef.current,
+            active: true,
+            latest: null,
+            best: null,
+            smoothed: { viewType: null, values: {} },
+        };
+        captureRef.current = null;
+        setAnalysis(null);
+        setSoapNote(null);
+        setBestLiveScore(null);
+        setIsLive(true);
+        processLiveFrame();
+    };
+
+    const stopLive = () => {
+        const live = liveRef.current;
+        live.active = false;
+        cancelAnimationFrame(live.frameId);
+        setIsLive(false);
+    };
+
+    /**
+     * Turn one live frame into a regular analysis: the frame becomes the
+     * photo, the camera stops and the result is reported once.
+     * @param {'latest'|'best'} which
+     */
+    const freezeLiveFrame = (which) => {
+        const live = liveRef.current;
+        const frame = which === 'best' ? live.best : live.latest;
+        if (!frame) return;
+
+        stopLive();
+        const canvas = copyCanvas(frame.canvas, canvasRef.current);
+        const overlay = overlayCanvasRef.current;
+        overlay.width = canvas.width;
+        overlay.height = canvas.height;
+        const tilt = deviceTiltRef.current;
+        stopCamera();
+        handlePoseResults({ poseLandmarks: frame.landmarks, tilt });
+    };
+
     const stopCamera = () => {
+        stopLive();
+        stopTiltWatchRef.current?.();
+        stopTiltWatchRef.current = null;
+        deviceTiltRef.current = null;
         if (videoRef.current?.srcObject) {
             videoRef.current.srcObject.getTracks().forEach(track => track.stop());
             videoRef.current.srcObject = null;
@@ -779,14 +2175,76 @@ const OfflinePostureAnalyzer = ({ onAnalysisComplete }) => {
                     </div>
 
                     {mode === 'camera' && (
-                        <button
-                            onClick={stopCamera}
-                            className="w-full mb-4 py-2 bg-red-500/20 text-red-400 rounded-xl text-sm font-medium hover:bg-red-500/30 transition-all"
-                        >
-                            Stop Camera
-                        </button>
+                        <div className="mb-4 space-y-2">
+                            <div className="flex gap-2">
+                                <button
+                                    onClick={isLive ? stopLive : startLive}
+                                    className={`flex-1 py-2 rounded-xl text-sm font-medium transition-all ${isLive
+                                        ? 'bg-emerald-500/30 text-emerald-300'
+                                        : 'bg-emerald-500/20 text-emerald-400 hover:bg-emerald-500/30'
+                                        }`}
+                                >
+                                    {isLive ? '⏸ Pause Live' : '▶ Go Live'}
+                                </button>
+                                <button
+                                    onClick={stopCamera}
+                                    className="flex-1 py-2 bg-red-500/20 text-red-400 rounded-xl text-sm font-medium hover:bg-red-500/30 transition-all"
+                                >
+                                    Stop Camera
+                                </button>
+                            </div>
+                            {isLive && (
+                                <div className="flex gap-2">
+                                    <button
+                                        onClick={() => freezeLiveFrame('latest')}
+                                        className="flex-1 py-2 bg-teal-500/20 text-teal-400 rounded-xl text-sm font-medium hover:bg-teal-500/30 transition-all"
+                                    >
+                                        ❄️ Freeze Now
+                                    </button>
+                                    <button
+                                        onClick={() => freezeLiveFrame('best')}
+                                        disabled={bestLiveScore == null}
+                                        className="flex-1 py-2 bg-teal-500/20 text-teal-400 rounded-xl text-sm font-medium hover:bg-teal-500/30 transition-all disabled:opacity-40"
+                                    >
+                                        ⭐ Freeze Best{bestLiveScore != null ? ` (${bestLiveScore})` : ''}
+                                    </button>
+                                </div>
+                            )}
+                            {isLive && (
+                                <p className="text-xs text-gray-500 text-center">
+                                    Live values are smoothed over recent frames. Nothing is saved until you freeze a frame.
+                                </p>
+                            )}
+                        </div>
                     )}
 
+                    <ProfileSelect value={profileId} onChange={updateProfileId} className="mb-4" />
+
+                    <div className="mb-4">
+                        <div className="grid grid-cols-5 gap-2">
+                            {[null, ...Object.values(VIEWS)].map((view) => (
+                                <button
+                                    key={view || 'auto'}
+                                    onClick={() => updateViewSettings({ ...viewSettings, view })}
+                                    className={`py-2 rounded-lg text-xs font-medium transition-all ${viewSettings.view === view
+                                        ? 'bg-teal-500/20 text-teal-400 border border-teal-500/30'
+                                        : 'bg-white/5 text-gray-400 border border-transparent hover:bg-white/10'
+                                        }`}
+                                >
+                                    {view ? VIEW_LABELS[view] : 'Auto view'}
+                                </button>
+                            ))}
+                        </div>
+                        <label className="flex items-center gap-2 mt-2 text-xs text-gray-400">
+                            <input
+                                type="checkbox"
+                                checked={viewSettings.mirrored}
+                                onChange={() => updateViewSettings({ ...viewSettings, mirrored: !viewSettings.mirrored })}
+                            />
+                            Mirrored image (selfie camera)
+                        </label>
+                    </div>
+
                     <input
                         ref={fileInputRef}
                         type="file"
@@ -796,15 +2254,21 @@ const OfflinePostureAnalyzer = ({ onAnalysisComplete }) => {
                     />
 
                     {/* Video/Canvas Display */}
-                    <div className="relative rounded-xl overflow-hidden bg-slate-900/50 min-h-[300px]">
-                        {mode === 'camera' && (
-                            <video
-                                ref={videoRef}
-                                className="w-full rounded-xl"
-                                playsInline
-                                muted
-                            />
-                        )}
+                    <div
+                        className={`relative rounded-xl overflow-hidden bg-slate-900/50 min-h-[300px] ${markingReference ? 'cursor-crosshair ring-2 ring-teal-400/60' : canAdjustLandmarks ? `touch-none ${landmarkCursor}` : ''}`}
+                        onClick={handleOverlayClick}
+                        onPointerDown={handleLandmarkPointerDown}
+                        onPointerMove={handleLandmarkPointerMove}
+                        onPointerUp={handleLandmarkPointerUp}
+                        onPointerCancel={handleLandmarkPointerUp}
+                    >
+                        {/* Always mounted so startCamera can attach the stream before switching mode */}
+                        <video
+                            ref={videoRef}
+                            className={`w-full rounded-xl ${mode === 'camera' ? 'block' : 'hidden'}`}
+                            playsInline
+                            muted
+                        />
                         <canvas
                             ref={canvasRef}
                             className={`w-full rounded-xl ${mode === 'camera' ? 'hidden' : 'block'}`}
@@ -824,6 +2288,13 @@ const OfflinePostureAnalyzer = ({ onAnalysisComplete }) => {
                             </div>
                         )}
 
+                        {isLive && (
+                            <span className="absolute top-3 left-3 px-2 py-1 bg-red-500/80 text-white rounded-full text-xs font-medium flex items-center gap-1">
+                                <span className="w-2 h-2 bg-white rounded-full animate-pulse"></span>
+                                LIVE
+                            </span>
+                        )}
+
                         {isProcessing && (
                             <div className="absolute inset-0 flex items-center justify-center bg-black/50 backdrop-blur-sm">
                                 <div className="text-center">
@@ -834,8 +2305,49 @@ const OfflinePostureAnalyzer = ({ onAnalysisComplete }) => {
                             </div>
                         )}
                     </div>
+
+                    {canAdjustLandmarks && (
+                        <div className="flex items-center justify-between gap-3 mt-3 text-xs text-gray-500">
+                            <span>
+                                {analysis.adjustedLandmarks.length > 0
+                                    ? `Adjusted by hand: ${analysis.adjustedLandmarks.join(', ')}`
+                                    : 'Drag a point to correct a misplaced landmark.'}
+                            </span>
+                            {analysis.adjustedLandmarks.length > 0 && (
+                                <button onClick={resetLandmarks} className="text-teal-400 hover:text-teal-300 whitespace-nowrap">
+                                    Restore detected points
+                                </button>
+                            )}
+                        </div>
+                    )}
+
+                    {canExportAnnotated && (
+                        <div className="flex gap-3 mt-4">
+                            {[['png', 'PNG'], ['jpeg', 'JPEG']].map(([format, label]) => (
+                                <button
+                                    key={format}
+                                    onClick={() => exportAnnotatedImage(format)}
+                                    className="flex-1 py-2 rounded-xl bg-white/5 hover:bg-white/10 text-gray-300 text-sm font-medium transition-all"
+                                >
+                                    🖼️ Export Annotated {label}
+                                </button>
+                            ))}
+                        </div>
+                    )}
                 </div>
 
+                <CalibrationPanel
+                    calibration={calibration}
+                    onChange={updateCalibration}
+                    marking={markingReference}
+                    onStartMarking={() => {
+                        updateCalibration({ ...calibration, referencePoints: [] });
+                        setMarkingReference(true);
+                    }}
+                    resolved={analysis?.distances || null}
+                    hasCapture={Boolean(analysis) && mode === 'upload'}
+                />
+
                 {/* Tips Card */}
                 <div className="glass-card rounded-2xl p-6 border-l-4 border-teal-500">
                     <h3 className="text-sm font-medium text-teal-400 mb-3">📸 Best Results Tips</h3>
@@ -855,61 +2367,78 @@ const OfflinePostureAnalyzer = ({ onAnalysisComplete }) => {
                         {/* Score Card */}
                         <div className="glass-card rounded-2xl p-6 glow-teal">
                             <div className="text-center mb-6">
-                                <div className={`inline-flex items-center justify-center w-24 h-24 rounded-full bg-gradient-to-r ${getScoreColor(analysis.overallScore)} mb-3`}>
-                                    <span className="text-4xl font-bold text-white">{analysis.overallScore}</span>
+                                <div className={`inline-flex items-center justify-center w-24 h-24 rounded-full bg-gradient-to-r ${analysis.refused ? 'from-gray-600 to-gray-700' : getScoreColor(analysis.overallScore)} mb-3`}>
+                                    <span className="text-4xl font-bold text-white">{analysis.refused ? '—' : analysis.overallScore}</span>
                                 </div>
-                                <p className="text-gray-400">Posture Score</p>
-                                <p className={`text-sm font-medium mt-1 ${analysis.overallStatus === 'good' ? 'text-emerald-400' :
+                                <p className="text-gray-400">{isLive ? 'Live Posture Score' : 'Posture Score'}</p>
+                                <p className={`text-sm font-medium mt-1 ${analysis.refused ? 'text-gray-400' : analysis.overallStatus === 'good' ? 'text-emerald-400' :
                                     analysis.overallStatus === 'moderate' ? 'text-amber-400' : 'text-red-400'
                                     }`}>
-                                    {analysis.overallStatus === 'good' ? 'Excellent Alignment' :
+                                    {analysis.refused ? 'Retake Needed' : analysis.overallStatus === 'good' ? 'Excellent Alignment' :
                                         analysis.overallStatus === 'moderate' ? 'Needs Attention' : 'Significant Deviation'}
                                 </p>
                                 {/* View Type Badge */}
                                 <span className="inline-block mt-2 px-3 py-1 bg-blue-500/20 text-blue-400 rounded-full text-xs font-medium">
-                                    {analysis.viewType === 'frontal' ? '👤 Frontal View' : '👤 Lateral View'}
+                                    👤 {VIEW_LABELS[analysis.view]} View
+                                    {analysis.viewSource === 'auto' ? ' (auto-detected)' : ' (manual)'}
                                 </span>
                             </div>
 
                             {/* Metrics Grid */}
                             <div className="grid grid-cols-2 gap-3">
-                                {Object.values(analysis.metrics).map((metric, idx) => (
-                                    <div key={idx} className={`p-4 rounded-xl border ${getStatusBgColor(metric.status)}`}>
+                                {Object.entries(analysis.metrics).map(([key, metric]) => (
+                                    <div key={key} className={`p-4 rounded-xl border ${metric.confidence === 'low' ? getStatusBgColor('unknown') : getStatusBgColor(metric.status)}`}>
                                         <div className="flex items-center justify-between mb-1">
                                             <span className="text-xs font-medium opacity-80">{metric.label}</span>
-                                            <span className="text-lg">{getStatusEmoji(metric.status)}</span>
+                                            <span className="text-lg">{metric.confidence === 'low' ? '❓' : getStatusEmoji(metric.status)}</span>
+                                        </div>
+                                        <div className="text-2xl font-bold">
+                                            {formatMetricValue(metric)}
+                                            {analysis.distances?.measurements[key] && (
+                                                <span className="text-sm font-medium opacity-80 ml-2">
+                                                    {analysis.distances.measurements[key].value} cm
+                                                </span>
+                                            )}
                                         </div>
-                                        <div className="text-2xl font-bold">{metric.value}°</div>
                                         <p className="text-xs opacity-70 mt-1 line-clamp-2">{metric.description}</p>
+                                        {metric.confidence && metric.confidence !== 'high' && (
+                                            <p className="text-[10px] uppercase tracking-wide opacity-60 mt-1">
+                                                {metric.confidence === 'low' ? 'Low confidence - not scored' : 'Medium confidence'}
+                                            </p>
+                                        )}
                                     </div>
                                 ))}
                             </div>
                         </div>
 
+                        <PhotoQualityPanel quality={analysis.quality} refused={analysis.refused} />
+
                         {/* Recommendations */}
-                        <div className="glass-card rounded-2xl p-6 glow-coral">
-                            <h3 className="text-lg font-serif text-white mb-4">💪 Recommendations</h3>
-                            <div className="space-y-3">
-                                {Object.values(analysis.metrics)
-                                    .filter(m => m.status !== 'good')
-                                    .map((metric, idx) => (
-                                        <div key={idx} className="flex items-start gap-3 p-3 bg-white/5 rounded-xl">
-                                            <span className="text-orange-400 mt-0.5">
-                                                {idx + 1}.
-                                            </span>
-                                            <div>
-                                                <p className="text-white text-sm font-medium">{metric.label}</p>
-                                                <p className="text-gray-400 text-xs mt-1">{metric.recommendation}</p>
+                        {!analysis.refused && (
+                            <div className="glass-card rounded-2xl p-6 glow-coral">
+                                <h3 className="text-lg font-serif text-white mb-4">💪 Recommendations</h3>
+                                <div className="space-y-3">
+                                    {Object.values(analysis.metrics)
+                                        .filter(m => m.status !== 'good' && m.confidence !== 'low')
+                                        .map((metric, idx) => (
+                                            <div key={idx} className="flex items-start gap-3 p-3 bg-white/5 rounded-xl">
+                                                <span className="text-orange-400 mt-0.5">
+                                                    {idx + 1}.
+                                                </span>
+                                                <div>
+                                                    <p className="text-white text-sm font-medium">{metric.label}</p>
+                                                    <p className="text-gray-400 text-xs mt-1">{metric.recommendation}</p>
+                                                </div>
                                             </div>
-                                        </div>
-                                    ))}
-                                {Object.values(analysis.metrics).every(m => m.status === 'good') && (
-                                    <p className="text-emerald-400 text-center py-4">
-                                        ✨ Great posture! Keep up the good work!
-                                    </p>
-                                )}
+                                        ))}
+                                    {Object.values(analysis.metrics).every(m => m.status === 'good' || m.confidence === 'low') && (
+                                        <p className="text-emerald-400 text-center py-4">
+                                            ✨ Great posture! Keep up the good work!
+                                        </p>
+                                    )}
+                                </div>
                             </div>
-                        </div>
+                        )}
 
                         {/* SOAP Note */}
                         {soapNote && (
@@ -957,4 +2486,4 @@ const OfflinePostureAnalyzer = ({ onAnalysisComplete }) => {
 };
 
 export default OfflinePostureAnalyzer;
-export { analyzePosture, generateOfflineSOAPNote, FRONTAL_THRESHOLDS, LATERAL_THRESHOLDS, LANDMARKS };
+export { analyzePosture, applyCalibration, resolveCalibration, CALIBRATION_METHODS, generateOfflineSOAPNote, generateExamSOAPNote, drawSkeleton, composeAnnotatedImage, serializeLandmarks, getMidpoint, getStatusEmoji, formatMetricValue, bodyBox, detectView, orientLandmarks, VIEWS, VIEW_TYPES, VIEW_LABELS, FRONTAL_THRESHOLDS, LATERAL_THRESHOLDS, LANDMARKS };
@@ -0,0 +1,187 @@
+import React, { createContext, useCallback, useContext, useEffect, useMemo, useRef, useState } from 'react';
+import usePatient from './PatientContext';
+import { hasApiKey } from './veniceClient';
+import {
+  OUTBOX_STATUS,
+  OUTBOX_UPDATED_MESSAGE,
+  TRANSCRIPTION_KIND,
+  drainOutbox,
+  enqueueRequest,
+  listOutbox,
+  outboxRecord,
+  removeOutboxEntry,
+  requeueAuthFailures,
+  retryOutboxEntry,
+} from './outbox';
+
+const OutboxContext = createContext(null);
+
+/**
+ * Exposes the offline outbox and drains it whenever the browser comes back
+ * online, and picks up entries the service worker replayed.
+ * Must sit inside a PatientProvider.
+ */
+export const OutboxProvider = ({ children }) => {
+  const { activePatientId, visitDate, ingestRecord } = usePatient();
+  const [entries, setEntries] = useState([]);
+  const [draining, setDraining] = useState(false);
+  const [error, setError] = useState(null);
+  const drainingRef = useRef(false);
+  const claimingRef = useRef(false);
+
+  // Completed entries can arrive at any time; always save them with the latest context
+  const ingestRef = useRef(ingestRecord);
+  ingestRef.current = ingestRecord;
+
+  const refresh = useCallback(async () => {
+    try {
+      setEntries(await listOutbox());
+    } catch (err) {
+      setError(err.message);
+    }
+  }, []);
+
+  // Turn completed entries into visit records and drop them from the outbox
+  const finalize = useCallback(async () => {
+    try {
+      const completed = (await listOutbox()).filter((entry) => entry.status === OUTBOX_STATUS.DONE);
+      for (const entry of completed) {
+        const record = outboxRecord(entry);
+        if (!record) continue;
+        await ingestRef.current(record);
+        await removeOutboxEntry(entry.id);
+      }
+    } catch (err) {
+      setError(err.message);
+    }
+    await refresh();
+  }, [refresh]);
+
+  const drain = useCallback(async () => {
+    if (drainingRef.current || !navigator.onLine || !hasApiKey()) return;
+    drainingRef.current = true;
+    setDraining(true);
+    setError(null);
+    try {
+      await drainOutbox();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      drainingRef.current = false;
+      setDraining(false);
+      await finalize();
+    }
+  }, [finalize]);
+
+  useEffect(() => {
+    drain();
+    window.addEventListener('online', drain);
+
+    const handleWorkerMessage = (event) => {
+      if (event.data?.type === OUTBOX_UPDATED_MESSAGE) finalize();
+    };
+    navigator.serviceWorker?.addEventListener('message', handleWorkerMessage);
+
+    return () => {
+      window.removeEventListener('online', drain);
+      navigator.serviceWorker?.removeEventListener('message', handleWorkerMessage);
+    };
+  }, [drain, finalize]);
+
+  /**
+   * Queue requests against the active patient and visit. See `enqueueRequest`.
+   */
+  const enqueue = useCallback(
+    async (entry) => {
+      const queued = await enqueueRequest({ patientId: activePatientId, visitDate, ...entry });
+      await refresh();
+      return queued;
+    },
+    [activePatientId, visitDate, refresh]
+  );
+
+  const retry = useCallback(
+    async (id) => {
+      await retryOutboxEntry(id);
+      await drain();
+      await refresh();
+    },
+    [drain, refresh]
+  );
+
+  /**
+   * Send again what the previous key could not, after a new key is saved.
+   */
+  const resumeWithNewKey = useCallback(async () => {
+    try {
+      await requeueAuthFailures();
+    } catch (err) {
+      setError(err.message);
+    }
+    await drain();
+  }, [drain]);
+
+  const discard = useCallback(
+    async (id) => {
+      await removeOutboxEntry(id);
+      await refresh();
+    },
+    [refresh]
+  );
+
+  /**
+   * Take the finished dictation for the active visit out of the outbox.
+   * @returns {Promise<string[]>} transcripts, oldest first
+   */
+  const claimTranscriptions = useCallback(async () => {
+    if (claimingRef.current) return [];
+    claimingRef.current = true;
+    try {
+      const ready = (await listOutbox()).filter(
+        (entry) =>
+          entry.kind === TRANSCRIPTION_KIND &&
+          entry.status === OUTBOX_STATUS.DONE &&
+          entry.patientId === activePatientId &&
+          entry.visitDate === visitDate
+      );
+      await Promise.all(ready.map((entry) => removeOutboxEntry(entry.id)));
+      await refresh();
+      return ready.map((entry) => entry.results.text).filter(Boolean);
+    } finally {
+      claimingRef.current = false;
+    }
+  }, [activePatientId, visitDate, refresh]);
+
+  const pendingCount = useMemo(
+    () => entries.filter((entry) => entry.status !== OUTBOX_STATUS.DONE).length,
+    [entries]
+  );
+
+  const value = {
+    entries,
+    pendingCount,
+    draining,
+    error,
+    enqueue,
+    drain,
+    retry,
+    resumeWithNewKey,
+    discard,
+    claimTranscriptions,
+  };
+
+  return <OutboxContext.Provider value={value}>{children}</OutboxContext.Provider>;
+};
+
+/**
+ * Access the offline outbox.
+ */
+const useOutbox = () => {
+  const context = useContext(OutboxContext);
+  if (!context) {
+    throw new Error('useOutbox must be used inside an OutboxProvider');
+  }
+  return context;
+};
+
+export default useOutbox;
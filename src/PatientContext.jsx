@@ -0,0 +1,165 @@
+import React, { createContext, useCallback, useContext, useEffect, useMemo, useState } from 'react';
+import {
+  RECORD_KINDS,
+  buildRecord,
+  deletePatient as removePatient,
+  listPatients,
+  listRecords,
+  savePatient,
+  saveRecord as persistRecord,
+  todayVisitDate,
+} from './patientStore';
+import { readString, writeString } from './settingsStorage';
+
+const ACTIVE_PATIENT_KEY = 'spineai.activePatientId';
+
+const PatientContext = createContext(null);
+
+/**
+ * Holds the active patient and visit date, and the records saved against them.
+ * Without an active patient, records are kept in memory for the session only.
+ */
+export const PatientProvider = ({ children }) => {
+  const [patients, setPatients] = useState([]);
+  const [activePatientId, setActivePatientId] = useState(() => readString(ACTIVE_PATIENT_KEY));
+  const [visitDate, setVisitDate] = useState(todayVisitDate);
+  const [records, setRecords] = useState([]);
+  const [storeError, setStoreError] = useState(null);
+
+  useEffect(() => {
+    listPatients()
+      .then(setPatients)
+      .catch((err) => setStoreError(err.message));
+  }, []);
+
+  useEffect(() => {
+    writeString(ACTIVE_PATIENT_KEY, activePatientId);
+    if (!activePatientId) {
+      setRecords([]);
+      return;
+    }
+    let cancelled = false;
+    listRecords(activePatientId)
+      .then((loaded) => {
+        if (!cancelled) setRecords(loaded);
+      })
+      .catch((err) => setStoreError(err.message));
+    return () => {
+      cancelled = true;
+    };
+  }, [activePatientId]);
+
+  const activePatient = patients.find((patient) => patient.id === activePatientId) || null;
+
+  const addPatient = useCallback(async (patient) => {
+    const saved = await savePatient(patient);
+    setPatients((prev) =>
+      [...prev.filter((p) => p.id !== saved.id), saved].sort((a, b) => a.name.localeCompare(b.name))
+    );
+    setActivePatientId(saved.id);
+    return saved;
+  }, []);
+
+  const deletePatient = useCallback(async (patientId) => {
+    await removePatient(patientId);
+    setPatients((prev) => prev.filter((p) => p.id !== patientId));
+    setActivePatientId((current) => (current === patientId ? null : current));
+  }, []);
+
+  /**
+   * Save an output against the active patient and visit. Pass `id` to replace
+   * an earlier record (e.g. a chat transcript that grows over the visit).
+   */
+  const saveRecord = useCallback(
+    async (kind, data, { id } = {}) => {
+      const record = buildRecord({ id, patientId: activePatientId, visitDate, kind, data });
+      setRecords((prev) => [...prev.filter((r) => r.id !== record.id), record]);
+      if (activePatientId) {
+        try {
+          await persistRecord(record);
+        } catch (err) {
+          setStoreError(err.message);
+        }
+      }
+      return record;
+    },
+    [activePatientId, visitDate]
+  );
+
+  /**
+   * Store a record that was built for a specific patient and visit, e.g. a
+   * queued request that completed after the user moved on.
+   */
+  const ingestRecord = useCallback(
+    async (record) => {
+      if (record.patientId) await persistRecord(record);
+      if (record.patientId === activePatientId) {
+        setRecords((prev) => [...prev.filter((r) => r.id !== record.id), record]);
+      }
+    },
+    [activePatientId]
+  );
+
+  const visitRecords = useMemo(
+    () => records.filter((record) => record.visitDate === visitDate),
+    [records, visitDate]
+  );
+
+  /**
+   * Most recent record of the given kind(s) for the current visit.
+   */
+  const getLatestRecord = useCallback(
+    (...kinds) => {
+      for (let i = visitRecords.length - 1; i >= 0; i -= 1) {
+        if (kinds.includes(visitRecords[i].kind)) return visitRecords[i];
+      }
+      return null;
+    },
+    [visitRecords]
+  );
+
+  /**
+   * Posture findings text for the current visit, from whichever cloud analysis,
+   * offline analysis or exam session was saved last.
+   */
+  const postureFindings = useMemo(() => {
+    const record = getLatestRecord(RECORD_KINDS.POSTURE, RECORD_KINDS.OFFLINE_POSTURE, RECORD_KINDS.EXAM_SESSION);
+    if (!record) return null;
+    if (record.kind === RECORD_KINDS.POSTURE) return record.data.content;
+    if (record.kind === RECORD_KINDS.EXAM_SESSION) return record.data.report;
+    return record.data.soapNote;
+  }, [getLatestRecord]);
+
+  const value = {
+    patients,
+    activePatient,
+    activePatientId,
+    setActivePatientId,
+    visitDate,
+    setVisitDate,
+    records,
+    visitRecords,
+    addPatient,
+    deletePatient,
+    saveRecord,
+    ingestRecord,
+    getLatestRecord,
+    postureFindings,
+    storeError,
+  };
+
+  return <PatientContext.Provider value={value}>{children}</PatientContext.Provider>;
+};
+
+/**
+ * Access the active patient, visit and record helpers.
+ */
+const usePatient = () => {
+  const context = useContext(PatientContext);
+  if (!context) {
+    throw new Error('usePatient must be used inside a PatientProvider');
+  }
+  return context;
+};
+
+export default usePatient;
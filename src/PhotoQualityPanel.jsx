@@ -0,0 +1,78 @@
+import React, { useState } from 'react';
+
+const LEVEL_STYLES = {
+  good: 'bg-emerald-500/20 text-emerald-400',
+  fair: 'bg-amber-500/20 text-amber-400',
+  poor: 'bg-red-500/20 text-red-400',
+};
+
+const LEVEL_LABELS = {
+  good: 'Good photo',
+  fair: 'Usable with caution',
+  poor: 'Retake recommended',
+};
+
+/**
+ * Photo quality summary for an analysis: level, retake guidance, camera tilt
+ * and (on demand) visibility of each landmark.
+ */
+const PhotoQualityPanel = ({ quality, refused }) => {
+  const [showLandmarks, setShowLandmarks] = useState(false);
+  if (!quality) return null;
+
+  return (
+    <div className={`glass-card rounded-2xl p-6 ${refused ? 'border border-red-500/30' : ''}`}>
+      <div className="flex items-center justify-between mb-3">
+        <h3 className="text-sm font-medium text-white">🔍 Photo Quality</h3>
+        <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${LEVEL_STYLES[quality.level]}`}>
+          {LEVEL_LABELS[quality.level]}
+        </span>
+      </div>
+
+      {refused && (
+        <p className="text-sm text-red-400 mb-3">No score was given because the metrics would be misleading.</p>
+      )}
+
+      {quality.issues.length > 0 ? (
+        <ul className="space-y-2 text-sm text-gray-300">
+          {quality.issues.map((issue) => (
+            <li key={issue.code} className="flex gap-2">
+              <span className="text-amber-400">•</span>
+              <span>{issue.message}</span>
+            </li>
+          ))}
+        </ul>
+      ) : (
+        <p className="text-sm text-gray-400">Full body in frame and all key landmarks clearly visible.</p>
+      )}
+
+      <p className="text-xs text-gray-500 mt-3">
+        {quality.tilt
+          ? `Camera tilt ${Math.abs(quality.tilt.degrees).toFixed(1)}° (from ${quality.tilt.source === 'device' ? 'device sensor' : 'background verticals'})`
+          : 'Camera tilt could not be estimated'}
+      </p>
+
+      <button onClick={() => setShowLandmarks(!showLandmarks)} className="text-xs text-teal-400 hover:text-teal-300 mt-3">
+        {showLandmarks ? 'Hide landmark visibility' : 'Show landmark visibility'}
+      </button>
+      {showLandmarks && (
+        <div className="grid grid-cols-2 gap-x-4 gap-y-1 mt-3">
+          {Object.entries(quality.visibility).map(([name, value]) => (
+            <div key={name} className="flex items-center gap-2 text-xs">
+              <span className="w-24 text-gray-400 capitalize truncate">{name}</span>
+              <div className="flex-1 h-1.5 bg-white/10 rounded-full overflow-hidden">
+                <div
+                  className={`h-full ${value >= 0.8 ? 'bg-emerald-400' : value >= 0.5 ? 'bg-amber-400' : 'bg-red-400'}`}
+                  style={{ width: `${Math.round(value * 100)}%` }}
+                />
+              </div>
+              <span className="w-8 text-right text-gray-500">{Math.round(value * 100)}%</span>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PhotoQualityPanel;
@@ -0,0 +1,231 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import usePatient from './PatientContext';
+import { RECORD_KINDS } from './patientStore';
+import { LANDMARKS, drawSkeleton, formatMetricValue, getMidpoint, getStatusEmoji } from './OfflinePostureAnalyzer';
+
+const STATUS_RANK = { good: 0, moderate: 1, poor: 2 };
+
+const GHOST_STYLE = {
+  lineColor: 'rgba(255, 255, 255, 0.9)',
+  pointColor: '#E5E7EB',
+  noseColor: '#E5E7EB',
+  alpha: 0.45,
+};
+
+const bodyFrame = (landmarks) => {
+  const midShoulder = getMidpoint(landmarks[LANDMARKS.LEFT_SHOULDER], landmarks[LANDMARKS.RIGHT_SHOULDER]);
+  const midHip = getMidpoint(landmarks[LANDMARKS.LEFT_HIP], landmarks[LANDMARKS.RIGHT_HIP]);
+  const torso = Math.hypot(midShoulder.x - midHip.x, midShoulder.y - midHip.y) || 1;
+  return { midHip, torso };
+};
+
+/**
+ * Move and scale the earlier skeleton so its hips and torso length line up with
+ * the later one. Photos are rarely taken at the same distance, and without this
+ * the ghost shows framing differences rather than posture change.
+ */
+export const alignLandmarks = (landmarks, target) => {
+  const from = bodyFrame(landmarks);
+  const to = bodyFrame(target);
+  const scale = to.torso / from.torso;
+  return landmarks.map((point) => ({
+    ...point,
+    x: to.midHip.x + (point.x - from.midHip.x) * scale,
+    y: to.midHip.y + (point.y - from.midHip.y) * scale,
+  }));
+};
+
+const captureLabel = (record) => {
+  const time = new Date(record.data.analysis.timestamp).toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' });
+  return `${record.visitDate} ${time} · score ${record.data.analysis.overallScore}`;
+};
+
+/**
+ * Draws a stored capture with one or more skeletons over it.
+ */
+const CaptureCanvas = ({ image, layers }) => {
+  const canvasRef = useRef(null);
+
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas || !image) return;
+    let cancelled = false;
+    const img = new Image();
+    img.onload = () => {
+      if (cancelled) return;
+      canvas.width = img.width;
+      canvas.height = img.height;
+      const ctx = canvas.getContext('2d');
+      ctx.drawImage(img, 0, 0);
+      layers.forEach(({ landmarks, analysis, style }) =>
+        drawSkeleton(ctx, landmarks, analysis, canvas.width, canvas.height, style)
+      );
+    };
+    img.src = image;
+    return () => {
+      cancelled = true;
+    };
+  }, [image, layers]);
+
+  return <canvas ref={canvasRef} className="w-full rounded-xl bg-slate-900/50" />;
+};
+
+/**
+ * Side-by-side before/after view of two captures of the same view, with a
+ * merged overlay and per-metric deltas.
+ */
+const PostureComparison = () => {
+  const { records, activePatient } = usePatient();
+  const captures = useMemo(
+    () => records.filter((record) => record.kind === RECORD_KINDS.OFFLINE_POSTURE && record.data.landmarks && record.data.image),
+    [records]
+  );
+  const [beforeId, setBeforeId] = useState('');
+  const [afterId, setAfterId] = useState('');
+
+  useEffect(() => {
+    // Default to the first and latest capture of the latest capture's view
+    if (captures.length < 2) return;
+    const latest = captures[captures.length - 1];
+    const first = captures.find((record) => record.data.analysis.viewType === latest.data.analysis.viewType);
+    setAfterId((current) => (captures.some((r) => r.id === current) ? current : latest.id));
+    setBeforeId((current) => (captures.some((r) => r.id === current) ? current : first.id));
+  }, [captures]);
+
+  const before = captures.find((record) => record.id === beforeId);
+  const after = captures.find((record) => record.id === afterId);
+  const sameView = before && after && before.data.analysis.viewType === after.data.analysis.viewType;
+
+  const layers = useMemo(() => {
+    if (!sameView) return null;
+    return {
+      before: [{ landmarks: before.data.landmarks, analysis: before.data.analysis }],
+      after: [{ landmarks: after.data.landmarks, analysis: after.data.analysis }],
+      merged: [
+        { landmarks: alignLandmarks(before.data.landmarks, after.data.landmarks), analysis: null, style: GHOST_STYLE },
+        { landmarks: after.data.landmarks, analysis: after.data.analysis },
+      ],
+    };
+  }, [before, after, sameView]);
+
+  const handleBeforeChange = (id) => {
+    setBeforeId(id);
+    const viewType = captures.find((record) => record.id === id)?.data.analysis.viewType;
+    if (after && after.data.analysis.viewType === viewType && after.id !== id) return;
+    const candidates = captures.filter((record) => record.data.analysis.viewType === viewType && record.id !== id);
+    setAfterId(candidates.length ? candidates[candidates.length - 1].id : '');
+  };
+
+  if (!activePatient || captures.length < 2) return null;
+
+  const afterChoices = before
+    ? captures.filter((record) => record.data.analysis.viewType === before.data.analysis.viewType && record.id !== before.id)
+    : captures;
+
+  const rows = sameView
+    ? Object.entries(after.data.analysis.metrics)
+        .filter(([key]) => before.data.analysis.metrics[key])
+        .map(([key, metric]) => {
+          const previous = before.data.analysis.metrics[key];
+          const delta = parseFloat((metric.value - previous.value).toFixed(1));
+          const trend = STATUS_RANK[metric.status] - STATUS_RANK[previous.status] ||
+            Math.sign(metric.thresholds?.higherIsBetter ? -delta : delta);
+          return { key, label: metric.label, before: previous, after: metric, delta, trend };
+        })
+    : [];
+
+  return (
+    <div className="glass-card rounded-2xl p-6 glow-teal">
+      <div className="flex flex-col gap-3 sm:flex-row sm:items-center sm:justify-between mb-4">
+        <h3 className="text-lg font-serif text-white">🔀 Before / After</h3>
+        <div className="flex flex-col sm:flex-row gap-2">
+          <select
+            value={beforeId}
+            onChange={(event) => handleBeforeChange(event.target.value)}
+            className="bg-white/5 border border-white/10 rounded-lg px-3 py-2 text-xs text-white focus:outline-none"
+          >
+            {captures.map((record) => (
+              <option key={record.id} value={record.id}>
+                Before: {record.data.analysis.viewType} · {captureLabel(record)}
+              </option>
+            ))}
+          </select>
+          <select
+            value={afterId}
+            onChange={(event) => setAfterId(event.target.value)}
+            className="bg-white/5 border border-white/10 rounded-lg px-3 py-2 text-xs text-white focus:outline-none"
+          >
+            {afterChoices.map((record) => (
+              <option key={record.id} value={record.id}>
+                After: {captureLabel(record)}
+              </option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      {!sameView ? (
+        <p className="text-sm text-gray-500 py-6 text-center">Pick two captures of the same view to compare.</p>
+      ) : (
+        <>
+          <div className="grid sm:grid-cols-3 gap-3 mb-6">
+            <div>
+              <p className="text-xs text-gray-400 mb-2">Before · {before.visitDate}</p>
+              <CaptureCanvas image={before.data.image} layers={layers.before} />
+            </div>
+            <div>
+              <p className="text-xs text-gray-400 mb-2">After · {after.visitDate}</p>
+              <CaptureCanvas image={after.data.image} layers={layers.after} />
+            </div>
+            <div>
+              <p className="text-xs text-gray-400 mb-2">Overlay (before ghosted)</p>
+              <CaptureCanvas image={after.data.image} layers={layers.merged} />
+            </div>
+          </div>
+
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-xs text-gray-500 border-b border-white/10">
+                  <th className="text-left py-2 font-medium">Metric</th>
+                  <th className="text-right py-2 font-medium">Before</th>
+                  <th className="text-right py-2 font-medium">After</th>
+                  <th className="text-right py-2 font-medium">Δ</th>
+                  <th className="text-right py-2 font-medium">Status</th>
+                </tr>
+              </thead>
+              <tbody>
+                {rows.map((row) => (
+                  <tr key={row.key} className="border-b border-white/5 text-gray-300">
+                    <td className="py-2">{row.label}</td>
+                    <td className="py-2 text-right">{formatMetricValue(row.before)}</td>
+                    <td className="py-2 text-right">{formatMetricValue(row.after)}</td>
+                    <td className={`py-2 text-right font-medium ${row.trend < 0 ? 'text-emerald-400' : row.trend > 0 ? 'text-red-400' : 'text-gray-400'}`}>
+                      {row.delta > 0 ? '+' : ''}
+                      {formatMetricValue({ ...row.after, value: row.delta })}
+                    </td>
+                    <td className="py-2 text-right">
+                      {getStatusEmoji(row.before.status)} → {getStatusEmoji(row.after.status)}
+                    </td>
+                  </tr>
+                ))}
+                <tr className="text-gray-200 font-medium">
+                  <td className="py-2">Overall Score</td>
+                  <td className="py-2 text-right">{before.data.analysis.overallScore}</td>
+                  <td className="py-2 text-right">{after.data.analysis.overallScore}</td>
+                  <td className="py-2 text-right">
+                    {after.data.analysis.overallScore - before.data.analysis.overallScore > 0 ? '+' : ''}
+                    {after.data.analysis.overallScore - before.data.analysis.overallScore}
+                  </td>
+                  <td />
+                </tr>
+              </tbody>
+            </table>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default PostureComparison;
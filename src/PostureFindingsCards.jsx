@@ -0,0 +1,58 @@
+import React from 'react';
+import { regionLabel } from './postureFindings';
+
+const SEVERITY_STYLES = {
+  MILD: 'bg-emerald-500/20 text-emerald-400 border-emerald-500/30',
+  MODERATE: 'bg-amber-500/20 text-amber-400 border-amber-500/30',
+  SIGNIFICANT: 'bg-red-500/20 text-red-400 border-red-500/30',
+};
+
+const SIDE_LABELS = {
+  left: 'Left',
+  right: 'Right',
+  bilateral: 'Bilateral',
+  central: 'Midline',
+};
+
+/**
+ * Structured posture findings as severity-badged cards, highest priority first.
+ */
+const PostureFindingsCards = ({ findings }) => (
+  <div className="space-y-4">
+    {findings.summary && <p className="text-gray-300 text-sm leading-relaxed">{findings.summary}</p>}
+
+    <div className="grid gap-3">
+      {findings.regions.map((entry) => (
+        <div key={`${entry.region}-${entry.priority}`} className={`p-4 rounded-xl border ${SEVERITY_STYLES[entry.severity]}`}>
+          <div className="flex items-center justify-between gap-3 mb-2">
+            <div className="flex items-center gap-2">
+              <span className="w-6 h-6 rounded-full bg-white/10 text-white text-xs font-medium flex items-center justify-center">
+                {entry.priority}
+              </span>
+              <span className="text-white font-medium text-sm">{regionLabel(entry.region)}</span>
+            </div>
+            <span className="px-2 py-0.5 rounded-full text-xs font-medium border border-current">{entry.severity}</span>
+          </div>
+          <p className="text-gray-200 text-sm">{entry.finding}</p>
+          <div className="flex gap-4 mt-2 text-xs text-gray-400">
+            <span>{SIDE_LABELS[entry.side]}</span>
+            {entry.degrees != null && <span>~{entry.degrees}°</span>}
+          </div>
+        </div>
+      ))}
+    </div>
+
+    {findings.recommendations.length > 0 && (
+      <div>
+        <h3 className="text-md font-medium text-white mb-2">Clinical Recommendations</h3>
+        <ol className="list-decimal pl-5 space-y-1 text-sm text-gray-300">
+          {findings.recommendations.map((item, i) => (
+            <li key={i}>{item}</li>
+          ))}
+        </ol>
+      </div>
+    )}
+  </div>
+);
+
+export default PostureFindingsCards;
@@ -0,0 +1,220 @@
+import React, { useMemo, useState } from 'react';
+import usePatient from './PatientContext';
+import { RECORD_KINDS } from './patientStore';
+import { FRONTAL_THRESHOLDS, LATERAL_THRESHOLDS, LEGACY_LATERAL_THRESHOLDS } from './postureThresholds';
+import { formatMetricValue } from './OfflinePostureAnalyzer';
+
+// How far a metric must move to count as a change, by unit: degrees for
+// angles, percentage points of hip width for weight shift and stance width
+const CHANGE_TOLERANCE = { '°': 1, '%': 5 };
+
+const changeTolerance = (metric) => CHANGE_TOLERANCE[metric.unit ?? '°'] ?? CHANGE_TOLERANCE['°'];
+
+const STATUS_RANK = { good: 0, moderate: 1, poor: 2 };
+
+const SCORE_THRESHOLDS = { good: 80, moderate: 50 };
+
+const CHART = { width: 320, height: 140, padLeft: 32, padRight: 12, padTop: 10, padBottom: 24 };
+
+/**
+ * One point per visit: the last offline analysis of the given view on each visit date.
+ */
+export const buildVisitSeries = (records, viewType) => {
+  const byVisit = new Map();
+  records
+    .filter((record) => record.kind === RECORD_KINDS.OFFLINE_POSTURE && record.data.analysis?.viewType === viewType)
+    .forEach((record) => byVisit.set(record.visitDate, record));
+  return [...byVisit.values()].sort((a, b) => (a.visitDate < b.visitDate ? -1 : 1));
+};
+
+/**
+ * Metrics that got worse between the previous visit and the latest one.
+ */
+export const findRegressions = (series) => {
+  if (series.length < 2) return [];
+  const previous = series[series.length - 2].data.analysis;
+  const latest = series[series.length - 1].data.analysis;
+
+  return Object.entries(latest.metrics)
+    .filter(([key]) => previous.metrics[key])
+    .map(([key, metric]) => ({ key, metric, before: previous.metrics[key] }))
+    .filter(({ metric, before }) =>
+      STATUS_RANK[metric.status] > STATUS_RANK[before.status] ||
+      (metric.thresholds?.higherIsBetter ? before.value - metric.value : metric.value - before.value) > changeTolerance(metric)
+    );
+};
+
+// Analyses saved before metrics carried their own thresholds fall back to the defaults
+const thresholdsFor = (key, metric, viewType) => {
+  if (metric.thresholds) return metric.thresholds;
+  const constantKey = key.replace(/([A-Z])/g, '_$1').toUpperCase();
+  return (viewType === 'frontal' ? FRONTAL_THRESHOLDS : { ...LATERAL_THRESHOLDS, ...LEGACY_LATERAL_THRESHOLDS })[constantKey];
+};
+
+const formatVisitDate = (visitDate) => {
+  const [year, month, day] = visitDate.split('-').map(Number);
+  return new Date(year, month - 1, day).toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+};
+
+/**
+ * Small SVG line chart with good/moderate/poor bands behind the series.
+ * `higherIsBetter` flips the bands for scores.
+ */
+const TrendChart = ({ title, unit, points, thresholds, higherIsBetter = false }) => {
+  const { width, height, padLeft, padRight, padTop, padBottom } = CHART;
+  const plotWidth = width - padLeft - padRight;
+  const plotHeight = height - padTop - padBottom;
+
+  const maxValue = higherIsBetter
+    ? 100
+    : Math.max(thresholds.moderate * 1.5, ...points.map((p) => p.value)) || 1;
+  const toY = (value) => padTop + plotHeight - (Math.min(value, maxValue) / maxValue) * plotHeight;
+  const toX = (index) =>
+    padLeft + (points.length === 1 ? plotWidth / 2 : (index / (points.length - 1)) * plotWidth);
+
+  const bands = higherIsBetter
+    ? [
+        { from: thresholds.good, to: maxValue, color: 'rgba(16, 185, 129, 0.12)' },
+        { from: thresholds.moderate, to: thresholds.good, color: 'rgba(245, 158, 11, 0.12)' },
+        { from: 0, to: thresholds.moderate, color: 'rgba(239, 68, 68, 0.12)' },
+      ]
+    : [
+        { from: 0, to: thresholds.good, color: 'rgba(16, 185, 129, 0.12)' },
+        { from: thresholds.good, to: thresholds.moderate, color: 'rgba(245, 158, 11, 0.12)' },
+        { from: thresholds.moderate, to: maxValue, color: 'rgba(239, 68, 68, 0.12)' },
+      ];
+
+  const path = points.map((p, i) => `${i === 0 ? 'M' : 'L'}${toX(i)},${toY(p.value)}`).join(' ');
+
+  return (
+    <div className="bg-white/5 rounded-xl p-3">
+      <div className="flex items-center justify-between mb-1">
+        <span className="text-xs font-medium text-gray-300">{title}</span>
+        <span className="text-xs text-gray-500">
+          {points[points.length - 1].value}
+          {unit}
+        </span>
+      </div>
+      <svg viewBox={`0 0 ${width} ${height}`} className="w-full">
+        {bands.map((band, i) => (
+          <rect
+            key={i}
+            x={padLeft}
+            y={toY(band.to)}
+            width={plotWidth}
+            height={Math.max(0, toY(band.from) - toY(band.to))}
+            fill={band.color}
+          />
+        ))}
+        {[thresholds.good, thresholds.moderate].map((value) => (
+          <g key={value}>
+            <line x1={padLeft} x2={width - padRight} y1={toY(value)} y2={toY(value)} stroke="rgba(255,255,255,0.15)" strokeDasharray="4 4" />
+            <text x={padLeft - 4} y={toY(value) + 3} fontSize="9" fill="#9CA3AF" textAnchor="end">
+              {value}
+            </text>
+          </g>
+        ))}
+        <path d={path} fill="none" stroke="#2DD4BF" strokeWidth="2" />
+        {points.map((p, i) => (
+          <g key={p.visitDate}>
+            <circle cx={toX(i)} cy={toY(p.value)} r="3.5" fill="#2DD4BF" stroke="white" strokeWidth="1" />
+            <text x={toX(i)} y={height - 8} fontSize="9" fill="#9CA3AF" textAnchor="middle">
+              {formatVisitDate(p.visitDate)}
+            </text>
+          </g>
+        ))}
+      </svg>
+    </div>
+  );
+};
+
+/**
+ * Per-patient progress across visits for the offline posture metrics.
+ */
+const PostureTrends = () => {
+  const { records, activePatient } = usePatient();
+  const [viewType, setViewType] = useState('frontal');
+
+  const series = useMemo(() => buildVisitSeries(records, viewType), [records, viewType]);
+  const regressions = useMemo(() => findRegressions(series), [series]);
+
+  if (!activePatient) {
+    return (
+      <div className="glass-card rounded-2xl p-6 text-sm text-gray-500">
+        Select a patient to track posture trends across visits.
+      </div>
+    );
+  }
+
+  const latest = series.length ? series[series.length - 1].data.analysis : null;
+
+  return (
+    <div className="glass-card rounded-2xl p-6 glow-teal">
+      <div className="flex items-center justify-between mb-4">
+        <div>
+          <h3 className="text-lg font-serif text-white">📈 Posture Trends</h3>
+          <p className="text-xs text-gray-500">{activePatient.name} · {series.length} {series.length === 1 ? 'visit' : 'visits'}</p>
+        </div>
+        <div className="flex gap-1 bg-white/5 rounded-full p-1">
+          {['frontal', 'lateral'].map((type) => (
+            <button
+              key={type}
+              onClick={() => setViewType(type)}
+              className={`px-3 py-1 rounded-full text-xs font-medium transition-all ${viewType === type ? 'bg-teal-500/20 text-teal-400' : 'text-gray-400 hover:text-white'}`}
+            >
+              {type === 'frontal' ? 'Frontal' : 'Lateral'}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {!latest ? (
+        <p className="text-sm text-gray-500 py-6 text-center">No {viewType} analyses saved for this patient yet.</p>
+      ) : (
+        <>
+          {regressions.length > 0 && (
+            <div className="mb-4 rounded-xl border border-red-500/30 bg-red-500/10 px-4 py-3">
+              <p className="text-sm font-medium text-red-400 mb-1">Worse since last visit</p>
+              <ul className="text-xs text-red-300/80 space-y-1">
+                {regressions.map(({ key, metric, before }) => (
+                  <li key={key}>
+                    • {metric.label}: {formatMetricValue(before)} → {formatMetricValue(metric)} ({before.status} → {metric.status})
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+
+          <div className="grid sm:grid-cols-2 gap-3">
+            <TrendChart
+              title="Overall Score"
+              unit="/100"
+              thresholds={SCORE_THRESHOLDS}
+              higherIsBetter
+              points={series.map((record) => ({ visitDate: record.visitDate, value: record.data.analysis.overallScore }))}
+            />
+            {Object.entries(latest.metrics).map(([key, metric]) => {
+              const thresholds = thresholdsFor(key, metric, viewType);
+              if (!thresholds) return null;
+              const points = series
+                .filter((record) => record.data.analysis.metrics[key])
+                .map((record) => ({ visitDate: record.visitDate, value: record.data.analysis.metrics[key].value }));
+              return (
+                <TrendChart
+                  key={key}
+                  title={metric.label}
+                  unit={metric.unit ?? '°'}
+                  thresholds={thresholds}
+                  higherIsBetter={thresholds.higherIsBetter}
+                  points={points}
+                />
+              );
+            })}
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default PostureTrends;
@@ -0,0 +1,118 @@
+import React from 'react';
+import { THRESHOLD_LABELS, profileStore, usePostureProfiles } from './postureProfiles';
+import { SettingsActions, SettingsList, SettingsNameRow, SettingsSelect, useSettingsEditor } from './SettingsEditor';
+
+const VIEWS = [
+  { id: 'frontal', label: 'Frontal view (symmetry)' },
+  { id: 'lateral', label: 'Lateral view (forward posture)' },
+];
+
+/**
+ * Profile picker for a single analysis. `value` is a profile id.
+ */
+export const ProfileSelect = ({ value, onChange, className = '' }) => {
+  const { profiles } = usePostureProfiles();
+  return <SettingsSelect label="Norms" items={profiles} value={value} onChange={onChange} className={className} />;
+};
+
+// Inputs hold '' while being edited
+const isNonNegative = (value) => typeof value === 'number' && Number.isFinite(value) && value >= 0;
+
+const validateProfile = (profile) => {
+  if (!profile.name.trim()) return 'Give the profile a name.';
+  for (const view of VIEWS) {
+    for (const [key, value] of Object.entries(profile[view.id])) {
+      const label = THRESHOLD_LABELS[view.id][key] || key;
+      if (!isNonNegative(value.good) || !isNonNegative(value.moderate)) return `${label}: cutoffs must be numbers of 0 or more.`;
+      if (value.higherIsBetter ? value.moderate > value.good : value.moderate < value.good) {
+        return `${label}: the moderate cutoff must be ${value.higherIsBetter ? 'at most' : 'at least'} the good cutoff.`;
+      }
+      if (!isNonNegative(value.weight)) return `${label}: weight must be 0 or more.`;
+    }
+  }
+  return null;
+};
+
+/**
+ * Settings screen for posture norm profiles: edit cutoffs and weights, save
+ * named profiles and choose the clinic default.
+ */
+const ProfileSettings = () => {
+  const editor = useSettingsEditor(profileStore, {
+    validate: validateProfile,
+    savedText: 'Profile saved. New analyses using it will be scored with these values.',
+  });
+  const { draft, setDraft } = editor;
+
+  if (!draft) return null;
+
+  const updateValue = (view, key, field, value) => {
+    setDraft((prev) => ({
+      ...prev,
+      [view]: { ...prev[view], [key]: { ...prev[view][key], [field]: value === '' ? '' : Number(value) } },
+    }));
+  };
+
+  return (
+    <div className="grid lg:grid-cols-3 gap-8">
+      <SettingsList
+        editor={editor}
+        title="Posture Norms"
+        intro="Profiles set the good/moderate cutoffs (degrees unless noted) and how much each metric counts toward the overall score. Cutoffs are maximums, except ≥ metrics where higher values are better."
+        cardClass="glow-teal"
+        selectedClass="bg-teal-500/20 text-teal-400"
+      />
+
+      <div className="lg:col-span-2 glass-card rounded-2xl p-6">
+        <SettingsNameRow editor={editor} focusClass="focus:border-teal-400/50" className="mb-6" />
+
+        {VIEWS.map((view) => (
+          <div key={view.id} className="mb-6">
+            <h3 className="text-sm font-medium text-white mb-3">{view.label}</h3>
+            <div className="overflow-x-auto">
+              <table className="w-full text-sm">
+                <thead>
+                  <tr className="text-xs text-gray-500 text-left">
+                    <th className="py-2 font-medium">Metric</th>
+                    <th className="py-2 font-medium">Good</th>
+                    <th className="py-2 font-medium">Moderate</th>
+                    <th className="py-2 font-medium">Weight</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {Object.entries(draft[view.id]).map(([key, value]) => (
+                    <tr key={key} className="border-t border-white/5">
+                      <td className="py-2 text-gray-300">{THRESHOLD_LABELS[view.id][key] || key}</td>
+                      {['good', 'moderate', 'weight'].map((field) => (
+                        <td key={field} className="py-2 pr-3">
+                          <input
+                            type="number"
+                            min="0"
+                            step={field === 'weight' ? 0.5 : 1}
+                            value={value[field]}
+                            onChange={(event) => updateValue(view.id, key, field, event.target.value)}
+                            className="w-20 bg-white/5 border border-white/10 rounded-lg px-2 py-1 text-white focus:outline-none"
+                          />
+                        </td>
+                      ))}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        ))}
+
+        <SettingsActions
+          editor={editor}
+          noun="profile"
+          duplicateLabel="Save as new profile"
+          saveClass="bg-gradient-to-r from-teal-500 to-cyan-500"
+          note="Saved results keep the cutoffs and weights they were scored with, so changing a profile does not alter past scores."
+        />
+      </div>
+    </div>
+  );
+};
+
+export default ProfileSettings;
@@ -0,0 +1,60 @@
+import React from "react";
+
+/**
+ * Renders model markdown output, styling lines by their prefix.
+ */
+function ResultsRenderer({ content }) {
+  const lines = content.split("\n");
+
+  return (
+    <div className="space-y-2">
+      {lines.map((line, index) => {
+        if (line.startsWith("## ")) {
+          return (
+            <h2 key={index} className="text-lg font-serif text-teal-400 mt-6 mb-3 first:mt-0">
+              {line.replace("## ", "")}
+            </h2>
+          );
+        }
+        if (line.startsWith("### ")) {
+          return (
+            <h3 key={index} className="text-md font-medium text-white mt-4 mb-2">
+              {line.replace("### ", "")}
+            </h3>
+          );
+        }
+        if (line.startsWith("**") && line.endsWith("**")) {
+          return (
+            <p key={index} className="text-orange-400 font-medium mt-4 mb-2">
+              {line.replace(/\*\*/g, "")}
+            </p>
+          );
+        }
+        if (line.startsWith("- ") || line.startsWith("• ")) {
+          return (
+            <p key={index} className="pl-4 text-gray-300">
+              {line}
+            </p>
+          );
+        }
+        if (/^\d+\./.test(line)) {
+          return (
+            <p key={index} className="pl-4 text-gray-300">
+              {line}
+            </p>
+          );
+        }
+        if (!line.trim()) {
+          return <div key={index} className="h-2" />;
+        }
+        return (
+          <p key={index} className="text-gray-300">
+            {line}
+          </p>
+        );
+      })}
+    </div>
+  );
+}
+
+export default ResultsRenderer;
@@ -0,0 +1,157 @@
+import React, { useEffect, useState } from 'react';
+import { createId } from './db';
+
+/**
+ * Building blocks for the settings screens of a `createSettingsStore` list
+ * (posture profiles, SOAP templates): a picker, the list of items, and the
+ * draft being edited with save, duplicate and delete.
+ */
+
+/**
+ * Picker for a single analysis or note. `value` is an item id.
+ */
+export const SettingsSelect = ({ label, items, value, onChange, className = '' }) => (
+  <label className={`flex items-center gap-2 text-sm text-gray-400 ${className}`}>
+    {label}
+    <select
+      value={value}
+      onChange={(event) => onChange(event.target.value)}
+      className="flex-1 bg-white/5 border border-white/10 rounded-lg px-3 py-2 text-sm text-white focus:outline-none"
+    >
+      {items.map((item) => (
+        <option key={item.id} value={item.id}>
+          {item.name}
+        </option>
+      ))}
+    </select>
+  </label>
+);
+
+/**
+ * Selection and draft state for a settings screen. `validate` returns an
+ * error message or null; drafts are saved only when it passes.
+ */
+export const useSettingsEditor = (store, { validate, savedText }) => {
+  const { items, active } = store.useItems();
+  const [selectedId, setSelectedId] = useState(active.id);
+  const [draft, setDraft] = useState(null);
+  const [message, setMessage] = useState(null);
+
+  const selected = items.find((item) => item.id === selectedId) || active;
+
+  useEffect(() => {
+    setDraft(JSON.parse(JSON.stringify(selected)));
+  }, [selected]);
+
+  useEffect(() => setMessage(null), [selectedId]);
+
+  const saveValid = (item) => {
+    const error = validate(item);
+    if (error) {
+      setMessage({ type: 'error', text: error });
+      return false;
+    }
+    store.save(item);
+    return true;
+  };
+
+  const handleSave = () => {
+    if (saveValid({ ...draft, name: draft.name.trim() })) setMessage({ type: 'ok', text: savedText });
+  };
+
+  const handleDuplicate = () => {
+    const copy = { ...JSON.parse(JSON.stringify(draft)), id: createId(), name: `${draft.name.trim()} (copy)`, builtIn: false };
+    if (saveValid(copy)) setSelectedId(copy.id);
+  };
+
+  const handleDelete = () => {
+    store.remove(selected.id);
+    if (!selected.builtIn) setSelectedId(store.defaultId);
+  };
+
+  return {
+    items,
+    active,
+    selected,
+    select: setSelectedId,
+    makeDefault: () => store.setActiveId(selected.id),
+    draft,
+    setDraft,
+    message,
+    handleSave,
+    handleDuplicate,
+    handleDelete,
+  };
+};
+
+/**
+ * The items to choose from, marked default, built-in or custom.
+ */
+export const SettingsList = ({ editor, title, intro, cardClass, selectedClass }) => (
+  <div className={`glass-card rounded-2xl p-6 ${cardClass}`}>
+    <h2 className="text-xl font-serif text-white mb-4">{title}</h2>
+    <p className="text-sm text-gray-400 mb-4">{intro}</p>
+    <div className="space-y-2">
+      {editor.items.map((item) => (
+        <button
+          key={item.id}
+          onClick={() => editor.select(item.id)}
+          className={`w-full flex items-center justify-between px-4 py-3 rounded-xl text-sm transition-all ${item.id === editor.selected.id ? selectedClass : 'bg-white/5 text-gray-300 hover:bg-white/10'
+            }`}
+        >
+          <span>{item.name}</span>
+          <span className="text-xs text-gray-500">
+            {item.id === editor.active.id ? 'Default' : item.builtIn ? 'Built-in' : 'Custom'}
+          </span>
+        </button>
+      ))}
+    </div>
+  </div>
+);
+
+/**
+ * Name field for the draft, with a button to make it the clinic default.
+ */
+export const SettingsNameRow = ({ editor, focusClass, className = '' }) => (
+  <div className={`flex flex-col sm:flex-row sm:items-center gap-3 ${className}`}>
+    <input
+      value={editor.draft.name}
+      onChange={(event) => editor.setDraft({ ...editor.draft, name: event.target.value })}
+      className={`flex-1 bg-white/5 border border-white/10 rounded-lg px-3 py-2 text-white focus:outline-none ${focusClass}`}
+    />
+    {editor.selected.id !== editor.active.id && (
+      <button onClick={editor.makeDefault} className="px-4 py-2 rounded-lg bg-white/5 text-gray-300 text-sm hover:bg-white/10">
+        Make default
+      </button>
+    )}
+  </div>
+);
+
+/**
+ * Save, duplicate and delete (or reset, for built-ins) buttons with the last message.
+ */
+export const SettingsActions = ({ editor, noun, duplicateLabel, saveClass, note }) => (
+  <>
+    {editor.message && (
+      <p className={`text-sm mb-4 ${editor.message.type === 'error' ? 'text-red-400' : 'text-emerald-400'}`}>
+        {editor.message.text}
+      </p>
+    )}
+
+    <div className="flex flex-wrap gap-3">
+      <button onClick={editor.handleSave} className={`px-5 py-2 rounded-xl text-white text-sm font-medium hover:opacity-90 ${saveClass}`}>
+        Save {noun}
+      </button>
+      <button onClick={editor.handleDuplicate} className="px-5 py-2 rounded-xl bg-white/5 text-gray-300 text-sm hover:bg-white/10">
+        {duplicateLabel}
+      </button>
+      <button
+        onClick={editor.handleDelete}
+        className="px-5 py-2 rounded-xl bg-white/5 text-gray-400 text-sm hover:bg-red-500/20 hover:text-red-400"
+      >
+        {editor.selected.builtIn ? 'Reset to defaults' : `Delete ${noun}`}
+      </button>
+    </div>
+    <p className="text-xs text-gray-500 mt-4">{note}</p>
+  </>
+);
@@ -0,0 +1,167 @@
+import React, { useRef, useState } from 'react';
+import ResultsRenderer from './ResultsRenderer';
+import { parseSoapNote, replaceSectionBody, stripSectionHeading } from './soapSections';
+
+const INSTRUCTION_EXAMPLES = {
+  subjective: 'e.g. add pain scale and aggravating factors',
+  objective: 'e.g. add ROM values',
+  assessment: 'e.g. list differentials',
+  plan: 'e.g. shorten plan',
+};
+
+/**
+ * SOAP note shown as its SUBJECTIVE/OBJECTIVE/ASSESSMENT/PLAN sections, each
+ * editable inline or regenerable from an instruction while the rest of the
+ * note stays as it is. `onSave` receives the whole note after every change.
+ * @param {{
+ *   note: string,
+ *   onSave: (note: string) => void,
+ *   onRegenerate?: (section: object, instruction: string, options: { signal: AbortSignal, onToken: (text: string) => void }) => Promise<string>,
+ *   regenerateDisabledReason?: string|null,
+ * }} props
+ */
+const SoapNoteEditor = ({ note, onSave, onRegenerate, regenerateDisabledReason = null }) => {
+  const [editing, setEditing] = useState(null);
+  const [draft, setDraft] = useState('');
+  // { index, instruction, running, preview, error }
+  const [regenerating, setRegenerating] = useState(null);
+  const abortRef = useRef(null);
+
+  const parsed = parseSoapNote(note);
+
+  // Notes without recognisable headings are edited as one block
+  if (!parsed.sections.length) {
+    return (
+      <textarea
+        key={note}
+        defaultValue={note}
+        onBlur={(event) => event.target.value !== note && onSave(event.target.value)}
+        className="w-full h-96 bg-white/5 border border-white/10 rounded-xl px-4 py-3 text-gray-300 text-sm focus:outline-none focus:border-orange-400/50"
+      />
+    );
+  }
+
+  const startEditing = (index) => {
+    setEditing(index);
+    setDraft(parsed.sections[index].body.trim());
+  };
+
+  const finishEditing = () => {
+    if (editing == null) return;
+    const next = replaceSectionBody(note, editing, draft);
+    setEditing(null);
+    if (next !== note) onSave(next);
+  };
+
+  const runRegeneration = async () => {
+    const { index, instruction } = regenerating;
+    const controller = new AbortController();
+    abortRef.current = controller;
+    setRegenerating({ ...regenerating, running: true, preview: '', error: null });
+
+    try {
+      const text = await onRegenerate(parsed.sections[index], instruction.trim(), {
+        signal: controller.signal,
+        onToken: (partial) => setRegenerating((prev) => prev && { ...prev, preview: partial }),
+      });
+      // A stopped regeneration leaves the section as it was
+      if (controller.signal.aborted || !text?.trim()) {
+        setRegenerating(null);
+        return;
+      }
+      onSave(replaceSectionBody(note, index, stripSectionHeading(text)));
+      setRegenerating(null);
+    } catch (err) {
+      setRegenerating((prev) => prev && { ...prev, running: false, error: err.message });
+    }
+  };
+
+  return (
+    <div className="space-y-4">
+      {parsed.preamble?.trim() && (
+        <div className="text-gray-300 text-sm whitespace-pre-wrap">
+          <ResultsRenderer content={parsed.preamble.trim()} />
+        </div>
+      )}
+
+      {parsed.sections.map((section, index) => {
+        const isEditing = editing === index;
+        const regen = regenerating?.index === index ? regenerating : null;
+        const busy = Boolean(regenerating?.running);
+
+        return (
+          <div key={index} className="border border-white/10 rounded-xl p-4">
+            <div className="flex items-center justify-between gap-3 mb-2">
+              <h3 className="text-sm font-medium text-orange-400 uppercase tracking-wide">{section.title}</h3>
+              <div className="flex gap-2">
+                <button
+                  // Keep focus in the textarea so its blur doesn't close the editor first
+                  onMouseDown={(event) => isEditing && event.preventDefault()}
+                  onClick={() => (isEditing ? finishEditing() : startEditing(index))}
+                  disabled={busy}
+                  className="px-3 py-1 rounded-lg bg-white/5 text-gray-300 text-xs hover:bg-white/10 disabled:opacity-40"
+                >
+                  {isEditing ? 'Done' : '✏️ Edit'}
+                </button>
+                {onRegenerate && (
+                  <button
+                    onClick={() => setRegenerating(regen ? null : { index, instruction: '', running: false, preview: '', error: null })}
+                    disabled={busy || isEditing || Boolean(regenerateDisabledReason)}
+                    title={regenerateDisabledReason || undefined}
+                    className="px-3 py-1 rounded-lg bg-white/5 text-gray-300 text-xs hover:bg-white/10 disabled:opacity-40"
+                  >
+                    ↻ Regenerate
+                  </button>
+                )}
+              </div>
+            </div>
+
+            {regen && !regen.running && (
+              <div className="flex flex-col sm:flex-row gap-2 mb-3">
+                <input
+                  autoFocus
+                  value={regen.instruction}
+                  onChange={(event) => setRegenerating({ ...regen, instruction: event.target.value })}
+                  onKeyDown={(event) => event.key === 'Enter' && runRegeneration()}
+                  placeholder={`Instruction (${INSTRUCTION_EXAMPLES[section.id]})`}
+                  className="flex-1 bg-white/5 border border-white/10 rounded-lg px-3 py-2 text-sm text-white placeholder-gray-500 focus:outline-none focus:border-orange-400/50"
+                />
+                <button
+                  onClick={runRegeneration}
+                  className="px-4 py-2 rounded-lg bg-orange-500/20 text-orange-400 text-sm font-medium hover:bg-orange-500/30"
+                >
+                  Rewrite {section.title}
+                </button>
+              </div>
+            )}
+            {regen?.error && <p className="text-xs text-red-400 mb-2">{regen.error}</p>}
+
+            {isEditing ? (
+              <textarea
+                autoFocus
+                value={draft}
+                onChange={(event) => setDraft(event.target.value)}
+                onBlur={finishEditing}
+                rows={Math.max(4, draft.split('\n').length + 1)}
+                className="w-full bg-white/5 border border-white/10 rounded-lg px-3 py-2 text-gray-200 text-sm focus:outline-none focus:border-orange-400/50"
+              />
+            ) : regen?.running ? (
+              <div className="text-gray-400 text-sm whitespace-pre-wrap">
+                <ResultsRenderer content={stripSectionHeading(regen.preview) || 'Rewriting...'} />
+                <button onClick={() => abortRef.current?.abort()} className="mt-2 text-xs text-gray-500 hover:text-gray-300">
+                  Stop and keep the current text
+                </button>
+              </div>
+            ) : (
+              <div className="text-gray-300 text-sm whitespace-pre-wrap cursor-text" onDoubleClick={() => !busy && startEditing(index)}>
+                <ResultsRenderer content={section.body.trim() || 'Not documented.'} />
+              </div>
+            )}
+          </div>
+        );
+      })}
+    </div>
+  );
+};
+
+export default SoapNoteEditor;
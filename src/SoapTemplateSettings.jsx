@@ -0,0 +1,128 @@
+import React from 'react';
+import { SettingsActions, SettingsList, SettingsNameRow, SettingsSelect, useSettingsEditor } from './SettingsEditor';
+import { SOAP_SECTIONS } from './soapSections';
+import { templateStore, useSoapTemplates } from './soapTemplates';
+
+/**
+ * Visit type picker for a single note. `value` is a template id.
+ */
+export const SoapTemplateSelect = ({ value, onChange, className = '' }) => {
+  const { templates } = useSoapTemplates();
+  return <SettingsSelect label="Visit type" items={templates} value={value} onChange={onChange} className={className} />;
+};
+
+const validateTemplate = (template) => {
+  if (!template.name.trim()) return 'Give the template a name.';
+  if (!template.sections.some((section) => section.required)) return 'Mark at least one section as required.';
+  const empty = template.sections.find((section) => section.required && !section.prompt.trim());
+  if (empty) return `${SOAP_SECTIONS.find((s) => s.id === empty.id).title}: describe what a required section should cover.`;
+  return null;
+};
+
+const inputClass =
+  'w-full bg-white/5 border border-white/10 rounded-lg px-3 py-2 text-sm text-white placeholder-gray-500 focus:outline-none focus:border-orange-400/50';
+
+/**
+ * Settings screen for SOAP note templates: edit what each section covers and
+ * its default phrasing, clone templates and choose the clinic default.
+ */
+const SoapTemplateSettings = () => {
+  const editor = useSettingsEditor(templateStore, {
+    validate: validateTemplate,
+    savedText: 'Template saved. New notes of this visit type will follow it.',
+  });
+  const { draft, setDraft } = editor;
+
+  if (!draft) return null;
+
+  const updateSection = (id, field, value) => {
+    setDraft((prev) => ({
+      ...prev,
+      sections: prev.sections.map((section) => (section.id === id ? { ...section, [field]: value } : section)),
+    }));
+  };
+
+  return (
+    <div className="grid lg:grid-cols-3 gap-8">
+      <SettingsList
+        editor={editor}
+        title="SOAP Templates"
+        intro="Each visit type sets which sections a note must have, what each section covers and the phrasing to use."
+        cardClass="glow-coral"
+        selectedClass="bg-orange-500/20 text-orange-400"
+      />
+
+      <div className="lg:col-span-2 glass-card rounded-2xl p-6">
+        <SettingsNameRow editor={editor} focusClass="focus:border-orange-400/50" className="mb-4" />
+
+        <label className="block text-xs text-gray-500 mb-1">Description</label>
+        <input
+          value={draft.description || ''}
+          onChange={(event) => setDraft({ ...draft, description: event.target.value })}
+          placeholder="When to use this template"
+          className={`${inputClass} mb-3`}
+        />
+
+        <label className="flex items-center gap-2 text-sm text-gray-400 mb-4">
+          <input
+            type="checkbox"
+            checked={Boolean(draft.includesEvaluation)}
+            onChange={(event) => setDraft({ ...draft, includesEvaluation: event.target.checked })}
+          />
+          Visits include an evaluation (suggest an E/M code)
+        </label>
+
+        <label className="block text-xs text-gray-500 mb-1">Style instructions (optional)</label>
+        <textarea
+          value={draft.instructions || ''}
+          onChange={(event) => setDraft({ ...draft, instructions: event.target.value })}
+          rows={2}
+          placeholder="e.g. Write in full narrative sentences"
+          className={`${inputClass} mb-6`}
+        />
+
+        {draft.sections.map((section) => (
+          <div key={section.id} className="border border-white/10 rounded-xl p-4 mb-4">
+            <div className="flex items-center justify-between mb-3">
+              <h3 className="text-sm font-medium text-orange-400 uppercase tracking-wide">
+                {SOAP_SECTIONS.find((s) => s.id === section.id).title}
+              </h3>
+              <label className="flex items-center gap-2 text-xs text-gray-400">
+                <input
+                  type="checkbox"
+                  checked={section.required}
+                  onChange={(event) => updateSection(section.id, 'required', event.target.checked)}
+                />
+                Required
+              </label>
+            </div>
+            <label className="block text-xs text-gray-500 mb-1">What to cover</label>
+            <textarea
+              value={section.prompt}
+              onChange={(event) => updateSection(section.id, 'prompt', event.target.value)}
+              rows={Math.max(3, section.prompt.split('\n').length)}
+              className={`${inputClass} mb-3`}
+            />
+            <label className="block text-xs text-gray-500 mb-1">Default phrasing (optional)</label>
+            <input
+              value={section.phrasing}
+              onChange={(event) => updateSection(section.id, 'phrasing', event.target.value)}
+              placeholder="e.g. Patient reports ___/10 pain"
+              className={inputClass}
+            />
+          </div>
+        ))}
+
+        <SettingsActions
+          editor={editor}
+          noun="template"
+          duplicateLabel="Clone template"
+          saveClass="bg-gradient-to-r from-orange-500 to-amber-500"
+          note="Saved notes record the template they were written with; editing a template does not change them."
+        />
+      </div>
+    </div>
+  );
+};
+
+export default SoapTemplateSettings;
@@ -0,0 +1,82 @@
+import React, { useState } from 'react';
+import { BUILT_IN_TERMS, saveClinicTerms, useClinicTerms } from './vocabulary';
+
+const inputClass =
+  'mt-1 w-full bg-white/5 border border-white/10 rounded-lg px-3 py-2 text-white placeholder-gray-600 focus:outline-none focus:border-teal-400/50';
+
+/**
+ * The clinic's own dictation vocabulary: words the transcription gets wrong
+ * and how they should be written. Applied before the bundled dictionary.
+ */
+const VocabularySettings = () => {
+  const terms = useClinicTerms();
+  const [from, setFrom] = useState('');
+  const [to, setTo] = useState('');
+  const [error, setError] = useState(null);
+
+  const handleAdd = () => {
+    if (!from.trim() || !to.trim()) {
+      setError('Fill in both what is heard and how to write it.');
+      return;
+    }
+    const heard = from.trim().toLowerCase();
+    saveClinicTerms([...terms.filter((term) => term.from.toLowerCase() !== heard), { from: from.trim(), to: to.trim() }]);
+    setFrom('');
+    setTo('');
+    setError(null);
+  };
+
+  return (
+    <div className="glass-card rounded-2xl p-6">
+      <h2 className="text-xl font-serif text-white mb-2">Dictation Vocabulary</h2>
+      <p className="text-sm text-gray-400 mb-4">
+        Transcripts are cleaned up with a built-in dictionary of spinal segments, listings, orthopedic tests and abbreviations (
+        {BUILT_IN_TERMS.length} terms plus segment and spelled-letter rules). Add the names, techniques and products your clinic uses.
+      </p>
+
+      {terms.length > 0 && (
+        <ul className="divide-y divide-white/5 mb-4">
+          {terms.map((term) => (
+            <li key={term.from} className="flex items-center gap-3 py-2 text-sm">
+              <span className="text-gray-400">{term.from}</span>
+              <span className="text-gray-600">→</span>
+              <span className="flex-1 text-white">{term.to}</span>
+              <button
+                onClick={() => saveClinicTerms(terms.filter((other) => other !== term))}
+                className="text-xs text-gray-500 hover:text-red-400"
+              >
+                Remove
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <div className="grid sm:grid-cols-[1fr_1fr_auto] gap-4 items-end">
+        <label className="text-sm text-gray-400">
+          Heard as
+          <input value={from} onChange={(event) => setFrom(event.target.value)} placeholder="active ator" className={inputClass} />
+        </label>
+        <label className="text-sm text-gray-400">
+          Write as
+          <input
+            value={to}
+            onChange={(event) => setTo(event.target.value)}
+            onKeyDown={(event) => event.key === 'Enter' && handleAdd()}
+            placeholder="Activator"
+            className={inputClass}
+          />
+        </label>
+        <button
+          onClick={handleAdd}
+          className="px-5 py-2 rounded-xl bg-gradient-to-r from-teal-500 to-cyan-500 text-white text-sm font-medium hover:opacity-90"
+        >
+          Add term
+        </button>
+      </div>
+      {error && <p className="text-sm text-red-400 mt-3">{error}</p>}
+    </div>
+  );
+};
+
+export default VocabularySettings;
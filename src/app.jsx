@@ -1,11 +1,34 @@
-import React, { useEffect, useRef, useState } from "react";
+import React, { useEffect, useMemo, useRef, useState } from "react";
 import { createRoot } from "react-dom/client";
-import OfflinePostureAnalyzer from "./OfflinePostureAnalyzer";
+import OfflinePostureAnalyzer, { detectView } from "./OfflinePostureAnalyzer";
+import { detectPose, loadImage } from "./poseDetector";
+import PostureTrends from "./PostureTrends";
+import PostureComparison from "./PostureComparison";
+import ExamSession from "./ExamSession";
+import ProfileSettings from "./ProfileSettings";
+import ClinicSettings from "./ClinicSettings";
+import SoapTemplateSettings, { SoapTemplateSelect } from "./SoapTemplateSettings";
+import VocabularySettings from "./VocabularySettings";
+import { buildSoapSystemPrompt, missingRequiredSections, templateSectionGuidance, useSoapTemplates } from "./soapTemplates";
+import { useClinicInfo } from "./clinicInfo";
+import { downloadReportOfFindings } from "./reportOfFindings";
+import ResultsRenderer from "./ResultsRenderer";
+import SoapNoteEditor from "./SoapNoteEditor";
+import DictationTranscript, { NormalizedText } from "./DictationTranscript";
+import useDictation from "./useDictation";
+import AudioLevelMeter from "./AudioLevelMeter";
+import { SEGMENT_STATUS, formatTimestamp, stitchTranscript } from "./dictation";
+import { joinParts, normalizeTranscript, useClinicTerms } from "./vocabulary";
+import Icd10Panel from "./Icd10Panel";
+import CptPanel from "./CptPanel";
 import useOfflineDetection from "./useOfflineDetection";
-
-// Configuration - optional build-time Venice API key
-const VENICE_API_KEY = process.env.VENICE_API_KEY || "YOUR_VENICE_API_KEY_HERE";
-const VENICE_BASE_URL = "https://api.venice.ai/api/v1";
+import usePatient, { PatientProvider } from "./PatientContext";
+import useOutbox, { OutboxProvider } from "./OutboxContext";
+import { RECORD_KINDS } from "./patientStore";
+import { OUTBOX_STATUS, TRANSCRIPTION_KIND, isQueueableError } from "./outbox";
+import PostureFindingsCards from "./PostureFindingsCards";
+import { POSTURE_RESPONSE_FORMAT, findingsToMarkdown, parsePostureFindings } from "./postureFindings";
+import { hasApiKey, onAuthError, setApiKey, streamChatCompletion, visionMessage } from "./veniceClient";
 
 const POSTURE_SYSTEM_PROMPT = `You are an expert chiropractic posture analysis AI assistant. Analyze the patient photo and provide detailed, actionable postural assessment.
 
@@ -18,65 +41,20 @@ Analyze for the \${view} view and identify:
 4. PELVIC POSITION: Tilt (anterior/posterior), height difference, rotation
 5. LOWER EXTREMITY: Knee alignment, foot positioning, weight distribution
 
-For each finding, rate severity: MILD | MODERATE | SIGNIFICANT
-
-Format your response as:
-## Summary
-[2-3 sentence overview of key findings]
-
-## Detailed Findings
-
-### Head & Cervical
-[Findings with severity]
-
-### Shoulders & Thoracic  
-[Findings with severity]
-
-### Lumbar & Pelvis
-[Findings with severity]
-
-### Lower Extremity
-[Findings with severity]
-
-## Clinical Recommendations
-[3-5 specific treatment/exercise recommendations]
-
-## Priority Areas
-[Ranked list of areas needing attention]`;
-
-const SOAP_SYSTEM_PROMPT = `You are a chiropractic documentation specialist. Convert clinical notes into properly formatted SOAP notes.
-
-Generate a complete, professional SOAP note following this exact format:
-
-**SUBJECTIVE:**
-- Chief Complaint (CC)
-- History of Present Illness (HPI): onset, location, duration, character, aggravating/alleviating factors, radiation, timing, severity (0-10)
-- Past Medical History if mentioned
-- Current medications if mentioned
-
-**OBJECTIVE:**
-- Vital signs if mentioned
-- Postural Analysis findings (incorporate any provided)
-- Palpation findings
-- Range of Motion (ROM) - use standard notation
-- Orthopedic/Neurological tests performed
-- Muscle tone/spasm observations
-
-**ASSESSMENT:**
-- Primary diagnosis with ICD-10 code suggestion
-- Secondary diagnoses
-- Differential diagnoses if applicable
-- Functional limitations
-
-**PLAN:**
-- Treatment performed today (CMT levels, modalities, duration)
-- Patient response to treatment
-- Home Exercise Program (HEP)
-- Follow-up recommendations
-- Patient education provided
-- Goals (short-term and long-term)
-
-Use standard medical abbreviations. Be concise but thorough. If information is not provided, mark as "Not assessed" rather than making up details.`;
+Respond with JSON only, matching the provided schema:
+- "summary": 2-3 sentence overview of key findings
+- "regions": exactly one entry per region - "head_cervical", "shoulders_thoracic", "lumbar_pelvis", "lower_extremity" - each with:
+  - "finding": the main observation for that region
+  - "side": "left", "right", "bilateral" or "central"
+  - "degrees": estimated angle of the deviation in degrees, or null if not measurable
+  - "severity": "MILD", "MODERATE" or "SIGNIFICANT"
+  - "priority": rank 1-4, where 1 needs attention first; each rank used once
+- "recommendations": 3-5 specific treatment/exercise recommendations`;
+
+const SOAP_SECTION_PROMPT = `You are a chiropractic documentation specialist revising one section of an existing SOAP note.
+Rewrite only the requested section, following the clinician's instruction and matching the style and formatting of the rest of the note.
+Return only the section content: no section heading, no other sections, no commentary.
+Do not invent findings the note or instruction does not support; mark missing information as "Not assessed".`;
 
 const models = {
   posture: "mistral-31-24b",
@@ -142,29 +120,87 @@ const BookIcon = () => (
   </svg>
 );
 
+const ClipboardIcon = () => (
+  <svg viewBox="0 0 24 24" fill="none" className="w-6 h-6" stroke="currentColor" strokeWidth="1.5">
+    <path d="M16 4h2a2 2 0 0 1 2 2v14a2 2 0 0 1-2 2H6a2 2 0 0 1-2-2V6a2 2 0 0 1 2-2h2" />
+    <rect x="8" y="2" width="8" height="4" rx="1" />
+    <path d="M9 12h6M9 16h4" strokeLinecap="round" />
+  </svg>
+);
+
 const WifiOffIcon = () => (
   <svg viewBox="0 0 24 24" fill="none" className="w-6 h-6" stroke="currentColor" strokeWidth="1.5">
     <path d="M1 1l22 22M16.72 11.06A10.94 10.94 0 0 1 19 12.55M5 12.55a10.94 10.94 0 0 1 5.17-2.39M10.71 5.05A16 16 0 0 1 22.58 9M1.42 9a15.91 15.91 0 0 1 4.7-2.88M8.53 16.11a6 6 0 0 1 6.95 0M12 20h.01" strokeLinecap="round" strokeLinejoin="round" />
   </svg>
 );
 
-function getApiKey() {
-  return window.VENICE_KEY || VENICE_API_KEY;
-}
+const SettingsIcon = () => (
+  <svg viewBox="0 0 24 24" fill="none" className="w-6 h-6" stroke="currentColor" strokeWidth="1.5">
+    <circle cx="12" cy="12" r="3" />
+    <path d="M19.4 15a1.65 1.65 0 0 0 .33 1.82l.06.06a2 2 0 1 1-2.83 2.83l-.06-.06a1.65 1.65 0 0 0-1.82-.33 1.65 1.65 0 0 0-1 1.51V21a2 2 0 1 1-4 0v-.09A1.65 1.65 0 0 0 9 19.4a1.65 1.65 0 0 0-1.82.33l-.06.06a2 2 0 1 1-2.83-2.83l.06-.06a1.65 1.65 0 0 0 .33-1.82 1.65 1.65 0 0 0-1.51-1H3a2 2 0 1 1 0-4h.09A1.65 1.65 0 0 0 4.6 9a1.65 1.65 0 0 0-.33-1.82l-.06-.06a2 2 0 1 1 2.83-2.83l.06.06a1.65 1.65 0 0 0 1.82.33H9a1.65 1.65 0 0 0 1-1.51V3a2 2 0 1 1 4 0v.09a1.65 1.65 0 0 0 1 1.51 1.65 1.65 0 0 0 1.82-.33l.06-.06a2 2 0 1 1 2.83 2.83l-.06.06a1.65 1.65 0 0 0-.33 1.82V9a1.65 1.65 0 0 0 1.51 1H21a2 2 0 1 1 0 4h-.09a1.65 1.65 0 0 0-1.51 1z" strokeLinecap="round" strokeLinejoin="round" />
+  </svg>
+);
 
-async function parseApiResponse(response) {
-  const data = await response.json();
-  if (!response.ok || data.error) {
-    throw new Error(data.error?.message || "API error");
-  }
-  return data;
+const StopButton = ({ onClick }) => (
+  <button
+    onClick={onClick}
+    className="w-full mt-3 py-3 rounded-xl bg-red-500/20 text-red-400 text-sm font-medium hover:bg-red-500/30 transition-all"
+  >
+    ■ Stop generating
+  </button>
+);
+
+/**
+ * Venice vision posture analysis. Resolves with structured `findings` and their
+ * markdown `content`; a reply that doesn't match the schema keeps its raw text
+ * as `content` with no findings. A reply that was stopped early resolves with
+ * `incomplete` set to "stopped" and no content.
+ */
+async function requestPostureAnalysis(image, view, { signal, onToken } = {}) {
+  const raw = await streamChatCompletion(
+    {
+      model: models.posture,
+      messages: [
+        {
+          role: "system",
+          content: POSTURE_SYSTEM_PROMPT.replace("${view}", view),
+        },
+        visionMessage(`Analyze this patient's posture (${view} view). Provide comprehensive chiropractic assessment.`, image),
+      ],
+      response_format: POSTURE_RESPONSE_FORMAT,
+      max_tokens: 2000,
+      temperature: 0.3,
+    },
+    { signal, onToken }
+  );
+
+  if (signal?.aborted) return { content: null, findings: null, incomplete: "stopped" };
+  const findings = parsePostureFindings(raw);
+  if (!findings) return { content: raw, findings: null, incomplete: null };
+  return { content: findingsToMarkdown(findings), findings, incomplete: null };
 }
 
+const INCOMPLETE_ANALYSIS_MESSAGES = {
+  stopped: "The analysis was stopped before it finished, so nothing was saved.",
+};
+
 function App() {
   const [activeTab, setActiveTab] = useState("posture");
-  const [apiKeySet, setApiKeySet] = useState(VENICE_API_KEY !== "YOUR_VENICE_API_KEY_HERE");
+  const [apiKeySet, setApiKeySet] = useState(hasApiKey);
   const [tempApiKey, setTempApiKey] = useState("");
+  const [authError, setAuthError] = useState(null);
   const { isOnline, isOffline } = useOfflineDetection();
+  const { resumeWithNewKey } = useOutbox();
+
+  // A rejected key sends the user back to the key screen
+  useEffect(
+    () =>
+      onAuthError((err) => {
+        setAuthError(err.message);
+        setApiKeySet(false);
+      }),
+    []
+  );
 
   if (!apiKeySet) {
     return (
@@ -184,6 +220,10 @@ function App() {
             </a>
           </p>
 
+          {authError && (
+            <div className="bg-red-500/10 border border-red-500/30 rounded-xl p-3 mb-4 text-red-400 text-sm">{authError}</div>
+          )}
+
           <input
             type="password"
             value={tempApiKey}
@@ -195,8 +235,10 @@ function App() {
           <button
             onClick={() => {
               if (tempApiKey.trim()) {
-                window.VENICE_KEY = tempApiKey;
+                setApiKey(tempApiKey);
+                setAuthError(null);
                 setApiKeySet(true);
+                resumeWithNewKey();
               }
             }}
             className="w-full bg-gradient-to-r from-teal-500 to-cyan-500 text-white font-medium py-3 rounded-xl hover:opacity-90 transition-opacity"
@@ -237,6 +279,14 @@ function App() {
               <CameraIcon />
               Posture Analysis
             </button>
+            <button
+              onClick={() => setActiveTab("exam")}
+              className={`flex items-center gap-2 px-3 sm:px-4 py-2 rounded-full text-xs sm:text-sm font-medium transition-all ${activeTab === "exam" ? "bg-cyan-500/20 text-cyan-400" : "text-gray-400 hover:text-white"
+                }`}
+            >
+              <ClipboardIcon />
+              Exam Session
+            </button>
             <button
               onClick={() => setActiveTab("soap")}
               className={`flex items-center gap-2 px-3 sm:px-4 py-2 rounded-full text-xs sm:text-sm font-medium transition-all ${activeTab === "soap" ? "bg-orange-500/20 text-orange-400" : "text-gray-400 hover:text-white"
@@ -269,19 +319,40 @@ function App() {
               <WifiOffIcon />
               <span className="hidden sm:inline">Offline</span> Analysis
             </button>
+            <button
+              onClick={() => setActiveTab("settings")}
+              className={`flex items-center gap-2 px-3 sm:px-4 py-2 rounded-full text-xs sm:text-sm font-medium transition-all ${activeTab === "settings" ? "bg-gray-500/20 text-gray-200" : "text-gray-400 hover:text-white"
+                }`}
+            >
+              <SettingsIcon />
+              <span className="hidden sm:inline">Settings</span>
+            </button>
           </div>
         </div>
+        <div className="max-w-6xl mx-auto px-4 sm:px-6 pb-4 space-y-3">
+          <PatientPicker />
+          <OutboxStatus />
+        </div>
       </header>
 
       <main className="max-w-6xl mx-auto px-4 sm:px-6 py-8">
         {activeTab === "posture" ? (
           <PostureAnalysis />
+        ) : activeTab === "exam" ? (
+          <ExamSession analyzeWithVenice={requestPostureAnalysis} />
         ) : activeTab === "soap" ? (
           <SOAPNotes />
         ) : activeTab === "education" ? (
           <CarePack />
         ) : activeTab === "offline" ? (
           <OfflinePostureAnalysis />
+        ) : activeTab === "settings" ? (
+          <div className="space-y-8">
+            <ClinicSettings />
+            <SoapTemplateSettings />
+            <VocabularySettings />
+            <ProfileSettings />
+          </div>
         ) : (
           <ChiroChat />
         )}
@@ -290,14 +361,231 @@ function App() {
   );
 }
 
+function PatientPicker() {
+  const { patients, activePatient, activePatientId, setActivePatientId, visitDate, setVisitDate, addPatient, visitRecords, storeError } =
+    usePatient();
+  const [adding, setAdding] = useState(false);
+  const [name, setName] = useState("");
+  const [dob, setDob] = useState("");
+  const [error, setError] = useState(null);
+
+  const handleAdd = async () => {
+    if (!name.trim()) return;
+    try {
+      await addPatient({ name, dob });
+      setName("");
+      setDob("");
+      setAdding(false);
+      setError(null);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  return (
+    <div className="glass-card rounded-2xl px-4 py-3 flex flex-col gap-3 sm:flex-row sm:items-center sm:justify-between">
+      {adding ? (
+        <div className="flex flex-col sm:flex-row gap-2 flex-1">
+          <input
+            value={name}
+            onChange={(event) => setName(event.target.value)}
+            placeholder="Patient name"
+            className="flex-1 bg-white/5 border border-white/10 rounded-lg px-3 py-2 text-sm text-white placeholder-gray-500 focus:outline-none focus:border-teal-400/50"
+          />
+          <input
+            type="date"
+            value={dob}
+            onChange={(event) => setDob(event.target.value)}
+            title="Date of birth"
+            className="bg-white/5 border border-white/10 rounded-lg px-3 py-2 text-sm text-white focus:outline-none"
+          />
+          <button onClick={handleAdd} className="px-4 py-2 rounded-lg bg-teal-500/20 text-teal-400 text-sm font-medium hover:bg-teal-500/30">
+            Save
+          </button>
+          <button onClick={() => setAdding(false)} className="px-4 py-2 rounded-lg bg-white/5 text-gray-400 text-sm hover:bg-white/10">
+            Cancel
+          </button>
+        </div>
+      ) : (
+        <div className="flex items-center gap-2 flex-1">
+          <span className="text-sm text-gray-400">Patient</span>
+          <select
+            value={activePatientId || ""}
+            onChange={(event) => setActivePatientId(event.target.value || null)}
+            className="flex-1 sm:flex-none sm:min-w-[220px] bg-white/5 border border-white/10 rounded-lg px-3 py-2 text-sm text-white focus:outline-none"
+          >
+            <option value="">No patient (not saved)</option>
+            {patients.map((patient) => (
+              <option key={patient.id} value={patient.id}>
+                {patient.name}
+                {patient.dob ? ` · ${patient.dob}` : ""}
+              </option>
+            ))}
+          </select>
+          <button onClick={() => setAdding(true)} className="px-3 py-2 rounded-lg bg-white/5 text-gray-300 text-sm hover:bg-white/10">
+            + New
+          </button>
+        </div>
+      )}
+
+      <div className="flex items-center gap-3">
+        <label className="text-sm text-gray-400 flex items-center gap-2">
+          Visit
+          <input
+            type="date"
+            value={visitDate}
+            onChange={(event) => event.target.value && setVisitDate(event.target.value)}
+            className="bg-white/5 border border-white/10 rounded-lg px-3 py-2 text-sm text-white focus:outline-none"
+          />
+        </label>
+        {activePatient && (
+          <span className="text-xs text-gray-500">
+            {visitRecords.length} saved {visitRecords.length === 1 ? "item" : "items"}
+          </span>
+        )}
+      </div>
+
+      {(error || storeError) && <p className="text-xs text-red-400">{error || storeError}</p>}
+    </div>
+  );
+}
+
+const OUTBOX_STATUS_LABELS = {
+  [OUTBOX_STATUS.PENDING]: "Waiting",
+  [OUTBOX_STATUS.SENDING]: "Sending",
+  [OUTBOX_STATUS.DONE]: "Ready",
+  [OUTBOX_STATUS.FAILED]: "Failed",
+};
+
+function OutboxStatus() {
+  const { entries, pendingCount, draining, error, drain, retry, discard } = useOutbox();
+  const { patients } = usePatient();
+  const { isOnline } = useOfflineDetection();
+  const [open, setOpen] = useState(false);
+
+  if (!entries.length) return null;
+
+  const patientName = (patientId) => patients.find((patient) => patient.id === patientId)?.name || "No patient";
+
+  return (
+    <div className="glass-card rounded-2xl px-4 py-3">
+      <div className="flex items-center justify-between gap-3">
+        <button onClick={() => setOpen(!open)} className="flex items-center gap-2 text-sm text-gray-300 hover:text-white">
+          <span className="px-2 py-0.5 bg-amber-500/20 text-amber-400 rounded-full text-xs font-medium">{pendingCount}</span>
+          Outbox: {pendingCount} queued {pendingCount === 1 ? "request" : "requests"}
+          {draining && <span className="text-xs text-gray-500">(sending...)</span>}
+          <span className="text-xs text-gray-500">{open ? "▲" : "▼"}</span>
+        </button>
+        {isOnline && pendingCount > 0 && !draining && (
+          <button onClick={drain} className="px-3 py-1.5 rounded-lg bg-teal-500/20 text-teal-400 text-xs font-medium hover:bg-teal-500/30">
+            Send now
+          </button>
+        )}
+      </div>
+
+      {!isOnline && (
+        <p className="text-xs text-gray-500 mt-2">Queued requests are sent automatically when you are back online.</p>
+      )}
+      {error && <p className="text-xs text-red-400 mt-2">{error}</p>}
+
+      {open && (
+        <ul className="mt-3 space-y-2">
+          {entries.map((entry) => (
+            <li key={entry.id} className="flex items-center justify-between gap-3 bg-white/5 rounded-lg px-3 py-2 text-sm">
+              <div className="min-w-0">
+                <p className="text-gray-200">
+                  {entry.label} <span className="text-gray-500">· {patientName(entry.patientId)} · {entry.visitDate}</span>
+                </p>
+                <p className="text-xs text-gray-500">
+                  Queued {new Date(entry.createdAt).toLocaleTimeString()}
+                  {entry.kind === TRANSCRIPTION_KIND && entry.status === OUTBOX_STATUS.DONE && " · open SOAP Notes for this visit to use it"}
+                </p>
+                {entry.error && <p className="text-xs text-red-400 truncate">{entry.error}</p>}
+              </div>
+              <div className="flex items-center gap-2 flex-shrink-0">
+                <span className="text-xs text-gray-400">{OUTBOX_STATUS_LABELS[entry.status]}</span>
+                {entry.status === OUTBOX_STATUS.FAILED && (
+                  <button onClick={() => retry(entry.id)} className="text-xs text-teal-400 hover:underline">
+                    Retry
+                  </button>
+                )}
+                {entry.status !== OUTBOX_STATUS.SENDING && (
+                  <button onClick={() => discard(entry.id)} className="text-xs text-gray-500 hover:text-red-400">
+                    Discard
+                  </button>
+                )}
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+const QueuedNotice = ({ children }) => (
+  <div className="bg-amber-500/10 border border-amber-500/30 rounded-xl p-4 mb-4 text-amber-400 text-sm">📤 {children}</div>
+);
+
+/**
+ * Downloads the Report of Findings PDF for the current visit, built from
+ * everything saved to it so far.
+ */
+function ReportButton() {
+  const { activePatient, visitDate, visitRecords } = usePatient();
+  const clinic = useClinicInfo();
+  const [building, setBuilding] = useState(false);
+  const [error, setError] = useState(null);
+
+  const handleClick = async () => {
+    setBuilding(true);
+    setError(null);
+    try {
+      await downloadReportOfFindings({ clinic, patient: activePatient, visitDate, records: visitRecords });
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBuilding(false);
+    }
+  };
+
+  return (
+    <div className="flex-1">
+      <button
+        onClick={handleClick}
+        disabled={building}
+        className="w-full py-3 rounded-xl bg-white/5 hover:bg-white/10 text-gray-300 text-sm font-medium transition-all disabled:opacity-50"
+      >
+        {building ? "Building PDF..." : "📄 Report of Findings (PDF)"}
+      </button>
+      {error && <p className="text-xs text-red-400 mt-2">{error}</p>}
+    </div>
+  );
+}
+
 function PostureAnalysis() {
+  const { saveRecord, getLatestRecord } = usePatient();
+  const savedAnalysis = getLatestRecord(RECORD_KINDS.POSTURE);
   const [image, setImage] = useState(null);
   const [imagePreview, setImagePreview] = useState(null);
   const [view, setView] = useState("posterior");
   const [analyzing, setAnalyzing] = useState(false);
   const [results, setResults] = useState(null);
+  const [findings, setFindings] = useState(null);
+  const [receivedChars, setReceivedChars] = useState(0);
   const [error, setError] = useState(null);
+  const [incomplete, setIncomplete] = useState(null);
+  const [detectedView, setDetectedView] = useState(null);
   const fileInputRef = useRef(null);
+  const abortRef = useRef(null);
+  // Bumped per photo and on manual selection so a late detection can't override the user
+  const detectionRef = useRef(0);
+
+  useEffect(() => {
+    setResults(savedAnalysis ? savedAnalysis.data.content : null);
+    setFindings(savedAnalysis?.data.findings || null);
+    if (savedAnalysis) setView(savedAnalysis.data.view);
+  }, [savedAnalysis?.id]);
 
   const handleImageUpload = (event) => {
     const file = event.target.files[0];
@@ -307,49 +595,60 @@ function PostureAnalysis() {
         setImage(reader.result);
         setImagePreview(reader.result);
         setResults(null);
+        setFindings(null);
         setError(null);
+        setIncomplete(null);
+        suggestView(reader.result);
       };
       reader.readAsDataURL(file);
     }
   };
 
+  // Pre-select the view the offline analyzer would detect for this photo
+  const suggestView = async (photo) => {
+    const token = ++detectionRef.current;
+    setDetectedView(null);
+    try {
+      const landmarks = await detectPose(await loadImage(photo));
+      if (token !== detectionRef.current || !landmarks) return;
+      const detected = detectView(landmarks);
+      setView(detected);
+      setDetectedView(detected);
+    } catch (err) {
+      // Detection is a convenience; the view can still be chosen by hand
+    }
+  };
+
+  const selectView = (id) => {
+    detectionRef.current++;
+    setView(id);
+  };
+
   const handleAnalyze = async () => {
     if (!image) return;
 
+    const controller = new AbortController();
+    abortRef.current = controller;
     setAnalyzing(true);
     setError(null);
+    setIncomplete(null);
+    setResults(null);
+    setFindings(null);
+    setReceivedChars(0);
 
     try {
-      const response = await fetch(`${VENICE_BASE_URL}/chat/completions`, {
-        method: "POST",
-        headers: {
-          Authorization: `Bearer ${getApiKey()}`,
-          "Content-Type": "application/json",
-        },
-        body: JSON.stringify({
-          model: models.posture,
-          messages: [
-            {
-              role: "system",
-              content: POSTURE_SYSTEM_PROMPT.replace("${view}", view),
-            },
-            {
-              role: "user",
-              content: [
-                { type: "text", text: `Analyze this patient's posture (${view} view). Provide comprehensive chiropractic assessment.` },
-                { type: "image_url", image_url: { url: image } },
-              ],
-            },
-          ],
-          max_tokens: 2000,
-          temperature: 0.3,
-        }),
+      // Partial JSON isn't readable, so only progress is shown while streaming
+      const analysis = await requestPostureAnalysis(image, view, {
+        signal: controller.signal,
+        onToken: (text) => setReceivedChars(text.length),
       });
-
-      const data = await parseApiResponse(response);
-      const content = data.choices[0].message.content;
-      setResults(content);
-      window.lastPostureAnalysis = content;
+      if (analysis.incomplete) {
+        setIncomplete(analysis.incomplete);
+        return;
+      }
+      setResults(analysis.content);
+      setFindings(analysis.findings);
+      saveRecord(RECORD_KINDS.POSTURE, { view, content: analysis.content, findings: analysis.findings });
     } catch (err) {
       setError(err.message);
     } finally {
@@ -376,7 +675,7 @@ function PostureAnalysis() {
               {views.map((item) => (
                 <button
                   key={item.id}
-                  onClick={() => setView(item.id)}
+                  onClick={() => selectView(item.id)}
                   className={`py-2 px-3 rounded-lg text-sm font-medium transition-all ${view === item.id
                     ? "bg-teal-500/20 text-teal-400 border border-teal-500/30"
                     : "bg-white/5 text-gray-400 border border-transparent hover:bg-white/10"
@@ -387,6 +686,12 @@ function PostureAnalysis() {
                 </button>
               ))}
             </div>
+            {detectedView && (
+              <p className="text-xs text-gray-500 mt-2">
+                Auto-detected: {views.find((item) => item.id === detectedView)?.label}
+                {detectedView !== view && " (changed by you)"}
+              </p>
+            )}
           </div>
 
           <div onClick={() => fileInputRef.current?.click()} className="upload-zone rounded-xl p-8 cursor-pointer text-center">
@@ -427,6 +732,7 @@ function PostureAnalysis() {
               "Analyze Posture"
             )}
           </button>
+          {analyzing && <StopButton onClick={() => abortRef.current?.abort()} />}
         </div>
 
         <div className="glass-card rounded-2xl p-6 border-l-4 border-teal-500">
@@ -453,7 +759,22 @@ function PostureAnalysis() {
           </div>
         )}
 
-        {!results && !analyzing && !error && (
+        {incomplete && !analyzing && (
+          <div className="bg-amber-500/10 border border-amber-500/30 rounded-xl p-4 mb-4 flex items-start justify-between gap-3">
+            <div>
+              <p className="text-amber-400 font-medium">Analysis incomplete</p>
+              <p className="text-amber-400/70 text-sm mt-1">{INCOMPLETE_ANALYSIS_MESSAGES[incomplete]}</p>
+            </div>
+            <button
+              onClick={handleAnalyze}
+              className="px-3 py-1.5 rounded-lg bg-amber-500/20 text-amber-400 text-xs font-medium hover:bg-amber-500/30 flex-shrink-0"
+            >
+              Retry
+            </button>
+          </div>
+        )}
+
+        {!results && !analyzing && !error && !incomplete && (
           <div className="h-96 flex items-center justify-center text-gray-500">
             <div className="text-center">
               <div className="text-6xl mb-4 opacity-20">🦴</div>
@@ -462,12 +783,14 @@ function PostureAnalysis() {
           </div>
         )}
 
-        {analyzing && (
+        {analyzing && !results && (
           <div className="h-96 flex items-center justify-center">
             <div className="text-center">
               <div className="w-16 h-16 border-4 border-teal-500/30 border-t-teal-500 rounded-full animate-spin mx-auto mb-4"></div>
               <p className="text-gray-400">Analyzing postural alignment...</p>
-              <p className="text-sm text-gray-500 mt-2">This may take 10-15 seconds</p>
+              <p className="text-sm text-gray-500 mt-2">
+                {receivedChars ? `Receiving findings (${receivedChars} characters)` : "Waiting for the vision model"}
+              </p>
             </div>
           </div>
         )}
@@ -475,30 +798,20 @@ function PostureAnalysis() {
         {results && (
           <div className="prose prose-invert max-w-none fade-in">
             <div className="text-gray-300 whitespace-pre-wrap text-sm leading-relaxed overflow-y-auto max-h-[420px] sm:max-h-[600px] pr-2">
-              <ResultsRenderer content={results} />
+              {findings ? <PostureFindingsCards findings={findings} /> : <ResultsRenderer content={results} />}
             </div>
 
-            <div className="flex gap-3 mt-6 pt-6 border-t border-white/10">
-              <button
-                onClick={() => navigator.clipboard.writeText(results)}
-                className="flex-1 py-3 rounded-xl bg-white/5 hover:bg-white/10 text-gray-300 text-sm font-medium transition-all"
-              >
-                📋 Copy to Clipboard
-              </button>
-              <button
-                onClick={() => {
-                  const blob = new Blob([results], { type: "text/plain" });
-                  const url = URL.createObjectURL(blob);
-                  const a = document.createElement("a");
-                  a.href = url;
-                  a.download = "posture-analysis.txt";
-                  a.click();
-                }}
-                className="flex-1 py-3 rounded-xl bg-white/5 hover:bg-white/10 text-gray-300 text-sm font-medium transition-all"
-              >
-                💾 Download Report
-              </button>
-            </div>
+            {!analyzing && (
+              <div className="flex gap-3 mt-6 pt-6 border-t border-white/10">
+                <button
+                  onClick={() => navigator.clipboard.writeText(results)}
+                  className="flex-1 py-3 rounded-xl bg-white/5 hover:bg-white/10 text-gray-300 text-sm font-medium transition-all"
+                >
+                  📋 Copy to Clipboard
+                </button>
+                <ReportButton />
+              </div>
+            )}
           </div>
         )}
       </div>
@@ -507,112 +820,184 @@ function PostureAnalysis() {
 }
 
 function SOAPNotes() {
-  const [recording, setRecording] = useState(false);
+  const { saveRecord, getLatestRecord, postureFindings, activePatientId, visitDate } = usePatient();
+  const { entries, enqueue, claimTranscriptions } = useOutbox();
+  const { isOffline } = useOfflineDetection();
+  const savedNote = getLatestRecord(RECORD_KINDS.SOAP);
+  const { templates, activeTemplate } = useSoapTemplates();
+  const [templateId, setTemplateId] = useState(activeTemplate.id);
+  // A template deleted in settings falls back to the clinic default
+  const template = templates.find((t) => t.id === templateId) || activeTemplate;
+  const dictation = useDictation({ patientId: activePatientId, visitDate, model: models.transcription });
+  const clinicTerms = useClinicTerms();
+  // Dictation queued through the outbox by earlier versions, before it was recorded in segments.
+  // It isn't stored once claimed, so neither are the vocabulary changes reverted in it.
   const [transcription, setTranscription] = useState("");
+  const [transcriptionReverted, setTranscriptionReverted] = useState(() => new Set());
   const [manualNotes, setManualNotes] = useState("");
   const [generating, setGenerating] = useState(false);
   const [soapNote, setSoapNote] = useState(null);
   const [error, setError] = useState(null);
   const [includePosture, setIncludePosture] = useState(true);
-  const mediaRecorderRef = useRef(null);
-  const chunksRef = useRef([]);
-
-  const startRecording = async () => {
-    try {
-      const stream = await navigator.mediaDevices.getUserMedia({ audio: true });
-      const mediaRecorder = new MediaRecorder(stream);
-      mediaRecorderRef.current = mediaRecorder;
-      chunksRef.current = [];
+  const [queuedNotice, setQueuedNotice] = useState(null);
+  const abortRef = useRef(null);
+  const audioInputRef = useRef(null);
 
-      mediaRecorder.ondataavailable = (event) => {
-        chunksRef.current.push(event.data);
-      };
+  useEffect(() => {
+    setSoapNote(savedNote ? savedNote.data.content : null);
+  }, [savedNote?.id]);
+
+  // Dictation queued while offline by earlier versions comes back through the outbox
+  const readyTranscriptions = entries.filter(
+    (entry) =>
+      entry.kind === TRANSCRIPTION_KIND &&
+      entry.status === OUTBOX_STATUS.DONE &&
+      entry.patientId === activePatientId &&
+      entry.visitDate === visitDate
+  ).length;
 
-      mediaRecorder.onstop = async () => {
-        const blob = new Blob(chunksRef.current, { type: "audio/webm" });
-        stream.getTracks().forEach((track) => track.stop());
-
-        try {
-          const formData = new FormData();
-          formData.append("file", blob, "recording.webm");
-          formData.append("model", models.transcription);
-          formData.append("response_format", "json");
-
-          const response = await fetch(`${VENICE_BASE_URL}/audio/transcriptions`, {
-            method: "POST",
-            headers: {
-              Authorization: `Bearer ${getApiKey()}`,
-            },
-            body: formData,
-          });
-
-          const data = await parseApiResponse(response);
-          if (data.text) {
-            setTranscription((prev) => prev + (prev ? "\n" : "") + data.text);
-          }
-        } catch (err) {
-          setError(`Transcription failed: ${err.message}`);
-        }
-      };
+  useEffect(() => {
+    if (!readyTranscriptions) return;
+    claimTranscriptions().then((texts) => {
+      if (texts.length) {
+        setTranscription((prev) => [prev, ...texts].filter(Boolean).join("\n"));
+      }
+    });
+  }, [readyTranscriptions, claimTranscriptions]);
+
+  const normalizedSegments = useMemo(
+    () =>
+      Object.fromEntries(
+        dictation.segments
+          .filter((segment) => segment.status === SEGMENT_STATUS.DONE && segment.text)
+          .map((segment) => [segment.id, normalizeTranscript(segment.text, clinicTerms)])
+      ),
+    [dictation.segments, clinicTerms]
+  );
 
-      mediaRecorder.start();
-      setRecording(true);
-    } catch (err) {
-      setError("Microphone access denied");
-    }
+  const normalizedTranscription = useMemo(() => normalizeTranscript(transcription, clinicTerms), [transcription, clinicTerms]);
+
+  // What goes to the model: the transcript with the vocabulary changes the clinician kept
+  const dictatedNotes = [
+    stitchTranscript(dictation.segments, (segment) => joinParts(normalizedSegments[segment.id], segment.reverted)),
+    joinParts(normalizedTranscription, transcriptionReverted),
+  ]
+    .filter(Boolean)
+    .join("\n");
+
+  const toggleTranscriptionChange = (key) => {
+    setTranscriptionReverted((prev) => {
+      const next = new Set(prev);
+      if (!next.delete(key)) next.add(key);
+      return next;
+    });
   };
 
-  const stopRecording = () => {
-    if (mediaRecorderRef.current && recording) {
-      mediaRecorderRef.current.stop();
-      setRecording(false);
-    }
+  const clearDictation = async () => {
+    setTranscription("");
+    setTranscriptionReverted(new Set());
+    await dictation.clear();
   };
 
   const generateSOAP = async () => {
-    const notes = transcription || manualNotes;
+    const notes = dictatedNotes || manualNotes;
     if (!notes.trim()) return;
 
+    const findings = includePosture ? postureFindings : null;
+
+    let userContent = `Convert these clinical notes into a SOAP note:\n\n${notes}`;
+    if (findings) {
+      userContent += `\n\nPosture Analysis Findings to incorporate:\n${findings}`;
+    }
+
+    const body = {
+      model: models.soap,
+      messages: [
+        {
+          role: "system",
+          content: buildSoapSystemPrompt(template),
+        },
+        { role: "user", content: userContent },
+      ],
+      max_tokens: 2000,
+      temperature: 0.2,
+    };
+    const meta = {
+      notes,
+      includedPosture: Boolean(findings),
+      template: { id: template.id, name: template.name, includesEvaluation: Boolean(template.includesEvaluation) },
+    };
+
+    const queueNote = async () => {
+      await enqueue({ kind: RECORD_KINDS.SOAP, label: "SOAP note", meta, requests: [{ key: "content", body }] });
+      setSoapNote(null);
+      setQueuedNotice("SOAP note request saved to the outbox. It will be generated and saved to this visit when you are back online.");
+    };
+
+    const controller = new AbortController();
+    abortRef.current = controller;
     setGenerating(true);
     setError(null);
+    setQueuedNotice(null);
+    setSoapNote(null);
 
     try {
-      const postureFindings = includePosture ? window.lastPostureAnalysis : null;
-
-      let userContent = `Convert these clinical notes into a SOAP note:\n\n${notes}`;
-      if (postureFindings) {
-        userContent += `\n\nPosture Analysis Findings to incorporate:\n${postureFindings}`;
+      if (isOffline) {
+        await queueNote();
+        return;
       }
 
-      const response = await fetch(`${VENICE_BASE_URL}/chat/completions`, {
-        method: "POST",
-        headers: {
-          Authorization: `Bearer ${getApiKey()}`,
-          "Content-Type": "application/json",
-        },
-        body: JSON.stringify({
-          model: models.soap,
-          messages: [
-            {
-              role: "system",
-              content: SOAP_SYSTEM_PROMPT,
-            },
-            { role: "user", content: userContent },
-          ],
-          max_tokens: 2000,
-          temperature: 0.2,
-        }),
-      });
+      const content = await streamChatCompletion(body, { signal: controller.signal, onToken: setSoapNote });
 
-      const data = await parseApiResponse(response);
-      setSoapNote(data.choices[0].message.content);
+      setSoapNote(content || null);
+      if (content) {
+        saveRecord(RECORD_KINDS.SOAP, { content, ...meta, stopped: controller.signal.aborted });
+      }
     } catch (err) {
-      setError(err.message);
+      if (isQueueableError(err)) {
+        await queueNote().catch((queueErr) => setError(queueErr.message));
+      } else {
+        setError(err.message);
+      }
     } finally {
       setGenerating(false);
     }
   };
 
+  // Edits replace the saved note, so copies and the report use the edited text
+  const saveEditedNote = (content) => {
+    setSoapNote(content);
+    saveRecord(RECORD_KINDS.SOAP, { ...savedNote?.data, content, edited: true }, { id: savedNote?.id });
+  };
+
+  // The template the shown note was written with, if it still exists
+  const noteTemplate = savedNote?.data.template ? templates.find((t) => t.id === savedNote.data.template.id) : null;
+  const missingSections = soapNote && noteTemplate && !generating ? missingRequiredSections(noteTemplate, soapNote) : [];
+  // Notes saved before templates carried the flag read it from the template
+  const cptTemplate = savedNote?.data.template && {
+    name: savedNote.data.template.name,
+    includesEvaluation: savedNote.data.template.includesEvaluation ?? Boolean(noteTemplate?.includesEvaluation),
+  };
+
+  const regenerateSection = (section, instruction, { signal, onToken }) => {
+    const guidance = noteTemplate ? templateSectionGuidance(noteTemplate, section.id) : "";
+    return streamChatCompletion(
+      {
+        model: models.soap,
+        messages: [
+          { role: "system", content: SOAP_SECTION_PROMPT },
+          {
+            role: "user",
+            content: `Current SOAP note:\n\n${soapNote}\n\nRewrite the ${section.title.toUpperCase()} section.${guidance ? ` The section should cover:\n${guidance}\n\n` : " "}Instruction: ${instruction || "Improve clarity and completeness."}`,
+          },
+        ],
+        max_tokens: 800,
+        temperature: 0.2,
+      },
+      { signal, onToken }
+    );
+  };
+
   return (
     <div className="grid lg:grid-cols-2 gap-8">
       <div className="space-y-6">
@@ -623,26 +1008,106 @@ function SOAPNotes() {
             <label className="text-sm text-gray-400 mb-3 block">Voice Recording</label>
             <div className="flex items-center gap-4">
               <button
-                onClick={recording ? stopRecording : startRecording}
-                className={`w-16 h-16 rounded-full flex items-center justify-center transition-all ${recording ? "bg-red-500 pulse-record text-white" : "bg-orange-500/20 text-orange-400 hover:bg-orange-500/30"
+                onClick={dictation.recording ? dictation.stop : dictation.start}
+                className={`w-16 h-16 rounded-full flex-shrink-0 flex items-center justify-center transition-all ${dictation.recording
+                  ? dictation.paused
+                    ? "bg-red-500/60 text-white"
+                    : "bg-red-500 pulse-record text-white"
+                  : "bg-orange-500/20 text-orange-400 hover:bg-orange-500/30"
                   }`}
               >
-                <MicIcon recording={recording} />
+                <MicIcon recording={dictation.recording} />
               </button>
-              <div>
-                <p className="text-white font-medium">{recording ? "Recording..." : "Tap to Record"}</p>
-                <p className="text-sm text-gray-500">{recording ? "Tap again to stop" : "Dictate your clinical notes"}</p>
+              <div className="flex-1 min-w-0">
+                <p className="text-white font-medium">
+                  {dictation.recording ? (
+                    <>
+                      {dictation.paused ? "Paused" : "Recording"}
+                      <span className="font-mono text-gray-400 ml-2">{formatTimestamp(dictation.elapsedMs)}</span>
+                    </>
+                  ) : (
+                    "Tap to Record"
+                  )}
+                </p>
+                {dictation.recording ? (
+                  <div className="mt-2">
+                    <AudioLevelMeter stream={dictation.stream} dimmed={dictation.paused} />
+                  </div>
+                ) : (
+                  <p className="text-sm text-gray-500">Dictate your clinical notes</p>
+                )}
               </div>
+              {dictation.recording && (
+                <button
+                  onClick={dictation.paused ? dictation.resume : dictation.pause}
+                  className="px-4 py-2 rounded-lg bg-white/5 text-gray-300 text-sm hover:bg-white/10"
+                >
+                  {dictation.paused ? "Resume" : "Pause"}
+                </button>
+              )}
+            </div>
+            {dictation.recording && (
+              <p className="text-xs text-gray-500 mt-2">Tap the mic to stop. Every 30 seconds is transcribed as you go.</p>
+            )}
+
+            <div className="flex flex-col sm:flex-row sm:items-center gap-3 mt-4">
+              {dictation.devices.length > 1 && (
+                <label className="flex-1 flex items-center gap-2 text-sm text-gray-400">
+                  Microphone
+                  <select
+                    value={dictation.deviceId}
+                    onChange={(event) => dictation.setDeviceId(event.target.value)}
+                    disabled={dictation.recording}
+                    className="flex-1 min-w-0 bg-white/5 border border-white/10 rounded-lg px-3 py-2 text-sm text-white focus:outline-none disabled:opacity-50"
+                  >
+                    <option value="">System default</option>
+                    {dictation.devices.map((device, index) => (
+                      <option key={device.deviceId} value={device.deviceId}>
+                        {device.label || `Microphone ${index + 1}`}
+                      </option>
+                    ))}
+                  </select>
+                </label>
+              )}
+              <button
+                onClick={() => audioInputRef.current?.click()}
+                disabled={dictation.recording}
+                className="px-4 py-2 rounded-lg bg-white/5 text-gray-300 text-sm hover:bg-white/10 disabled:opacity-40"
+              >
+                Upload audio file
+              </button>
+              <input
+                ref={audioInputRef}
+                type="file"
+                accept=".m4a,.mp3,.wav,.webm,audio/*"
+                className="hidden"
+                onChange={(event) => {
+                  const file = event.target.files?.[0];
+                  event.target.value = "";
+                  if (file) dictation.upload(file);
+                }}
+              />
             </div>
           </div>
 
-          {transcription && (
+          {dictation.error && <p className="text-sm text-red-400 mb-4">{dictation.error}</p>}
+
+          {(dictation.segments.length > 0 || transcription) && (
             <div className="mb-6">
               <label className="text-sm text-gray-400 mb-2 block">Transcription</label>
-              <div className="bg-white/5 rounded-xl p-4 text-gray-300 text-sm max-h-32 overflow-y-auto">{transcription}</div>
-              <button onClick={() => setTranscription("")} className="text-xs text-gray-500 hover:text-gray-300 mt-2">
-                Clear transcription
-              </button>
+              {transcription && (
+                <div className="bg-white/5 rounded-xl p-4 text-gray-300 text-sm max-h-32 overflow-y-auto mb-2">
+                  <NormalizedText parts={normalizedTranscription} reverted={transcriptionReverted} onToggle={toggleTranscriptionChange} />
+                </div>
+              )}
+              <DictationTranscript
+                segments={dictation.segments}
+                normalized={normalizedSegments}
+                isOffline={isOffline}
+                onRetry={dictation.retry}
+                onSetReverted={dictation.setReverted}
+                onClear={clearDictation}
+              />
             </div>
           )}
 
@@ -656,7 +1121,7 @@ function SOAPNotes() {
             />
           </div>
 
-          {window.lastPostureAnalysis && (
+          {postureFindings && (
             <div className="mb-6 flex items-center gap-3">
               <button
                 onClick={() => setIncludePosture(!includePosture)}
@@ -668,10 +1133,15 @@ function SOAPNotes() {
             </div>
           )}
 
+          <div className="mb-6">
+            <SoapTemplateSelect value={template.id} onChange={setTemplateId} />
+            {template.description && <p className="text-xs text-gray-500 mt-2">{template.description}</p>}
+          </div>
+
           <button
             onClick={generateSOAP}
-            disabled={(!transcription && !manualNotes.trim()) || generating}
-            className={`w-full py-4 rounded-xl font-medium text-lg transition-all ${(!transcription && !manualNotes.trim()) || generating
+            disabled={(!dictatedNotes && !manualNotes.trim()) || generating}
+            className={`w-full py-4 rounded-xl font-medium text-lg transition-all ${(!dictatedNotes && !manualNotes.trim()) || generating
               ? "bg-gray-700 text-gray-400 cursor-not-allowed"
               : "bg-gradient-to-r from-orange-500 to-amber-500 text-white hover:opacity-90"
               }`}
@@ -689,6 +1159,7 @@ function SOAPNotes() {
               "Generate SOAP Note"
             )}
           </button>
+          {generating && <StopButton onClick={() => abortRef.current?.abort()} />}
         </div>
 
         <div className="glass-card rounded-2xl p-6 border-l-4 border-orange-500">
@@ -700,7 +1171,18 @@ function SOAPNotes() {
       </div>
 
       <div className="glass-card rounded-2xl p-6 glow-coral">
-        <h2 className="text-xl font-serif text-white mb-4">Generated SOAP Note</h2>
+        <div className="flex items-center justify-between gap-3 mb-4">
+          <h2 className="text-xl font-serif text-white">Generated SOAP Note</h2>
+          {soapNote && savedNote?.data.template && <span className="text-xs text-gray-500">{savedNote.data.template.name}</span>}
+        </div>
+
+        {missingSections.length > 0 && (
+          <p className="text-sm text-amber-400 mb-4">
+            ⚠️ The {noteTemplate.name} template requires {missingSections.join(", ")}, missing from this note.
+          </p>
+        )}
+
+        {queuedNotice && <QueuedNotice>{queuedNotice}</QueuedNotice>}
 
         {error && (
           <div className="bg-red-500/10 border border-red-500/30 rounded-xl p-4 mb-4 flex items-start gap-3">
@@ -712,7 +1194,7 @@ function SOAPNotes() {
           </div>
         )}
 
-        {!soapNote && !generating && !error && (
+        {!soapNote && !generating && !error && !queuedNotice && (
           <div className="h-96 flex items-center justify-center text-gray-500">
             <div className="text-center">
               <div className="text-6xl mb-4 opacity-20">📋</div>
@@ -722,7 +1204,7 @@ function SOAPNotes() {
           </div>
         )}
 
-        {generating && (
+        {generating && !soapNote && (
           <div className="h-96 flex items-center justify-center">
             <div className="text-center">
               <div className="w-16 h-16 border-4 border-orange-500/30 border-t-orange-500 rounded-full animate-spin mx-auto mb-4"></div>
@@ -734,30 +1216,36 @@ function SOAPNotes() {
         {soapNote && (
           <div className="fade-in">
             <div className="text-gray-300 whitespace-pre-wrap text-sm leading-relaxed overflow-y-auto max-h-[420px] sm:max-h-[600px] pr-2">
-              <ResultsRenderer content={soapNote} />
+              {generating ? (
+                <ResultsRenderer content={soapNote} />
+              ) : (
+                <SoapNoteEditor
+                  note={soapNote}
+                  onSave={saveEditedNote}
+                  onRegenerate={regenerateSection}
+                  regenerateDisabledReason={isOffline ? "Regenerating a section needs a connection" : null}
+                />
+              )}
             </div>
 
-            <div className="flex gap-3 mt-6 pt-6 border-t border-white/10">
-              <button
-                onClick={() => navigator.clipboard.writeText(soapNote)}
-                className="flex-1 py-3 rounded-xl bg-white/5 hover:bg-white/10 text-gray-300 text-sm font-medium transition-all"
-              >
-                📋 Copy to Clipboard
-              </button>
-              <button
-                onClick={() => {
-                  const blob = new Blob([soapNote], { type: "text/plain" });
-                  const url = URL.createObjectURL(blob);
-                  const a = document.createElement("a");
-                  a.href = url;
-                  a.download = "soap-note.txt";
-                  a.click();
-                }}
-                className="flex-1 py-3 rounded-xl bg-white/5 hover:bg-white/10 text-gray-300 text-sm font-medium transition-all"
-              >
-                💾 Download Note
-              </button>
-            </div>
+            {!generating && (
+              <div className="mt-4 space-y-4">
+                <Icd10Panel note={soapNote} onChange={saveEditedNote} />
+                <CptPanel note={soapNote} template={cptTemplate} />
+              </div>
+            )}
+
+            {!generating && (
+              <div className="flex gap-3 mt-6 pt-6 border-t border-white/10">
+                <button
+                  onClick={() => navigator.clipboard.writeText(soapNote)}
+                  className="flex-1 py-3 rounded-xl bg-white/5 hover:bg-white/10 text-gray-300 text-sm font-medium transition-all"
+                >
+                  📋 Copy to Clipboard
+                </button>
+                <ReportButton />
+              </div>
+            )}
           </div>
         )}
       </div>
@@ -765,66 +1253,16 @@ function SOAPNotes() {
   );
 }
 
-function ResultsRenderer({ content }) {
-  const lines = content.split("\n");
-
-  return (
-    <div className="space-y-2">
-      {lines.map((line, index) => {
-        if (line.startsWith("## ")) {
-          return (
-            <h2 key={index} className="text-lg font-serif text-teal-400 mt-6 mb-3 first:mt-0">
-              {line.replace("## ", "")}
-            </h2>
-          );
-        }
-        if (line.startsWith("### ")) {
-          return (
-            <h3 key={index} className="text-md font-medium text-white mt-4 mb-2">
-              {line.replace("### ", "")}
-            </h3>
-          );
-        }
-        if (line.startsWith("**") && line.endsWith("**")) {
-          return (
-            <p key={index} className="text-orange-400 font-medium mt-4 mb-2">
-              {line.replace(/\*\*/g, "")}
-            </p>
-          );
-        }
-        if (line.startsWith("- ") || line.startsWith("• ")) {
-          return (
-            <p key={index} className="pl-4 text-gray-300">
-              {line}
-            </p>
-          );
-        }
-        if (/^\d+\./.test(line)) {
-          return (
-            <p key={index} className="pl-4 text-gray-300">
-              {line}
-            </p>
-          );
-        }
-        if (!line.trim()) {
-          return <div key={index} className="h-2" />;
-        }
-        return (
-          <p key={index} className="text-gray-300">
-            {line}
-          </p>
-        );
-      })}
-    </div>
-  );
-}
-
 function OfflinePostureAnalysis() {
-  const handleAnalysisComplete = (analysis) => {
+  const { saveRecord } = usePatient();
+
+  const handleAnalysisComplete = (analysis, soapNote, capture) => {
     console.log('Offline analysis complete:', analysis);
-    // Store for potential use in SOAP notes
+    // Saved against the active visit so SOAP notes and care packs can use it.
+    // A recalculated capture (e.g. new calibration) reuses its id and replaces the record.
     if (analysis) {
-      window.lastOfflineAnalysis = analysis;
+      const { id, ...photo } = capture;
+      saveRecord(RECORD_KINDS.OFFLINE_POSTURE, { analysis, soapNote, ...photo }, { id });
     }
   };
 
@@ -842,11 +1280,19 @@ function OfflinePostureAnalysis() {
       </div>
 
       <OfflinePostureAnalyzer onAnalysisComplete={handleAnalysisComplete} />
+
+      <PostureTrends />
+
+      <PostureComparison />
     </div>
   );
 }
 
 function CarePack() {
+  const { saveRecord, getLatestRecord, postureFindings } = usePatient();
+  const { enqueue } = useOutbox();
+  const { isOffline } = useOfflineDetection();
+  const savedCarePack = getLatestRecord(RECORD_KINDS.CARE_PACK);
   const [notes, setNotes] = useState("");
   const [generating, setGenerating] = useState(false);
   const [error, setError] = useState(null);
@@ -855,6 +1301,13 @@ function CarePack() {
   const [includePosture, setIncludePosture] = useState(true);
   const [includeClinicianAddendum, setIncludeClinicianAddendum] = useState(false);
   const [modelChoice, setModelChoice] = useState(models.education);
+  const [queued, setQueued] = useState(false);
+  const abortRef = useRef(null);
+
+  useEffect(() => {
+    setResult(savedCarePack ? savedCarePack.data.content : "");
+    setAddendum(savedCarePack?.data.addendum || "");
+  }, [savedCarePack?.id]);
 
   const patientPrompt = `You are a chiropractic patient-education assistant. Use plain language.
 Create a care pack with these sections:
@@ -876,67 +1329,84 @@ Use professional tone and avoid definitive diagnosis.`;
   const generateCarePack = async () => {
     if (!notes.trim()) return;
 
+    const findings = includePosture ? postureFindings : null;
+    let userContent = `Create a care pack from these notes:\n\n${notes}`;
+    if (findings) {
+      userContent += `\n\nPosture Analysis Findings to incorporate:\n${findings}`;
+    }
+
+    const patientBody = {
+      model: modelChoice,
+      venice_parameters: {
+        disable_thinking: true,
+      },
+      messages: [
+        { role: "system", content: patientPrompt },
+        { role: "user", content: userContent },
+      ],
+      max_tokens: 900,
+      temperature: 0.3,
+    };
+    const addendumBody = {
+      model: models.education,
+      venice_parameters: {
+        disable_thinking: true,
+      },
+      messages: [
+        { role: "system", content: clinicianPrompt },
+        { role: "user", content: userContent },
+      ],
+      max_tokens: 700,
+      temperature: 0.2,
+    };
+
+    const queueCarePack = async () => {
+      const requests = [{ key: "content", body: patientBody }];
+      if (includeClinicianAddendum) requests.push({ key: "addendum", body: addendumBody });
+      await enqueue({ kind: RECORD_KINDS.CARE_PACK, label: "Care pack", meta: { notes, model: modelChoice }, requests });
+      setResult("");
+      setAddendum("");
+      setQueued(true);
+    };
+
+    const controller = new AbortController();
+    abortRef.current = controller;
     setGenerating(true);
     setError(null);
+    setQueued(false);
     setResult("");
     setAddendum("");
 
     try {
-      const postureFindings = includePosture ? window.lastPostureAnalysis : null;
-      let userContent = `Create a care pack from these notes:\n\n${notes}`;
-      if (postureFindings) {
-        userContent += `\n\nPosture Analysis Findings to incorporate:\n${postureFindings}`;
+      if (isOffline) {
+        await queueCarePack();
+        return;
       }
 
-      const response = await fetch(`${VENICE_BASE_URL}/chat/completions`, {
-        method: "POST",
-        headers: {
-          Authorization: `Bearer ${getApiKey()}`,
-          "Content-Type": "application/json",
-        },
-        body: JSON.stringify({
-          model: modelChoice,
-          venice_parameters: {
-            disable_thinking: true,
-          },
-          messages: [
-            { role: "system", content: patientPrompt },
-            { role: "user", content: userContent },
-          ],
-          max_tokens: 900,
-          temperature: 0.3,
-        }),
-      });
+      const content = await streamChatCompletion(patientBody, { signal: controller.signal, onToken: setResult });
+      setResult(content);
 
-      const data = await parseApiResponse(response);
-      setResult(data.choices[0].message.content);
+      let addendumContent = "";
+      if (includeClinicianAddendum && !controller.signal.aborted) {
+        addendumContent = await streamChatCompletion(addendumBody, { signal: controller.signal, onToken: setAddendum });
+        setAddendum(addendumContent);
+      }
 
-      if (includeClinicianAddendum) {
-        const addendumResponse = await fetch(`${VENICE_BASE_URL}/chat/completions`, {
-          method: "POST",
-          headers: {
-            Authorization: `Bearer ${getApiKey()}`,
-            "Content-Type": "application/json",
-          },
-          body: JSON.stringify({
-            model: models.education,
-            venice_parameters: {
-              disable_thinking: true,
-            },
-            messages: [
-              { role: "system", content: clinicianPrompt },
-              { role: "user", content: userContent },
-            ],
-            max_tokens: 700,
-            temperature: 0.2,
-          }),
+      if (content) {
+        saveRecord(RECORD_KINDS.CARE_PACK, {
+          content,
+          addendum: addendumContent,
+          notes,
+          model: modelChoice,
+          stopped: controller.signal.aborted,
         });
-
-        const addendumData = await parseApiResponse(addendumResponse);
-        setAddendum(addendumData.choices[0].message.content);
       }
     } catch (err) {
-      setError(err.message);
+      if (isQueueableError(err)) {
+        await queueCarePack().catch((queueErr) => setError(queueErr.message));
+      } else {
+        setError(err.message);
+      }
     } finally {
       setGenerating(false);
     }
@@ -969,7 +1439,7 @@ Use professional tone and avoid definitive diagnosis.`;
               </select>
             </div>
 
-            {window.lastPostureAnalysis && (
+            {postureFindings && (
               <label className="flex items-center gap-3 text-sm text-gray-400">
                 <input
                   type="checkbox"
@@ -1000,19 +1470,24 @@ Use professional tone and avoid definitive diagnosis.`;
           >
             {generating ? "Generating..." : "Generate Care Pack"}
           </button>
+          {generating && <StopButton onClick={() => abortRef.current?.abort()} />}
         </div>
       </div>
 
       <div className="glass-card rounded-2xl p-6 glow-coral">
         <h2 className="text-xl font-serif text-white mb-4">Care Pack Output</h2>
 
+        {queued && (
+          <QueuedNotice>Care pack request saved to the outbox. It will be generated and saved to this visit when you are back online.</QueuedNotice>
+        )}
+
         {error && (
           <div className="bg-red-500/10 border border-red-500/30 rounded-xl p-4 mb-4 text-red-400 text-sm">
             {error}
           </div>
         )}
 
-        {!result && !generating && !error && (
+        {!result && !generating && !error && !queued && (
           <div className="h-96 flex items-center justify-center text-gray-500">
             <div className="text-center">
               <div className="text-6xl mb-4 opacity-20">🧠</div>
@@ -1021,7 +1496,7 @@ Use professional tone and avoid definitive diagnosis.`;
           </div>
         )}
 
-        {generating && (
+        {generating && !result && (
           <div className="h-96 flex items-center justify-center">
             <div className="text-center">
               <div className="w-16 h-16 border-4 border-teal-500/30 border-t-teal-500 rounded-full animate-spin mx-auto mb-4"></div>
@@ -1041,6 +1516,12 @@ Use professional tone and avoid definitive diagnosis.`;
                 <ResultsRenderer content={addendum} />
               </div>
             )}
+
+            {!generating && (
+              <div className="flex gap-3 pt-6 border-t border-white/10">
+                <ReportButton />
+              </div>
+            )}
           </div>
         )}
       </div>
@@ -1048,18 +1529,33 @@ Use professional tone and avoid definitive diagnosis.`;
   );
 }
 
+const CHAT_WELCOME_MESSAGE = {
+  role: "assistant",
+  content:
+    "Welcome! I can help with chiropractic case discussion, documentation tips, rehab ideas, and patient education. Share a scenario or question to begin.",
+};
+
 function ChiroChat() {
-  const [messages, setMessages] = useState([
-    {
-      role: "assistant",
-      content:
-        "Welcome! I can help with chiropractic case discussion, documentation tips, rehab ideas, and patient education. Share a scenario or question to begin.",
-    },
-  ]);
+  const { saveRecord, getLatestRecord } = usePatient();
+  const { entries, enqueue } = useOutbox();
+  const { isOffline } = useOfflineDetection();
+  const savedChat = getLatestRecord(RECORD_KINDS.CHAT);
+  const [messages, setMessages] = useState([CHAT_WELCOME_MESSAGE]);
   const [input, setInput] = useState("");
   const [sending, setSending] = useState(false);
+  const [streamingReply, setStreamingReply] = useState("");
   const [error, setError] = useState(null);
   const chatEndRef = useRef(null);
+  const abortRef = useRef(null);
+
+  useEffect(() => {
+    setMessages(savedChat ? savedChat.data.messages : [CHAT_WELCOME_MESSAGE]);
+  }, [savedChat?.id, savedChat?.createdAt]);
+
+  // Replies arrive in order, so only one message can wait in the outbox at a time
+  const queuedMessage = Boolean(
+    savedChat && entries.some((entry) => entry.recordId === savedChat.id && entry.status !== OUTBOX_STATUS.DONE)
+  );
 
   const systemPrompt = `You are SpineAI, a chiropractic fraternity assistant. Be clinically professional, concise, and evidence-informed.
 Avoid definitive diagnosis; provide differential considerations and suggest in-person evaluation when needed.
@@ -1069,39 +1565,62 @@ If the user asks for patient education, use plain language.`;
 
   const sendMessage = async () => {
     const trimmed = input.trim();
-    if (!trimmed || sending) return;
+    if (!trimmed || sending || queuedMessage) return;
 
     const nextMessages = [...messages, { role: "user", content: trimmed }];
     setMessages(nextMessages);
     setInput("");
     setSending(true);
     setError(null);
+    setStreamingReply("");
+
+    const body = {
+      model: models.chat,
+      messages: [
+        { role: "system", content: systemPrompt },
+        ...nextMessages.map((message) => ({ role: message.role, content: message.content })),
+      ],
+      max_tokens: 800,
+      temperature: 0.4,
+    };
+
+    // The question is saved now; the reply is appended to the same transcript later
+    const queueMessage = async () => {
+      const record = await saveRecord(RECORD_KINDS.CHAT, { messages: nextMessages }, { id: savedChat?.id });
+      await enqueue({
+        kind: RECORD_KINDS.CHAT,
+        label: "Chat reply",
+        recordId: record.id,
+        meta: { messages: nextMessages },
+        requests: [{ key: "reply", body }],
+      });
+    };
+
+    const controller = new AbortController();
+    abortRef.current = controller;
 
     try {
-      const response = await fetch(`${VENICE_BASE_URL}/chat/completions`, {
-        method: "POST",
-        headers: {
-          Authorization: `Bearer ${getApiKey()}`,
-          "Content-Type": "application/json",
-        },
-        body: JSON.stringify({
-          model: models.chat,
-          messages: [
-            { role: "system", content: systemPrompt },
-            ...nextMessages.map((message) => ({ role: message.role, content: message.content })),
-          ],
-          max_tokens: 800,
-          temperature: 0.4,
-        }),
-      });
+      if (isOffline) {
+        await queueMessage();
+        return;
+      }
+
+      const reply = await streamChatCompletion(body, { signal: controller.signal, onToken: setStreamingReply });
 
-      const data = await parseApiResponse(response);
-      const reply = data.choices[0].message.content;
-      setMessages((prev) => [...prev, { role: "assistant", content: reply }]);
+      if (reply) {
+        const transcript = [...nextMessages, { role: "assistant", content: reply }];
+        setMessages(transcript);
+        saveRecord(RECORD_KINDS.CHAT, { messages: transcript }, { id: savedChat?.id });
+      }
     } catch (err) {
-      setError(err.message);
+      if (isQueueableError(err)) {
+        await queueMessage().catch((queueErr) => setError(queueErr.message));
+      } else {
+        setError(err.message);
+      }
     } finally {
       setSending(false);
+      setStreamingReply("");
     }
   };
 
@@ -1114,7 +1633,7 @@ If the user asks for patient education, use plain language.`;
 
   useEffect(() => {
     chatEndRef.current?.scrollIntoView({ behavior: "smooth" });
-  }, [messages, sending]);
+  }, [messages, sending, streamingReply]);
 
   return (
     <div className="grid lg:grid-cols-3 gap-8">
@@ -1138,7 +1657,12 @@ If the user asks for patient education, use plain language.`;
               <ResultsRenderer content={message.content} />
             </div>
           ))}
-          {sending && (
+          {streamingReply && (
+            <div className="rounded-2xl px-4 py-3 text-sm leading-relaxed bg-white/5 text-gray-200 max-w-[85%]">
+              <ResultsRenderer content={streamingReply} />
+            </div>
+          )}
+          {sending && !streamingReply && (
             <div className="rounded-2xl px-4 py-3 text-sm bg-white/5 text-gray-200 max-w-[70%]">
               <span className="typing-indicator flex gap-1">
                 <span className="w-2 h-2 bg-white rounded-full"></span>
@@ -1151,6 +1675,9 @@ If the user asks for patient education, use plain language.`;
         </div>
 
         {error && <p className="text-red-400 text-sm mt-3">Chat error: {error}</p>}
+        {queuedMessage && (
+          <p className="text-amber-400 text-sm mt-3">📤 Your message is in the outbox. The reply will appear here when you are back online.</p>
+        )}
 
         <div className="mt-4 flex gap-3">
           <textarea
@@ -1160,14 +1687,23 @@ If the user asks for patient education, use plain language.`;
             placeholder="Ask about a case, SOAP phrasing, rehab progressions..."
             className="flex-1 bg-white border border-white/30 rounded-xl px-4 py-3 text-slate-900 placeholder-slate-400 focus:outline-none focus:border-teal-400/50 resize-none text-sm min-h-[56px]"
           />
-          <button
-            onClick={sendMessage}
-            disabled={!input.trim() || sending}
-            className={`px-5 py-3 rounded-xl font-medium transition-all ${!input.trim() || sending ? "bg-gray-700 text-gray-400 cursor-not-allowed" : "bg-gradient-to-r from-teal-500 to-cyan-500 text-white hover:opacity-90"
-              }`}
-          >
-            Send
-          </button>
+          {sending ? (
+            <button
+              onClick={() => abortRef.current?.abort()}
+              className="px-5 py-3 rounded-xl font-medium bg-red-500/20 text-red-400 hover:bg-red-500/30 transition-all"
+            >
+              Stop
+            </button>
+          ) : (
+            <button
+              onClick={sendMessage}
+              disabled={!input.trim() || queuedMessage}
+              className={`px-5 py-3 rounded-xl font-medium transition-all ${!input.trim() || queuedMessage ? "bg-gray-700 text-gray-400 cursor-not-allowed" : "bg-gradient-to-r from-teal-500 to-cyan-500 text-white hover:opacity-90"
+                }`}
+            >
+              Send
+            </button>
+          )}
         </div>
       </div>
 
@@ -1199,5 +1735,11 @@ If the user asks for patient education, use plain language.`;
 }
 
 const root = createRoot(document.getElementById("root"));
-root.render(<App />);
+root.render(
+  <PatientProvider>
+    <OutboxProvider>
+      <App />
+    </OutboxProvider>
+  </PatientProvider>
+);
 
@@ -0,0 +1,158 @@
+/**
+ * Camera roll estimates for the photo quality check. A rolled camera makes a
+ * level body look tilted, which skews every left/right and plumb-line angle.
+ * Degrees are signed, positive when verticals lean clockwise in the image.
+ */
+
+// Working width for edge detection; enough for door frames and wall corners
+const TILT_SAMPLE_WIDTH = 320;
+// Edges within this many degrees of vertical count as background verticals
+const MAX_VERTICAL_LEAN = 15;
+const MIN_EDGE_STRENGTH = 60;
+// Fewer near-vertical edge pixels than this (or this share of the sample) is not enough evidence
+const MIN_EDGE_PIXELS = 600;
+const MIN_EDGE_SHARE = 0.01;
+// Door frames and wall corners put most of the edge weight within a degree of
+// one lean; tiles, blinds and patterned walls spread it out or form rival peaks
+const PEAK_WINDOW_DEGREES = 1;
+const MIN_PEAK_SHARE = 0.4;
+const MAX_RIVAL_RATIO = 0.5;
+
+/**
+ * Estimate camera roll from straight vertical edges in the background (door
+ * frames, wall corners). The body is excluded because it is what we measure.
+ * Only a single dominant lean is trusted; the device sensor is better when
+ * the photo was taken in the app.
+ * @param {HTMLCanvasElement|HTMLImageElement} source
+ * @param {{ x: number, y: number, width: number, height: number }} [exclude] - body box, normalized 0-1
+ * @returns {{ degrees: number, source: 'image' }|null} null when the background has no clear verticals
+ */
+export const estimateTiltFromImage = (source, exclude) => {
+  const sourceWidth = source?.width;
+  const sourceHeight = source?.height;
+  if (!sourceWidth || !sourceHeight) return null;
+
+  const scale = Math.min(1, TILT_SAMPLE_WIDTH / sourceWidth);
+  const width = Math.round(sourceWidth * scale);
+  const height = Math.round(sourceHeight * scale);
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext('2d', { willReadFrequently: true });
+  ctx.drawImage(source, 0, 0, width, height);
+  const { data } = ctx.getImageData(0, 0, width, height);
+
+  const gray = new Float32Array(width * height);
+  for (let i = 0; i < gray.length; i++) {
+    gray[i] = 0.299 * data[i * 4] + 0.587 * data[i * 4 + 1] + 0.114 * data[i * 4 + 2];
+  }
+
+  const box = exclude && {
+    left: exclude.x * width,
+    right: (exclude.x + exclude.width) * width,
+    top: exclude.y * height,
+    bottom: (exclude.y + exclude.height) * height,
+  };
+
+  // Histogram of edge lean in 0.5° bins, weighted by edge strength
+  const binsPerDegree = 2;
+  const bins = new Float32Array(MAX_VERTICAL_LEAN * 2 * binsPerDegree + 1);
+  let edgePixels = 0;
+
+  for (let y = 1; y < height - 1; y++) {
+    for (let x = 1; x < width - 1; x++) {
+      if (box && x >= box.left && x <= box.right && y >= box.top && y <= box.bottom) continue;
+      const i = y * width + x;
+      // Sobel
+      const gx =
+        gray[i - width + 1] + 2 * gray[i + 1] + gray[i + width + 1] -
+        gray[i - width - 1] - 2 * gray[i - 1] - gray[i + width - 1];
+      const gy =
+        gray[i + width - 1] + 2 * gray[i + width] + gray[i + width + 1] -
+        gray[i - width - 1] - 2 * gray[i - width] - gray[i - width + 1];
+      const magnitude = Math.hypot(gx, gy);
+      if (magnitude < MIN_EDGE_STRENGTH || gx === 0) continue;
+
+      // A vertical edge has a horizontal gradient; its lean is the gradient's angle
+      const lean = Math.atan(gy / gx) * (180 / Math.PI);
+      if (Math.abs(lean) > MAX_VERTICAL_LEAN) continue;
+      bins[Math.round((lean + MAX_VERTICAL_LEAN) * binsPerDegree)] += magnitude;
+      edgePixels++;
+    }
+  }
+
+  if (edgePixels < Math.max(MIN_EDGE_PIXELS, width * height * MIN_EDGE_SHARE)) return null;
+
+  // Edge weight within a degree of each lean
+  const span = PEAK_WINDOW_DEGREES * binsPerDegree;
+  const windowWeight = (center) => {
+    let weight = 0;
+    for (let i = Math.max(0, center - span); i <= Math.min(bins.length - 1, center + span); i++) weight += bins[i];
+    return weight;
+  };
+
+  // Peak of the lightly smoothed histogram
+  let peak = 0;
+  let best = -1;
+  for (let i = 0; i < bins.length; i++) {
+    const weight = (bins[i - 1] || 0) + 2 * bins[i] + (bins[i + 1] || 0);
+    if (weight > best) {
+      best = weight;
+      peak = i;
+    }
+  }
+  const peakWeight = windowWeight(peak);
+
+  let rivalWeight = 0;
+  for (let i = 0; i < bins.length; i++) {
+    if (Math.abs(i - peak) > 2 * span) rivalWeight = Math.max(rivalWeight, windowWeight(i));
+  }
+
+  const total = bins.reduce((sum, weight) => sum + weight, 0);
+  if (peakWeight < total * MIN_PEAK_SHARE || rivalWeight > peakWeight * MAX_RIVAL_RATIO) return null;
+
+  return { degrees: parseFloat((peak / binsPerDegree - MAX_VERTICAL_LEAN).toFixed(1)), source: 'image' };
+};
+
+/**
+ * Roll of the device from gravity, relative to the nearest upright or
+ * landscape orientation. Returns null while the phone is lying flat.
+ */
+const tiltFromGravity = ({ x, y, z }) => {
+  if (x == null || y == null) return null;
+  const g = Math.hypot(x, y, z || 0);
+  if (!g || Math.abs(z || 0) / g > 0.8) return null;
+  const roll = Math.atan2(x, y) * (180 / Math.PI);
+  // Platforms disagree on axis signs; distance to the nearest 90° step is what matters
+  const deviation = ((((roll + 45) % 90) + 90) % 90) - 45;
+  return { degrees: parseFloat(deviation.toFixed(1)), source: 'device' };
+};
+
+/**
+ * iOS only reports motion after the user grants it from a tap.
+ * @returns {Promise<boolean>} whether motion events will arrive
+ */
+export const requestTiltPermission = async () => {
+  if (typeof DeviceMotionEvent === 'undefined') return false;
+  if (typeof DeviceMotionEvent.requestPermission !== 'function') return true;
+  try {
+    return (await DeviceMotionEvent.requestPermission()) === 'granted';
+  } catch (err) {
+    return false;
+  }
+};
+
+/**
+ * Follow device roll while the camera is in use.
+ * @param {(tilt: { degrees: number, source: 'device' }|null) => void} onTilt
+ * @returns {() => void} stop listening
+ */
+export const watchDeviceTilt = (onTilt) => {
+  if (typeof window === 'undefined' || typeof DeviceMotionEvent === 'undefined') return () => {};
+  const handleMotion = (event) => {
+    const gravity = event.accelerationIncludingGravity;
+    if (gravity) onTilt(tiltFromGravity(gravity));
+  };
+  window.addEventListener('devicemotion', handleMotion);
+  return () => window.removeEventListener('devicemotion', handleMotion);
+};
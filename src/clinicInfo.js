@@ -0,0 +1,37 @@
+import { useSyncExternalStore } from 'react';
+import { readJson, writeJson } from './settingsStorage';
+
+/**
+ * Clinic details printed on patient-facing documents. Like posture profiles
+ * they are clinic settings, so they live in localStorage.
+ */
+
+const CLINIC_KEY = 'spineai.clinic';
+
+export const EMPTY_CLINIC = { name: '', clinician: '', address: '', phone: '' };
+
+const readClinic = () => ({ ...EMPTY_CLINIC, ...readJson(CLINIC_KEY, {}) });
+
+let clinic = null;
+const listeners = new Set();
+
+const subscribe = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+export const getClinicInfo = () => {
+  if (!clinic) clinic = readClinic();
+  return clinic;
+};
+
+export const saveClinicInfo = (next) => {
+  clinic = { ...EMPTY_CLINIC, ...next };
+  writeJson(CLINIC_KEY, clinic);
+  listeners.forEach((listener) => listener());
+};
+
+/**
+ * Clinic details, kept in sync with the settings screen.
+ */
+export const useClinicInfo = () => useSyncExternalStore(subscribe, getClinicInfo);
@@ -0,0 +1,288 @@
+import { extractIcd10Codes, ICD10_STATUS } from './icd10';
+import { parseSoapNote } from './soapSections';
+
+/**
+ * Rule-based CPT suggestions from a SOAP note: chiropractic manipulative
+ * treatment (CMT) by number of spinal regions, timed therapies billed in
+ * 15-minute units under the CMS 8-minute rule, and modifiers. Suggestions are
+ * a starting point for the clinician; anything the note doesn't support is
+ * flagged rather than dropped.
+ */
+
+export const SPINAL_REGIONS = [
+  { id: 'cervical', label: 'Cervical' },
+  { id: 'thoracic', label: 'Thoracic' },
+  { id: 'lumbar', label: 'Lumbar' },
+  { id: 'sacral', label: 'Sacral' },
+  { id: 'pelvic', label: 'Pelvic' },
+];
+
+const CMT_CODES = [
+  { code: '98940', description: 'CMT, spinal, 1-2 regions', maxRegions: 2 },
+  { code: '98941', description: 'CMT, spinal, 3-4 regions', maxRegions: 4 },
+  { code: '98942', description: 'CMT, spinal, 5 regions', maxRegions: 5 },
+];
+const EXTRASPINAL_CMT = { code: '98943', description: 'CMT, extraspinal, 1 or more regions' };
+
+// Order matters: the first matching therapy claims a clause
+const THERAPIES = [
+  { code: '97112', description: 'Neuromuscular re-education', timed: true, pattern: /neuromuscular re-?ed|\bNMR\b|balance training|propriocepti|\bPNF\b/i },
+  { code: '97530', description: 'Therapeutic activities', timed: true, pattern: /therapeutic activit|functional activit/i },
+  { code: '97110', description: 'Therapeutic exercise', timed: true, pattern: /therapeutic ex|\bther[- ]?ex|stretching|strengthening|stabili[sz]ation ex|mckenzie|core (?:exercise|stabili)/i },
+  { code: '97140', description: 'Manual therapy techniques', timed: true, pattern: /manual therapy|soft tissue mobili|myofascial release|\bIASTM\b|instrument[- ]assisted|graston|active release|trigger point (?:therapy|release)|joint mobili[sz]ation|\bSTM\b/i },
+  { code: '97124', description: 'Massage therapy', timed: true, pattern: /massage/i },
+  { code: '97035', description: 'Ultrasound', timed: true, pattern: /[Uu]ltrasound|\bUS\b/ },
+  { code: '97032', description: 'Electrical stimulation, attended', timed: true, pattern: /attended (?:e-?stim|electric)/i },
+  { code: '97014', description: 'Electrical stimulation, unattended', timed: false, pattern: /e-?stim|electrical stim|\bIFC\b|interferential|\bTENS\b/i },
+  { code: '97012', description: 'Mechanical traction', timed: false, pattern: /traction/i },
+  { code: '97010', description: 'Hot or cold packs', timed: false, pattern: /hot pack|cold pack|moist heat|\bice\b|cryotherapy/i },
+];
+
+const CMT_PATTERN = /\bCMT\b|\bSMT\b|adjust|manipulat|\bHVLA\b|diversified|activator|gonstead|thompson|drop table|flexion[- ]distraction/i;
+
+const REGION_PATTERNS = {
+  cervical: /\bC[1-7]\b|cervical|\bC\/S\b|occiput|\bocc\b|atlas|\bOA\b/i,
+  thoracic: /\bT(?:[1-9]|1[0-2])\b|thoracic|\bT\/S\b|costovertebral|costotransverse/i,
+  lumbar: /\bL[1-5]\b|lumbar|\bL\/S\b/i,
+  sacral: /\bS[1-5]\b|sacral|sacrum|sacrococcyg|coccyx/i,
+  pelvic: /pelvi|\bSI\b|\bSIJ\b|sacroiliac|ilium|iliac/i,
+};
+const EXTRASPINAL_PATTERN = /shoulder|elbow|wrist|\bhand\b|\bhip\b|knee|ankle|\bfoot\b|\bfeet\b|\bTMJ\b|\brib/i;
+
+// Diagnosis codes that support manipulation of each region (ICD-10 prefixes)
+const REGION_DIAGNOSES = {
+  cervical: ['M99.00', 'M99.01', 'M54.2', 'M54.11', 'M54.12', 'M54.13', 'M50.', 'M53.0', 'M53.1', 'M47.812', 'M43.6', 'M54.81', 'G44.86', 'S13.4', 'S16.1', 'M79.12'],
+  thoracic: ['M99.02', 'M99.08', 'M54.6', 'M54.14', 'M54.15', 'M47.814', 'M40.0', 'M41.', 'S23.3'],
+  lumbar: ['M99.03', 'M54.5', 'M54.16', 'M54.3', 'M54.4', 'M51.', 'M47.816', 'M43.0', 'M43.1', 'M40.56', 'S33.5', 'S39.012', 'M62.830'],
+  sacral: ['M99.04', 'M53.3', 'M54.17', 'M54.18', 'M47.817', 'M51.17', 'M51.27', 'M43.17'],
+  pelvic: ['M99.05', 'M46.1', 'M25.55'],
+};
+
+const MINUTES_PATTERN = /(\d{1,3})\s*(?:-\s*\d{1,3}\s*)?(?:min(?:ute)?s?\b|'|′)/i;
+const HOME_PATTERN = /\bHEP\b|\bhome\b/i;
+const EVALUATION_PATTERN = /new patient|initial (?:exam|evaluation|visit)|re-?exam(?:ination)?|re-?evaluat(?:ion|ed)|history and (?:physical )?exam/gi;
+// "since the initial exam", "next re-exam", "re-exam in 4 weeks" refer to another visit
+const OTHER_VISIT_BEFORE = /(?:since|compared (?:with|to)|from|at|on|prior|previous|last|next|schedule[ds]?|until|before)\s+(?:the\s+|a\s+|her\s+|his\s+|their\s+)?$/i;
+const OTHER_VISIT_AFTER = /^\s*(?:in\b|on\b|at\b|date|due|scheduled|planned|after\b|every\b|\d)/i;
+// "3 regions", "3-4 regions", "five spinal regions"
+const REGION_COUNT_PATTERN = /\b(\d|one|two|three|four|five)(?:\s*(?:-|to)\s*(\d|two|three|four|five))?\s+(?:spinal\s+)?regions?\b/i;
+const COUNT_WORDS = { one: 1, two: 2, three: 3, four: 4, five: 5 };
+const MAINTENANCE_PATTERN = /maintenance|wellness care|supportive care/i;
+const ABN_PATTERN = /\bABN\b|advance beneficiary notice/i;
+const GOALS_PATTERN = /goal|improv|functional outcome/i;
+
+/**
+ * Timed units for a total of timed minutes under the CMS 8-minute rule:
+ * 8-22 minutes is 1 unit, 23-37 is 2, and so on.
+ */
+export const timedUnits = (minutes) => (minutes >= 8 ? Math.floor((minutes + 7) / 15) : 0);
+
+/**
+ * Spread the total timed units over the services: each gets its whole
+ * 15-minute units, and units left over go to the services with the most
+ * remaining minutes.
+ * @param {Array<{ code: string, minutes: number }>} services
+ * @returns {Object<string, number>} units by code
+ */
+export const allocateTimedUnits = (services) => {
+  const total = timedUnits(services.reduce((sum, service) => sum + service.minutes, 0));
+  const units = Object.fromEntries(services.map((service) => [service.code, Math.floor(service.minutes / 15)]));
+  let remaining = total - Object.values(units).reduce((sum, n) => sum + n, 0);
+  [...services]
+    .sort((a, b) => (b.minutes % 15) - (a.minutes % 15))
+    .forEach((service) => {
+      if (remaining > 0 && service.minutes % 15 > 0) {
+        units[service.code] += 1;
+        remaining -= 1;
+      }
+    });
+  return units;
+};
+
+const stripListMarker = (line) => line.replace(/^\s*(?:[-•*]|\d+\.)\s*/, '').trim();
+
+// A line can list several treatments: "US 8 min, e-stim 15 min and ther ex"
+const clausesOf = (text) =>
+  text
+    .split('\n')
+    .filter((line) => !HOME_PATTERN.test(line))
+    .flatMap((line) => line.split(/[;,]|\band\b|\+/i))
+    .map(stripListMarker)
+    .filter(Boolean);
+
+const findRegions = (lines) =>
+  SPINAL_REGIONS.filter((region) => lines.some((line) => REGION_PATTERNS[region.id].test(line))).map((region) => region.id);
+
+// The region count written out in the CMT lines; a range counts as its upper end, as the code bands do
+const statedRegionCount = (lines) => {
+  const match = lines.join('\n').match(REGION_COUNT_PATTERN);
+  if (!match) return null;
+  const toNumber = (word) => COUNT_WORDS[word.toLowerCase()] || Number(word);
+  return Math.max(toNumber(match[1]), match[2] ? toNumber(match[2]) : 0);
+};
+
+const cmtCodeFor = (regionCount) => CMT_CODES.find((code) => regionCount <= code.maxRegions) || CMT_CODES[CMT_CODES.length - 1];
+
+/**
+ * Wording that says this visit included an evaluation, from the template the
+ * note was written with or else from the subjective and objective sections.
+ * Mentions of another visit ("re-exam in 4 weeks") don't count.
+ */
+const findEvaluation = (text, template) => {
+  if (template?.includesEvaluation) return `${template.name} template`;
+  for (const match of text.matchAll(EVALUATION_PATTERN)) {
+    const before = text.slice(Math.max(0, match.index - 40), match.index);
+    const after = text.slice(match.index + match[0].length, match.index + match[0].length + 20);
+    if (!OTHER_VISIT_BEFORE.test(before) && !OTHER_VISIT_AFTER.test(after)) return match[0];
+  }
+  return null;
+};
+
+/**
+ * @param {string} note - SOAP note markdown
+ * @param {{ template?: { name: string, includesEvaluation?: boolean } }} [options] - the template the note was written with
+ * @returns {{
+ *   suggestions: Array<{ code: string, description: string, units: number, minutes: number|null, modifiers: string[], flags: string[], evidence: string|null, regions?: string[] }>,
+ *   timedMinutes: number,
+ *   timedUnits: number,
+ *   flags: string[],
+ * }}
+ */
+export const suggestCptCodes = (note, { template } = {}) => {
+  const sections = parseSoapNote(note).sections;
+  const sectionBody = (id) => sections.find((section) => section.id === id)?.body || '';
+  // Without headings, the whole note is the plan
+  const plan = sections.length ? sectionBody('plan') : note;
+  const diagnoses = extractIcd10Codes(sectionBody('assessment') || note).filter((d) => d.status !== ICD10_STATUS.UNKNOWN);
+
+  const suggestions = [];
+  const flags = [];
+  const maintenance = MAINTENANCE_PATTERN.test(note);
+  const abn = ABN_PATTERN.test(note);
+
+  // CMT
+  const cmtLines = plan.split('\n').filter((line) => CMT_PATTERN.test(line) && !HOME_PATTERN.test(line));
+  // Regions come from the CMT lines minus any therapy listed alongside ("CMT C5-T1; US to L/S 8 min")
+  const cmtClauses = clausesOf(cmtLines.join('\n')).filter(
+    (clause) => CMT_PATTERN.test(clause) || !THERAPIES.some((therapy) => therapy.pattern.test(clause))
+  );
+  const regions = findRegions(cmtClauses);
+  const extraspinal = cmtClauses.find((clause) => EXTRASPINAL_PATTERN.test(clause));
+
+  const statedCount = statedRegionCount(cmtClauses);
+
+  if (cmtLines.length && (regions.length || statedCount || !extraspinal)) {
+    const { maxRegions, ...cmt } = cmtCodeFor(statedCount || regions.length);
+    const modifiers = [];
+    const cmtFlags = [];
+
+    if (statedCount) {
+      if (statedCount > 5) cmtFlags.push(`${statedCount} regions stated, but spinal CMT counts at most 5.`);
+      if (cmtCodeFor(regions.length).code !== cmt.code) {
+        cmtFlags.push(
+          `The note states ${statedCount} regions but names ${regions.length || 'none'}; document each region adjusted to support ${cmt.code}.`
+        );
+      }
+    } else if (!regions.length) {
+      cmtFlags.push('Adjusted regions are not documented; the code assumes 1-2 regions.');
+    }
+    regions.forEach((region) => {
+      const supported = diagnoses.some((d) => REGION_DIAGNOSES[region].some((prefix) => d.code.startsWith(prefix)));
+      if (!supported) {
+        const label = SPINAL_REGIONS.find((r) => r.id === region).label;
+        cmtFlags.push(`${label} region adjusted but no supporting diagnosis (e.g. M99.0x) in the assessment.`);
+      }
+    });
+
+    if (maintenance) {
+      if (abn) {
+        modifiers.push('GA');
+      } else {
+        cmtFlags.push('Maintenance care documented without an ABN; obtain one (GA) or bill as non-covered.');
+      }
+    } else {
+      modifiers.push('AT');
+      if (!GOALS_PATTERN.test(note)) {
+        cmtFlags.push('AT (active treatment) needs documented treatment goals or expected improvement.');
+      }
+    }
+
+    suggestions.push({
+      ...cmt,
+      units: 1,
+      minutes: null,
+      modifiers,
+      flags: cmtFlags,
+      evidence: cmtLines.map(stripListMarker).join('; '),
+      regions,
+    });
+  }
+  if (extraspinal) {
+    suggestions.push({ ...EXTRASPINAL_CMT, units: 1, minutes: null, modifiers: [], flags: [], evidence: stripListMarker(extraspinal) });
+  }
+
+  // Therapies
+  const therapies = new Map();
+  clausesOf(plan)
+    .filter((clause) => !CMT_PATTERN.test(clause))
+    .forEach((clause) => {
+      const therapy = THERAPIES.find((t) => t.pattern.test(clause));
+      if (!therapy) return;
+      const minutes = Number(clause.match(MINUTES_PATTERN)?.[1]) || null;
+      const existing = therapies.get(therapy.code);
+      therapies.set(therapy.code, {
+        therapy,
+        minutes: existing?.minutes || minutes ? (existing?.minutes || 0) + (minutes || 0) : null,
+        evidence: existing ? `${existing.evidence}; ${clause}` : clause,
+      });
+    });
+
+  const timed = [...therapies.values()].filter(({ therapy, minutes }) => therapy.timed && minutes);
+  const timedMinutes = timed.reduce((sum, { minutes }) => sum + minutes, 0);
+  const units = allocateTimedUnits(timed.map(({ therapy, minutes }) => ({ code: therapy.code, minutes })));
+
+  therapies.forEach(({ therapy, minutes, evidence }) => {
+    const therapyFlags = [];
+    const modifiers = [];
+    if (therapy.timed && !minutes) therapyFlags.push('Minutes not documented; timed codes cannot be billed without them.');
+    if (therapy.timed && minutes && !units[therapy.code]) {
+      therapyFlags.push('Too few minutes for a unit once the 8-minute rule is applied to the total.');
+    }
+    if (therapy.code === '97140' && cmtLines.length) {
+      modifiers.push('59');
+      therapyFlags.push('Manual therapy with CMT must treat a separate region; document which.');
+    }
+    if (therapy.code === '97010') therapyFlags.push('Usually bundled with other services and not paid separately.');
+    if (!diagnoses.length) therapyFlags.push('No diagnosis in the assessment to support this service.');
+
+    suggestions.push({
+      code: therapy.code,
+      description: therapy.description,
+      units: therapy.timed ? units[therapy.code] || 0 : 1,
+      minutes,
+      modifiers,
+      flags: therapyFlags,
+      evidence,
+    });
+  });
+
+  // Evaluation on the same day as CMT. The plan is left out: it schedules the next re-exam.
+  const evaluation = findEvaluation(sections.length ? `${sectionBody('subjective')}\n${sectionBody('objective')}` : note, template);
+  if (evaluation) {
+    const withCmt = cmtLines.length > 0;
+    suggestions.unshift({
+      code: '99202-99215',
+      description: 'Evaluation and management',
+      units: 1,
+      minutes: null,
+      modifiers: withCmt ? ['25'] : [],
+      flags: ['Choose the level from the documented medical decision making or total time.'],
+      evidence: evaluation,
+    });
+  }
+
+  if (!suggestions.length) flags.push('No billable treatment found in the plan.');
+  if (!diagnoses.length) flags.push('No valid ICD-10 diagnosis in the assessment.');
+
+  return { suggestions, timedMinutes, timedUnits: timedUnits(timedMinutes), flags };
+};
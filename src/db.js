@@ -0,0 +1,132 @@
+/**
+ * Minimal promise wrapper around the browser-local IndexedDB database.
+ * Every persistent store used by SpineAI is declared in `upgrade` so the
+ * schema lives in one place.
+ */
+
+const DB_NAME = 'spineai';
+const DB_VERSION = 4;
+
+export const STORES = {
+  PATIENTS: 'patients',
+  RECORDS: 'records',
+  OUTBOX: 'outbox',
+  DICTATION: 'dictation',
+  CREDENTIALS: 'credentials',
+};
+
+let dbPromise = null;
+
+const upgrade = (db, oldVersion, tx) => {
+  if (oldVersion < 1) {
+    db.createObjectStore(STORES.PATIENTS, { keyPath: 'id' });
+    const records = db.createObjectStore(STORES.RECORDS, { keyPath: 'id' });
+    records.createIndex('patientId', 'patientId');
+  }
+  if (oldVersion < 2) {
+    // Also opened by the service worker (public/sw.js) for Background Sync
+    db.createObjectStore(STORES.OUTBOX, { keyPath: 'id' });
+  }
+  if (oldVersion < 3) {
+    db.createObjectStore(STORES.DICTATION, { keyPath: 'id' });
+  }
+  if (oldVersion < 4) {
+    // The key the service worker replays the outbox with; see outbox.js
+    db.createObjectStore(STORES.CREDENTIALS, { keyPath: 'id' });
+  }
+  if (oldVersion >= 2 && oldVersion < 4) {
+    // Outbox entries used to carry the API key themselves
+    tx.objectStore(STORES.OUTBOX).openCursor().onsuccess = (event) => {
+      const cursor = event.target.result;
+      if (!cursor) return;
+      if (cursor.value.apiKey) cursor.update({ ...cursor.value, apiKey: null });
+      cursor.continue();
+    };
+  }
+};
+
+const promisifyRequest = (request) =>
+  new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+
+/**
+ * Open (and upgrade if needed) the SpineAI database. The connection is shared.
+ * @returns {Promise<IDBDatabase>}
+ */
+export const openDatabase = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') {
+        reject(new Error('IndexedDB is not available in this browser'));
+        return;
+      }
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = (event) => upgrade(request.result, event.oldVersion, request.transaction);
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    }).catch((err) => {
+      dbPromise = null;
+      throw err;
+    });
+  }
+  return dbPromise;
+};
+
+const withStore = async (storeName, mode, callback) => {
+  const db = await openDatabase();
+  const tx = db.transaction(storeName, mode);
+  const done = new Promise((resolve, reject) => {
+    tx.oncomplete = resolve;
+    tx.onabort = () => reject(tx.error);
+    tx.onerror = () => reject(tx.error);
+  });
+  const result = await promisifyRequest(callback(tx.objectStore(storeName)));
+  await done;
+  return result;
+};
+
+export const getItem = (storeName, key) =>
+  withStore(storeName, 'readonly', (store) => store.get(key));
+
+export const getAllItems = (storeName, indexName, query) =>
+  withStore(storeName, 'readonly', (store) =>
+    indexName ? store.index(indexName).getAll(query) : store.getAll()
+  );
+
+export const putItem = (storeName, value) =>
+  withStore(storeName, 'readwrite', (store) => store.put(value));
+
+export const deleteItem = (storeName, key) =>
+  withStore(storeName, 'readwrite', (store) => store.delete(key));
+
+/**
+ * Read-modify-write one item in a single transaction. `update` receives the
+ * current value (or undefined) and returns the new value, or null to leave it
+ * unchanged. Resolves with the written value or null.
+ */
+export const updateItem = async (storeName, key, update) => {
+  const db = await openDatabase();
+  const tx = db.transaction(storeName, 'readwrite');
+  const store = tx.objectStore(storeName);
+  const done = new Promise((resolve, reject) => {
+    tx.oncomplete = resolve;
+    tx.onabort = () => reject(tx.error);
+    tx.onerror = () => reject(tx.error);
+  });
+  const current = await promisifyRequest(store.get(key));
+  const next = update(current);
+  if (next) store.put(next);
+  await done;
+  return next || null;
+};
+
+/**
+ * Generate a unique id for a stored item.
+ * @returns {string}
+ */
+export const createId = () =>
+  typeof crypto !== 'undefined' && crypto.randomUUID
+    ? crypto.randomUUID()
+    : `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
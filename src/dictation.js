@@ -0,0 +1,262 @@
+import { STORES, createId, deleteItem, getAllItems, putItem, updateItem } from './db';
+import { isQueueableError } from './outbox';
+import { transcribeAudio } from './veniceClient';
+
+/**
+ * Long dictation recorded as short, self-contained audio segments. Each
+ * segment is stored in IndexedDB as soon as it is recorded and transcribed on
+ * its own, so a failed upload costs one segment rather than the whole visit.
+ * Audio is kept until its transcription succeeds; the text stays until the
+ * clinician clears the transcript.
+ */
+
+export const SEGMENT_MS = 30 * 1000;
+
+export const SEGMENT_STATUS = {
+  PENDING: 'pending',
+  TRANSCRIBING: 'transcribing',
+  DONE: 'done',
+  FAILED: 'failed',
+};
+
+const EXTENSIONS = { 'audio/webm': 'webm', 'audio/ogg': 'ogg', 'audio/mp4': 'mp4', 'audio/mpeg': 'mp3', 'audio/wav': 'wav' };
+
+// Uploaded files keep their own name so the API can tell the format from it
+const filenameFor = (segment) =>
+  segment.filename || `segment-${segment.index + 1}.${EXTENSIONS[segment.mimeType.split(';')[0]] || 'webm'}`;
+
+// Phone voice memos are usually m4a, dictaphones mp3 or wav
+export const UPLOAD_EXTENSIONS = ['m4a', 'mp3', 'wav', 'webm'];
+
+export const isSupportedUpload = (file) => UPLOAD_EXTENSIONS.includes(file.name.split('.').pop().toLowerCase());
+
+// An upload is sent as one request: the API takes files up to 25 MB, and a
+// long recording would outlast the transcription timeout
+export const MAX_UPLOAD_BYTES = 25 * 1024 * 1024;
+export const MAX_UPLOAD_MS = 20 * 60 * 1000;
+
+// Some browsers (iOS Safari) never load metadata for a detached audio element
+const METADATA_TIMEOUT_MS = 5000;
+
+/**
+ * Why an audio file can't be uploaded, or null if it can.
+ * @param {File} file
+ * @param {number} durationMs - 0 when unknown
+ */
+export const uploadProblem = (file, durationMs) => {
+  if (!isSupportedUpload(file)) return 'Upload an m4a, mp3, wav or webm audio file.';
+  if (file.size > MAX_UPLOAD_BYTES) {
+    return `${file.name} is ${(file.size / 1024 / 1024).toFixed(0)} MB; audio files can be up to ${MAX_UPLOAD_BYTES / 1024 / 1024} MB. Split the recording or dictate it live.`;
+  }
+  if (durationMs > MAX_UPLOAD_MS) {
+    return `${file.name} is ${Math.round(durationMs / 60000)} minutes long; audio files can be up to ${MAX_UPLOAD_MS / 60000} minutes. Split the recording or dictate it live.`;
+  }
+  return null;
+};
+
+/**
+ * Length of an audio file in milliseconds, or 0 if the browser can't read it
+ * in time.
+ */
+export const audioDuration = (file) =>
+  new Promise((resolve) => {
+    const audio = new Audio();
+    const url = URL.createObjectURL(file);
+    let timeout = null;
+    const finish = (ms) => {
+      clearTimeout(timeout);
+      audio.onloadedmetadata = null;
+      audio.onerror = null;
+      URL.revokeObjectURL(url);
+      resolve(ms);
+    };
+    timeout = setTimeout(() => finish(0), METADATA_TIMEOUT_MS);
+    audio.preload = 'metadata';
+    audio.onloadedmetadata = () => finish(Number.isFinite(audio.duration) ? Math.round(audio.duration * 1000) : 0);
+    audio.onerror = () => finish(0);
+    audio.src = url;
+  });
+
+/**
+ * Segments of one visit's dictation, in recording order.
+ */
+export const listSegments = async (patientId, visitDate) => {
+  const segments = await getAllItems(STORES.DICTATION);
+  return segments
+    .filter((segment) => segment.patientId === patientId && segment.visitDate === visitDate)
+    .sort((a, b) => a.index - b.index);
+};
+
+/**
+ * Store a newly recorded segment or uploaded file, ready to transcribe.
+ * @param {{ patientId: string|null, visitDate: string, index: number, startMs: number, durationMs: number, audio: Blob, filename?: string }} segment
+ */
+export const saveSegment = async (segment) => {
+  const stored = {
+    ...segment,
+    id: createId(),
+    mimeType: segment.audio.type || 'audio/webm',
+    status: SEGMENT_STATUS.PENDING,
+    text: '',
+    // Vocabulary changes the clinician reverted (see `changeKey` in vocabulary.js)
+    reverted: [],
+    error: null,
+    attempts: 0,
+    createdAt: Date.now(),
+  };
+  await putItem(STORES.DICTATION, stored);
+  return stored;
+};
+
+/**
+ * Put a failed segment back in line for transcription, or clear the error of
+ * one waiting after a dropped connection so it is tried now.
+ */
+export const retrySegment = (id) =>
+  updateItem(STORES.DICTATION, id, (segment) =>
+    segment && (segment.status === SEGMENT_STATUS.FAILED || (segment.status === SEGMENT_STATUS.PENDING && segment.error))
+      ? { ...segment, status: SEGMENT_STATUS.PENDING, error: null }
+      : null
+  );
+
+/**
+ * Remember which vocabulary changes the clinician reverted in a segment's text.
+ * @param {string[]} reverted - change keys
+ */
+export const saveRevertedChanges = (id, reverted) =>
+  updateItem(STORES.DICTATION, id, (segment) => segment && { ...segment, reverted });
+
+export const deleteSegments = (segments) => Promise.all(segments.map((segment) => deleteItem(STORES.DICTATION, segment.id)));
+
+/**
+ * Transcribe one segment and store the outcome. Connection problems leave it
+ * pending for the next attempt; other errors mark it failed until retried.
+ * @returns {Promise<object>} the updated segment
+ */
+export const transcribeSegment = async (segment, { model }) => {
+  await updateItem(STORES.DICTATION, segment.id, (current) =>
+    current && { ...current, status: SEGMENT_STATUS.TRANSCRIBING, attempts: current.attempts + 1, error: null }
+  );
+  let outcome;
+  try {
+    const text = await transcribeAudio(segment.audio, { model, filename: filenameFor(segment) });
+    // The audio is no longer needed once its text is safely stored
+    outcome = { status: SEGMENT_STATUS.DONE, text: text.trim(), audio: null, error: null };
+  } catch (err) {
+    outcome = { status: isQueueableError(err) ? SEGMENT_STATUS.PENDING : SEGMENT_STATUS.FAILED, error: err.message };
+  }
+  return updateItem(STORES.DICTATION, segment.id, (current) => current && { ...current, ...outcome });
+};
+
+export const formatTimestamp = (ms) => {
+  const seconds = Math.floor(ms / 1000);
+  const minutes = Math.floor(seconds / 60);
+  return `${String(minutes).padStart(2, '0')}:${String(seconds % 60).padStart(2, '0')}`;
+};
+
+/**
+ * Transcribed segments as one timestamped transcript, one line per segment.
+ * Segments without text yet are left out.
+ * @param {(segment: object) => string} [textOf] - the text to use for a segment, e.g. after normalizing it
+ */
+export const stitchTranscript = (segments, textOf = (segment) => segment.text) =>
+  segments
+    .filter((segment) => segment.status === SEGMENT_STATUS.DONE && segment.text)
+    .map((segment) => `[${formatTimestamp(segment.startMs)}] ${textOf(segment)}`)
+    .join('\n');
+
+/**
+ * Record a stream as consecutive segments of `segmentMs`. Timeslice chunks of
+ * one MediaRecorder can't be decoded on their own, so each segment gets its
+ * own recorder; the next one starts just before the previous stops, so no
+ * audio falls between them. Time spent paused is left out of segment lengths
+ * and timestamps.
+ * @param {MediaStream} stream
+ * @param {{ segmentMs?: number, onSegment: (segment: { index: number, startMs: number, durationMs: number, audio: Blob }) => void }} options
+ * @returns {{ stop: () => Promise<void>, pause: () => void, resume: () => void, elapsed: () => number }}
+ *   `stop` resolves once the last segment has been delivered
+ */
+export const createSegmentRecorder = (stream, { segmentMs = SEGMENT_MS, onSegment }) => {
+  const startedAt = Date.now();
+  let index = 0;
+  let current = null;
+  let timer = null;
+  let timerStartedAt = 0;
+  let remaining = segmentMs;
+  let pausedAt = null;
+  let pausedMs = 0;
+  let stopping = false;
+  let open = 0;
+  let resolveStopped;
+  const stopped = new Promise((resolve) => {
+    resolveStopped = resolve;
+  });
+
+  const elapsed = () => (pausedAt ?? Date.now()) - startedAt - pausedMs;
+
+  const begin = () => {
+    const recorder = new MediaRecorder(stream);
+    const chunks = [];
+    const segment = { index: index++, startMs: elapsed() };
+    open += 1;
+
+    recorder.ondataavailable = (event) => {
+      if (event.data.size) chunks.push(event.data);
+    };
+    recorder.onstop = () => {
+      const audio = new Blob(chunks, { type: recorder.mimeType || 'audio/webm' });
+      if (audio.size) onSegment({ ...segment, durationMs: elapsed() - segment.startMs, audio });
+      open -= 1;
+      if (stopping && open === 0) resolveStopped();
+    };
+    recorder.start();
+    return recorder;
+  };
+
+  const schedule = (ms) => {
+    timerStartedAt = Date.now();
+    remaining = ms;
+    timer = setTimeout(rotate, ms);
+  };
+
+  const rotate = () => {
+    const previous = current;
+    current = begin();
+    previous.stop();
+    schedule(segmentMs);
+  };
+
+  current = begin();
+  schedule(segmentMs);
+
+  return {
+    elapsed,
+    pause: () => {
+      if (stopping || pausedAt != null) return;
+      pausedAt = Date.now();
+      clearTimeout(timer);
+      remaining -= pausedAt - timerStartedAt;
+      current.pause();
+    },
+    resume: () => {
+      if (stopping || pausedAt == null) return;
+      pausedMs += Date.now() - pausedAt;
+      pausedAt = null;
+      current.resume();
+      schedule(Math.max(0, remaining));
+    },
+    stop: () => {
+      if (!stopping) {
+        stopping = true;
+        clearTimeout(timer);
+        if (pausedAt != null) {
+          pausedMs += Date.now() - pausedAt;
+          pausedAt = null;
+        }
+        if (current.state !== 'inactive') current.stop();
+        else if (open === 0) resolveStopped();
+      }
+      return stopped;
+    },
+  };
+};
@@ -0,0 +1,182 @@
+/**
+ * Bundled ICD-10-CM subset for chiropractic documentation, so diagnosis codes
+ * can be checked and picked offline. Only billable (complete) codes are
+ * listed; a listed code's prefix, such as M54.5 or S13.4, is a category that
+ * needs more characters.
+ */
+
+export const ICD10_CODES = [
+  // Segmental and somatic dysfunction
+  { code: 'M99.00', description: 'Segmental and somatic dysfunction of head region' },
+  { code: 'M99.01', description: 'Segmental and somatic dysfunction of cervical region' },
+  { code: 'M99.02', description: 'Segmental and somatic dysfunction of thoracic region' },
+  { code: 'M99.03', description: 'Segmental and somatic dysfunction of lumbar region' },
+  { code: 'M99.04', description: 'Segmental and somatic dysfunction of sacral region' },
+  { code: 'M99.05', description: 'Segmental and somatic dysfunction of pelvic region' },
+  { code: 'M99.06', description: 'Segmental and somatic dysfunction of lower extremity' },
+  { code: 'M99.07', description: 'Segmental and somatic dysfunction of upper extremity' },
+  { code: 'M99.08', description: 'Segmental and somatic dysfunction of rib cage' },
+  { code: 'M99.09', description: 'Segmental and somatic dysfunction of abdomen and other regions' },
+
+  // Dorsalgia
+  { code: 'M54.2', description: 'Cervicalgia' },
+  { code: 'M54.6', description: 'Pain in thoracic spine' },
+  { code: 'M54.50', description: 'Low back pain, unspecified' },
+  { code: 'M54.51', description: 'Vertebrogenic low back pain' },
+  { code: 'M54.59', description: 'Other low back pain' },
+  { code: 'M54.10', description: 'Radiculopathy, site unspecified' },
+  { code: 'M54.11', description: 'Radiculopathy, occipito-atlanto-axial region' },
+  { code: 'M54.12', description: 'Radiculopathy, cervical region' },
+  { code: 'M54.13', description: 'Radiculopathy, cervicothoracic region' },
+  { code: 'M54.14', description: 'Radiculopathy, thoracic region' },
+  { code: 'M54.15', description: 'Radiculopathy, thoracolumbar region' },
+  { code: 'M54.16', description: 'Radiculopathy, lumbar region' },
+  { code: 'M54.17', description: 'Radiculopathy, lumbosacral region' },
+  { code: 'M54.18', description: 'Radiculopathy, sacral and sacrococcygeal region' },
+  { code: 'M54.30', description: 'Sciatica, unspecified side' },
+  { code: 'M54.31', description: 'Sciatica, right side' },
+  { code: 'M54.32', description: 'Sciatica, left side' },
+  { code: 'M54.40', description: 'Lumbago with sciatica, unspecified side' },
+  { code: 'M54.41', description: 'Lumbago with sciatica, right side' },
+  { code: 'M54.42', description: 'Lumbago with sciatica, left side' },
+  { code: 'M54.81', description: 'Occipital neuralgia' },
+  { code: 'M54.89', description: 'Other dorsalgia' },
+  { code: 'M54.9', description: 'Dorsalgia, unspecified' },
+
+  // Other dorsopathies
+  { code: 'M43.6', description: 'Torticollis' },
+  { code: 'M43.06', description: 'Spondylolysis, lumbar region' },
+  { code: 'M43.16', description: 'Spondylolisthesis, lumbar region' },
+  { code: 'M43.17', description: 'Spondylolisthesis, lumbosacral region' },
+  { code: 'M53.0', description: 'Cervicocranial syndrome' },
+  { code: 'M53.1', description: 'Cervicobrachial syndrome' },
+  { code: 'M53.3', description: 'Sacrococcygeal disorders, not elsewhere classified' },
+  { code: 'M46.1', description: 'Sacroiliitis, not elsewhere classified' },
+  { code: 'M47.812', description: 'Spondylosis without myelopathy or radiculopathy, cervical region' },
+  { code: 'M47.814', description: 'Spondylosis without myelopathy or radiculopathy, thoracic region' },
+  { code: 'M47.816', description: 'Spondylosis without myelopathy or radiculopathy, lumbar region' },
+  { code: 'M47.817', description: 'Spondylosis without myelopathy or radiculopathy, lumbosacral region' },
+  { code: 'M50.10', description: 'Cervical disc disorder with radiculopathy, unspecified cervical region' },
+  { code: 'M50.20', description: 'Other cervical disc displacement, unspecified cervical region' },
+  { code: 'M50.30', description: 'Other cervical disc degeneration, unspecified cervical region' },
+  { code: 'M51.16', description: 'Intervertebral disc disorders with radiculopathy, lumbar region' },
+  { code: 'M51.17', description: 'Intervertebral disc disorders with radiculopathy, lumbosacral region' },
+  { code: 'M51.26', description: 'Other intervertebral disc displacement, lumbar region' },
+  { code: 'M51.27', description: 'Other intervertebral disc displacement, lumbosacral region' },
+
+  // Deformities and posture
+  { code: 'M40.03', description: 'Postural kyphosis, cervicothoracic region' },
+  { code: 'M40.04', description: 'Postural kyphosis, thoracic region' },
+  { code: 'M40.05', description: 'Postural kyphosis, thoracolumbar region' },
+  { code: 'M40.56', description: 'Lordosis, unspecified, lumbar region' },
+  { code: 'M41.124', description: 'Adolescent idiopathic scoliosis, thoracic region' },
+  { code: 'M41.125', description: 'Adolescent idiopathic scoliosis, thoracolumbar region' },
+  { code: 'M41.126', description: 'Adolescent idiopathic scoliosis, lumbar region' },
+  { code: 'M41.24', description: 'Other idiopathic scoliosis, thoracic region' },
+  { code: 'M41.25', description: 'Other idiopathic scoliosis, thoracolumbar region' },
+  { code: 'M41.26', description: 'Other idiopathic scoliosis, lumbar region' },
+  { code: 'M41.9', description: 'Scoliosis, unspecified' },
+  { code: 'R29.3', description: 'Abnormal posture' },
+  { code: 'M21.061', description: 'Valgus deformity, not elsewhere classified, right knee' },
+  { code: 'M21.062', description: 'Valgus deformity, not elsewhere classified, left knee' },
+  { code: 'M21.161', description: 'Varus deformity, not elsewhere classified, right knee' },
+  { code: 'M21.162', description: 'Varus deformity, not elsewhere classified, left knee' },
+  { code: 'M21.41', description: 'Flat foot [pes planus] (acquired), right foot' },
+  { code: 'M21.42', description: 'Flat foot [pes planus] (acquired), left foot' },
+
+  // Soft tissue
+  { code: 'M62.830', description: 'Muscle spasm of back' },
+  { code: 'M62.838', description: 'Other muscle spasm' },
+  { code: 'M62.81', description: 'Muscle weakness (generalized)' },
+  { code: 'M79.10', description: 'Myalgia, unspecified site' },
+  { code: 'M79.12', description: 'Myalgia of auxiliary muscles, head and neck' },
+  { code: 'M79.18', description: 'Myalgia, other site' },
+  { code: 'M79.7', description: 'Fibromyalgia' },
+  { code: 'M72.2', description: 'Plantar fascial fibromatosis' },
+  { code: 'M25.511', description: 'Pain in right shoulder' },
+  { code: 'M25.512', description: 'Pain in left shoulder' },
+  { code: 'M25.551', description: 'Pain in right hip' },
+  { code: 'M25.552', description: 'Pain in left hip' },
+  { code: 'M25.561', description: 'Pain in right knee' },
+  { code: 'M25.562', description: 'Pain in left knee' },
+
+  // Injuries (7th character: A initial encounter, D subsequent encounter)
+  { code: 'S13.4XXA', description: 'Sprain of ligaments of cervical spine, initial encounter' },
+  { code: 'S13.4XXD', description: 'Sprain of ligaments of cervical spine, subsequent encounter' },
+  { code: 'S16.1XXA', description: 'Strain of muscle, fascia and tendon at neck level, initial encounter' },
+  { code: 'S16.1XXD', description: 'Strain of muscle, fascia and tendon at neck level, subsequent encounter' },
+  { code: 'S23.3XXA', description: 'Sprain of ligaments of thoracic spine, initial encounter' },
+  { code: 'S23.3XXD', description: 'Sprain of ligaments of thoracic spine, subsequent encounter' },
+  { code: 'S33.5XXA', description: 'Sprain of ligaments of lumbar spine, initial encounter' },
+  { code: 'S33.5XXD', description: 'Sprain of ligaments of lumbar spine, subsequent encounter' },
+  { code: 'S39.012A', description: 'Strain of muscle, fascia and tendon of lower back, initial encounter' },
+  { code: 'S39.012D', description: 'Strain of muscle, fascia and tendon of lower back, subsequent encounter' },
+
+  // Nerve and headache
+  { code: 'G44.209', description: 'Tension-type headache, unspecified, not intractable' },
+  { code: 'G44.86', description: 'Cervicogenic headache' },
+  { code: 'R51.9', description: 'Headache, unspecified' },
+  { code: 'G54.0', description: 'Brachial plexus disorders' },
+  { code: 'G56.01', description: 'Carpal tunnel syndrome, right upper limb' },
+  { code: 'G56.02', description: 'Carpal tunnel syndrome, left upper limb' },
+];
+
+export const ICD10_STATUS = {
+  VALID: 'valid',
+  // A category of listed codes; needs more characters to be billable
+  INCOMPLETE: 'incomplete',
+  // Well formed but not in the bundled subset (or not a real code)
+  UNKNOWN: 'unknown',
+};
+
+// Letter, digit, letter or digit, a dot, then up to four more characters
+const CODE_PATTERN = /\b[A-TV-Z]\d[0-9A-Z]\.[0-9A-Z]{1,4}\b/g;
+
+const compact = (code) => code.replace('.', '').toUpperCase();
+
+const BY_CODE = new Map(ICD10_CODES.map((entry) => [compact(entry.code), entry]));
+
+/**
+ * @param {string} code - with or without the dot, any case
+ * @returns {{ code: string, description: string }|null}
+ */
+export const findIcd10 = (code) => BY_CODE.get(compact(code)) || null;
+
+/**
+ * Check a code against the bundled subset.
+ * @returns {{ code: string, status: string, entry: object|null, suggestions: object[] }}
+ *   `suggestions` are the complete codes under an incomplete category
+ */
+export const validateIcd10 = (code) => {
+  const entry = findIcd10(code);
+  if (entry) return { code, status: ICD10_STATUS.VALID, entry, suggestions: [] };
+  const suggestions = ICD10_CODES.filter((candidate) => compact(candidate.code).startsWith(compact(code)));
+  return { code, status: suggestions.length ? ICD10_STATUS.INCOMPLETE : ICD10_STATUS.UNKNOWN, entry: null, suggestions };
+};
+
+/**
+ * Distinct ICD-10 codes mentioned in some text, in order of appearance, each
+ * validated. Codes are recognised by their dotted form, so spinal levels such
+ * as T12 or L5 are not mistaken for codes.
+ */
+export const extractIcd10Codes = (text) => {
+  const seen = new Set();
+  return (text.match(CODE_PATTERN) || []).filter((code) => !seen.has(code) && seen.add(code)).map(validateIcd10);
+};
+
+/**
+ * Codes whose code or description contains every word of the query.
+ */
+export const searchIcd10 = (query, limit = 20) => {
+  const words = query.toLowerCase().split(/\s+/).filter(Boolean);
+  if (!words.length) return ICD10_CODES.slice(0, limit);
+  return ICD10_CODES.filter((entry) => {
+    const haystack = `${entry.code} ${entry.description}`.toLowerCase();
+    return words.every((word) => haystack.includes(word));
+  }).slice(0, limit);
+};
+
+/**
+ * How a diagnosis is written into the note.
+ */
+export const formatDiagnosis = (entry) => `${entry.code} ${entry.description}`;
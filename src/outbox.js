@@ -0,0 +1,201 @@
+import { STORES, createId, deleteItem, getAllItems, putItem, updateItem } from './db';
+import { RECORD_KINDS, buildRecord } from './patientStore';
+import { ERROR_TYPES, chatCompletion, getApiKey, hasApiKey, transcribeAudio } from './veniceClient';
+
+/**
+ * Persistent queue of Venice requests made while offline. Entries are replayed
+ * by the page when it comes back online, or by the service worker
+ * (public/sw.js) through Background Sync if the tab was closed, so the entry
+ * shape and status values are shared with that file.
+ *
+ * The worker can't see the page's API key, so while anything is queued the
+ * current key is kept in a single credentials record rather than on entries.
+ * Each page drain replaces it with the key the page has now, and it is
+ * deleted once the queue is empty or Venice rejects it.
+ */
+
+// Must match OUTBOX_SYNC_TAG, OUTBOX_KEY_ID and the message type in public/sw.js
+export const OUTBOX_SYNC_TAG = 'spineai-outbox';
+export const OUTBOX_UPDATED_MESSAGE = 'OUTBOX_UPDATED';
+const OUTBOX_KEY_ID = 'outbox';
+
+export const OUTBOX_STATUS = {
+  PENDING: 'pending',
+  SENDING: 'sending',
+  DONE: 'done',
+  FAILED: 'failed',
+};
+
+// Queued dictation is not a record; SOAP Notes picks up the text once it is done
+export const TRANSCRIPTION_KIND = 'transcription';
+
+// A claim older than this belongs to a tab or worker that went away mid-request
+const STALE_CLAIM_MS = 3 * 60 * 1000;
+
+// Errors that mean "try again later" rather than "this entry is broken"
+const DEFERRABLE_ERRORS = [
+  ERROR_TYPES.OFFLINE,
+  ERROR_TYPES.NETWORK,
+  ERROR_TYPES.TIMEOUT,
+  ERROR_TYPES.RATE_LIMIT,
+  ERROR_TYPES.SERVER,
+];
+
+/**
+ * Whether a failed request should be queued instead of shown as an error.
+ */
+export const isQueueableError = (err) => err?.type === ERROR_TYPES.OFFLINE || err?.type === ERROR_TYPES.NETWORK;
+
+const storeOutboxKey = () => (hasApiKey() ? putItem(STORES.CREDENTIALS, { id: OUTBOX_KEY_ID, key: getApiKey() }) : null);
+
+const clearOutboxKey = () => deleteItem(STORES.CREDENTIALS, OUTBOX_KEY_ID);
+
+const requestBackgroundSync = () => {
+  if (typeof navigator === 'undefined' || !('serviceWorker' in navigator)) return;
+  navigator.serviceWorker.ready
+    .then((registration) => registration.sync?.register(OUTBOX_SYNC_TAG))
+    .catch(() => {
+      // Background Sync is not supported everywhere; the page drains on `online` too
+    });
+};
+
+/**
+ * Queue requests for later. Each request is either `{ key, body }` for a chat
+ * completion or `{ key, audio, model, filename }` for a transcription; results
+ * are stored under `key`.
+ *
+ * @param {{ kind: string, label: string, patientId: string|null, visitDate: string, recordId?: string, meta?: object, requests: object[] }} entry
+ */
+export const enqueueRequest = async ({ kind, label, patientId, visitDate, recordId, meta = {}, requests }) => {
+  const entry = {
+    id: createId(),
+    kind,
+    label,
+    patientId,
+    visitDate,
+    recordId: recordId || null,
+    meta,
+    requests,
+    results: {},
+    status: OUTBOX_STATUS.PENDING,
+    error: null,
+    attempts: 0,
+    createdAt: Date.now(),
+    claimedAt: null,
+  };
+  await putItem(STORES.OUTBOX, entry);
+  await storeOutboxKey();
+  requestBackgroundSync();
+  return entry;
+};
+
+export const listOutbox = async () => {
+  const entries = await getAllItems(STORES.OUTBOX);
+  return entries.sort((a, b) => a.createdAt - b.createdAt);
+};
+
+export const removeOutboxEntry = (id) => deleteItem(STORES.OUTBOX, id);
+
+export const retryOutboxEntry = (id) =>
+  updateItem(STORES.OUTBOX, id, (entry) =>
+    entry && entry.status === OUTBOX_STATUS.FAILED ? { ...entry, status: OUTBOX_STATUS.PENDING, error: null, errorType: null } : null
+  );
+
+/**
+ * Put entries that failed on a rejected API key back in line, once a new key is saved.
+ */
+export const requeueAuthFailures = async () => {
+  const entries = await listOutbox();
+  await Promise.all(
+    entries
+      .filter((entry) => entry.status === OUTBOX_STATUS.FAILED && entry.errorType === ERROR_TYPES.AUTH)
+      .map((entry) => retryOutboxEntry(entry.id))
+  );
+};
+
+const isClaimable = (entry) =>
+  entry &&
+  (entry.status === OUTBOX_STATUS.PENDING ||
+    (entry.status === OUTBOX_STATUS.SENDING && Date.now() - entry.claimedAt > STALE_CLAIM_MS));
+
+// Claiming inside one transaction keeps tabs and the worker from sending the same entry.
+const claimEntry = (id) =>
+  updateItem(STORES.OUTBOX, id, (entry) =>
+    isClaimable(entry)
+      ? { ...entry, status: OUTBOX_STATUS.SENDING, claimedAt: Date.now(), attempts: entry.attempts + 1 }
+      : null
+  );
+
+const sendRequest = (request) =>
+  request.audio
+    ? transcribeAudio(request.audio, { model: request.model, filename: request.filename })
+    : chatCompletion(request.body);
+
+/**
+ * Send every pending entry with the current API key, which also becomes the
+ * key the service worker uses. Stops at the first error
+ * that means the network or the API is unavailable, or that the key was
+ * rejected (the rest would fail the same way); other errors mark just that
+ * entry as failed.
+ */
+export const drainOutbox = async () => {
+  const entries = await listOutbox();
+  if (entries.some((entry) => entry.status !== OUTBOX_STATUS.DONE)) await storeOutboxKey();
+
+  for (const { id } of entries) {
+    const entry = await claimEntry(id);
+    if (!entry) continue;
+
+    const results = { ...entry.results };
+    try {
+      for (const request of entry.requests) {
+        if (!(request.key in results)) results[request.key] = await sendRequest(request);
+      }
+      await updateItem(STORES.OUTBOX, id, (current) =>
+        current && { ...current, status: OUTBOX_STATUS.DONE, results, error: null, errorType: null }
+      );
+    } catch (err) {
+      const deferred = DEFERRABLE_ERRORS.includes(err.type);
+      await updateItem(STORES.OUTBOX, id, (current) =>
+        current && {
+          ...current,
+          results,
+          status: deferred ? OUTBOX_STATUS.PENDING : OUTBOX_STATUS.FAILED,
+          error: err.message,
+          errorType: err.type || null,
+        }
+      );
+      if (err.type === ERROR_TYPES.AUTH) await clearOutboxKey();
+      if (deferred || err.type === ERROR_TYPES.AUTH) return;
+    }
+  }
+
+  const remaining = await listOutbox();
+  if (!remaining.some((entry) => entry.status === OUTBOX_STATUS.PENDING || entry.status === OUTBOX_STATUS.SENDING)) {
+    await clearOutboxKey();
+  }
+};
+
+const RECORD_DATA = {
+  [RECORD_KINDS.SOAP]: ({ meta, results }) => ({ ...meta, content: results.content }),
+  [RECORD_KINDS.CARE_PACK]: ({ meta, results }) => ({ ...meta, content: results.content, addendum: results.addendum || '' }),
+  [RECORD_KINDS.CHAT]: ({ meta, results }) => ({
+    messages: [...meta.messages, { role: 'assistant', content: results.reply }],
+  }),
+};
+
+/**
+ * The visit record a completed entry produces, or null for entries that are
+ * not records (queued dictation).
+ */
+export const outboxRecord = (entry) => {
+  const toData = RECORD_DATA[entry.kind];
+  if (!toData) return null;
+  return buildRecord({
+    id: entry.recordId,
+    patientId: entry.patientId,
+    visitDate: entry.visitDate,
+    kind: entry.kind,
+    data: { ...toData(entry), queuedAt: entry.createdAt },
+  });
+};
@@ -0,0 +1,81 @@
+import { STORES, createId, deleteItem, getAllItems, putItem } from './db';
+
+/**
+ * Kinds of output that can be saved against a patient visit.
+ */
+export const RECORD_KINDS = {
+  POSTURE: 'posture',
+  OFFLINE_POSTURE: 'offline-posture',
+  EXAM_SESSION: 'exam-session',
+  SOAP: 'soap',
+  CARE_PACK: 'care-pack',
+  CHAT: 'chat',
+};
+
+/**
+ * Today's date as a visit key (YYYY-MM-DD, local time).
+ * @returns {string}
+ */
+export const todayVisitDate = () => {
+  const now = new Date();
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`;
+};
+
+const byRecordOrder = (a, b) =>
+  a.visitDate === b.visitDate ? a.createdAt - b.createdAt : a.visitDate < b.visitDate ? -1 : 1;
+
+export const listPatients = async () => {
+  const patients = await getAllItems(STORES.PATIENTS);
+  return patients.sort((a, b) => a.name.localeCompare(b.name));
+};
+
+/**
+ * Create or update a patient.
+ * @param {{ id?: string, name: string, dob?: string }} patient
+ */
+export const savePatient = async (patient) => {
+  const saved = {
+    createdAt: Date.now(),
+    ...patient,
+    id: patient.id || createId(),
+    name: patient.name.trim(),
+  };
+  await putItem(STORES.PATIENTS, saved);
+  return saved;
+};
+
+/**
+ * Delete a patient together with every record saved against them.
+ */
+export const deletePatient = async (patientId) => {
+  const records = await listRecords(patientId);
+  await Promise.all(records.map((record) => deleteItem(STORES.RECORDS, record.id)));
+  await deleteItem(STORES.PATIENTS, patientId);
+};
+
+/**
+ * All records for a patient, oldest visit first.
+ */
+export const listRecords = async (patientId) => {
+  const records = await getAllItems(STORES.RECORDS, 'patientId', patientId);
+  return records.sort(byRecordOrder);
+};
+
+/**
+ * Build a record for a patient visit. Passing an existing `id` replaces that record.
+ * @param {{ id?: string, patientId: string|null, visitDate: string, kind: string, data: any }} record
+ */
+export const buildRecord = ({ id, patientId, visitDate, kind, data }) => ({
+  id: id || createId(),
+  patientId,
+  visitDate,
+  kind,
+  data,
+  createdAt: Date.now(),
+});
+
+export const saveRecord = async (record) => {
+  await putItem(STORES.RECORDS, record);
+  return record;
+};
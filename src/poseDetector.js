@@ -0,0 +1,154 @@
+/**
+ * Shared MediaPipe Pose instance. The model is large, so it is loaded once and
+ * reused by every screen that needs landmarks.
+ */
+
+const MEDIAPIPE_BASE_URL = 'https://cdn.jsdelivr.net/npm/@mediapipe';
+
+// A single inference takes well under a second; one that hangs must not block the queue
+const DETECTION_TIMEOUT_MS = 20000;
+
+let posePromise = null;
+let pendingDetection = null;
+let detectionQueue = Promise.resolve();
+
+const loadScript = (src) => {
+  return new Promise((resolve, reject) => {
+    const existing = document.querySelector(`script[src="${src}"]`);
+    if (existing) {
+      resolve();
+      return;
+    }
+    const script = document.createElement('script');
+    script.src = src;
+    script.async = true;
+    script.onload = resolve;
+    script.onerror = reject;
+    document.head.appendChild(script);
+  });
+};
+
+const waitForPose = () =>
+  new Promise((resolve) => {
+    const check = () => {
+      if (window.Pose) resolve();
+      else setTimeout(check, 100);
+    };
+    check();
+  });
+
+const handleResults = (results) => {
+  if (!pendingDetection) return;
+  const { resolve } = pendingDetection;
+  pendingDetection = null;
+  resolve(results.poseLandmarks || null);
+};
+
+/**
+ * Load the MediaPipe scripts and initialise Pose.
+ * @param {(percent: number) => void} [onProgress]
+ * @returns {Promise<object>} the Pose instance
+ */
+export const loadPoseDetector = (onProgress) => {
+  if (posePromise) {
+    onProgress?.(100);
+    return posePromise;
+  }
+
+  posePromise = (async () => {
+    onProgress?.(20);
+    await loadScript(`${MEDIAPIPE_BASE_URL}/camera_utils/camera_utils.js`);
+    onProgress?.(40);
+    await loadScript(`${MEDIAPIPE_BASE_URL}/drawing_utils/drawing_utils.js`);
+    onProgress?.(60);
+    await loadScript(`${MEDIAPIPE_BASE_URL}/pose/pose.js`);
+    onProgress?.(80);
+
+    await waitForPose();
+
+    const pose = new window.Pose({
+      locateFile: (file) => `${MEDIAPIPE_BASE_URL}/pose/${file}`,
+    });
+
+    pose.setOptions({
+      modelComplexity: 2, // Highest accuracy
+      // Images are unrelated stills (other views, other patients); smoothing would carry points across them
+      smoothLandmarks: false,
+      enableSegmentation: false,
+      minDetectionConfidence: 0.7,
+      minTrackingConfidence: 0.7,
+    });
+
+    pose.onResults(handleResults);
+    await pose.initialize();
+    onProgress?.(100);
+
+    // Notify service worker to cache MediaPipe assets
+    if (navigator.serviceWorker && navigator.serviceWorker.controller) {
+      navigator.serviceWorker.controller.postMessage({ type: 'CACHE_MEDIAPIPE' });
+    }
+
+    return pose;
+  })().catch((err) => {
+    posePromise = null;
+    throw err;
+  });
+
+  return posePromise;
+};
+
+/**
+ * Run pose detection on an image, video or canvas. Calls are queued because
+ * MediaPipe reports results through a single callback.
+ * @returns {Promise<Array|null>} the 33 pose landmarks, or null if no person was found
+ */
+export const detectPose = (image) => {
+  const run = async () => {
+    const pose = await loadPoseDetector();
+    return new Promise((resolve, reject) => {
+      const timeout = setTimeout(() => {
+        pendingDetection = null;
+        // A late result from the stuck instance would be taken for the next image's
+        posePromise = null;
+        Promise.resolve(pose.close?.()).catch(() => {});
+        reject(new Error('Pose detection timed out'));
+      }, DETECTION_TIMEOUT_MS);
+      pendingDetection = {
+        resolve: (landmarks) => {
+          clearTimeout(timeout);
+          resolve(landmarks);
+        },
+      };
+      pose.send({ image }).catch((err) => {
+        clearTimeout(timeout);
+        pendingDetection = null;
+        reject(err);
+      });
+    });
+  };
+
+  const result = detectionQueue.then(run, run);
+  detectionQueue = result.catch(() => {});
+  return result;
+};
+
+/**
+ * Load an image file or data URL into an HTMLImageElement.
+ * @param {Blob|string} source
+ * @returns {Promise<HTMLImageElement>}
+ */
+export const loadImage = (source) =>
+  new Promise((resolve, reject) => {
+    const img = new Image();
+    const url = typeof source === 'string' ? null : URL.createObjectURL(source);
+    // The decoded image stays usable after its object URL is released
+    img.onload = () => {
+      if (url) URL.revokeObjectURL(url);
+      resolve(img);
+    };
+    img.onerror = () => {
+      if (url) URL.revokeObjectURL(url);
+      reject(new Error('Could not read image'));
+    };
+    img.src = url || source;
+  });
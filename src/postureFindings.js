@@ -0,0 +1,138 @@
+/**
+ * Structured posture findings returned by the Venice vision model: the JSON
+ * schema sent with the request, validation of the reply, and a markdown
+ * rendering for copy, download and SOAP note context.
+ */
+
+export const POSTURE_REGIONS = [
+  { id: 'head_cervical', label: 'Head & Cervical' },
+  { id: 'shoulders_thoracic', label: 'Shoulders & Thoracic' },
+  { id: 'lumbar_pelvis', label: 'Lumbar & Pelvis' },
+  { id: 'lower_extremity', label: 'Lower Extremity' },
+];
+
+export const SEVERITIES = ['MILD', 'MODERATE', 'SIGNIFICANT'];
+
+export const SIDES = ['left', 'right', 'bilateral', 'central'];
+
+export const POSTURE_FINDINGS_SCHEMA = {
+  type: 'object',
+  properties: {
+    summary: { type: 'string' },
+    regions: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          region: { type: 'string', enum: POSTURE_REGIONS.map((region) => region.id) },
+          finding: { type: 'string' },
+          side: { type: 'string', enum: SIDES },
+          degrees: { type: ['number', 'null'] },
+          severity: { type: 'string', enum: SEVERITIES },
+          priority: { type: 'integer' },
+        },
+        required: ['region', 'finding', 'side', 'degrees', 'severity', 'priority'],
+        additionalProperties: false,
+      },
+    },
+    recommendations: { type: 'array', items: { type: 'string' } },
+  },
+  required: ['summary', 'regions', 'recommendations'],
+  additionalProperties: false,
+};
+
+/**
+ * `response_format` for a chat completion that must follow the schema above.
+ */
+export const POSTURE_RESPONSE_FORMAT = {
+  type: 'json_schema',
+  json_schema: { name: 'posture_findings', strict: true, schema: POSTURE_FINDINGS_SCHEMA },
+};
+
+export const regionLabel = (regionId) =>
+  POSTURE_REGIONS.find((region) => region.id === regionId)?.label || regionId;
+
+// Some models wrap JSON in a code fence even when asked for a schema
+const stripCodeFence = (text) => text.trim().replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/, '');
+
+const normalizeRegion = (entry) => {
+  if (!entry || typeof entry !== 'object') return null;
+  const severity = String(entry.severity || '').toUpperCase();
+  const side = String(entry.side || '').toLowerCase();
+  const degrees = entry.degrees == null || entry.degrees === '' ? null : Number(entry.degrees);
+  const priority = Number(entry.priority);
+
+  if (!POSTURE_REGIONS.some((region) => region.id === entry.region)) return null;
+  if (typeof entry.finding !== 'string' || !entry.finding.trim()) return null;
+  if (!SEVERITIES.includes(severity) || !SIDES.includes(side)) return null;
+  if (degrees !== null && !Number.isFinite(degrees)) return null;
+  if (!Number.isInteger(priority) || priority < 1) return null;
+
+  return {
+    region: entry.region,
+    finding: entry.finding.trim(),
+    side,
+    degrees: degrees === null ? null : Math.round(degrees * 10) / 10,
+    severity,
+    priority,
+  };
+};
+
+/**
+ * Parse and validate a structured reply. Invalid region entries are dropped
+ * and regions are ordered by priority.
+ * @param {string} text - raw model output
+ * @returns {{ summary: string, regions: object[], recommendations: string[] }|null}
+ *   null when the reply is not usable and should be shown as markdown instead
+ */
+export const parsePostureFindings = (text) => {
+  if (!text) return null;
+  let data;
+  try {
+    data = JSON.parse(stripCodeFence(text));
+  } catch (err) {
+    return null;
+  }
+  if (!data || typeof data !== 'object' || !Array.isArray(data.regions)) return null;
+
+  const regions = data.regions
+    .map(normalizeRegion)
+    .filter(Boolean)
+    .sort((a, b) => a.priority - b.priority);
+  if (!regions.length) return null;
+
+  return {
+    summary: typeof data.summary === 'string' ? data.summary.trim() : '',
+    regions,
+    recommendations: Array.isArray(data.recommendations)
+      ? data.recommendations.filter((item) => typeof item === 'string' && item.trim())
+      : [],
+  };
+};
+
+const describeFinding = (entry) => {
+  const details = [entry.side !== 'central' && entry.side, entry.degrees != null && `~${entry.degrees}°`].filter(Boolean);
+  return `${entry.finding}${details.length ? ` (${details.join(', ')})` : ''} — ${entry.severity}`;
+};
+
+/**
+ * Markdown version of structured findings, in the same sections the
+ * free-form prompt used to produce.
+ */
+export const findingsToMarkdown = ({ summary, regions, recommendations }) => {
+  const lines = ['## Summary', summary || 'No summary provided.', '', '## Detailed Findings'];
+  POSTURE_REGIONS.forEach((region) => {
+    const entries = regions.filter((entry) => entry.region === region.id);
+    if (!entries.length) return;
+    lines.push('', `### ${region.label}`, ...entries.map((entry) => `- ${describeFinding(entry)}`));
+  });
+  if (recommendations.length) {
+    lines.push('', '## Clinical Recommendations', ...recommendations.map((item, i) => `${i + 1}. ${item}`));
+  }
+  lines.push(
+    '',
+    '## Priority Areas',
+    ...regions.map((entry, i) => `${i + 1}. ${regionLabel(entry.region)} — ${entry.severity}`)
+  );
+  return lines.join('\n');
+};
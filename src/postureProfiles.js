@@ -0,0 +1,147 @@
+import { FRONTAL_THRESHOLDS, LATERAL_THRESHOLDS } from './postureThresholds';
+import { createSettingsStore } from './settingsStore';
+
+/**
+ * Named posture norm profiles: good/moderate cutoffs and scoring weights per
+ * metric. Profiles are clinic settings, so they live in localStorage rather
+ * than with patient data.
+ */
+
+const PROFILES_KEY = 'spineai.postureProfiles';
+const ACTIVE_PROFILE_KEY = 'spineai.activePostureProfile';
+
+export const DEFAULT_PROFILE_ID = 'adult';
+
+export const THRESHOLD_LABELS = {
+  frontal: {
+    HEAD_TILT: 'Head Tilt',
+    SHOULDER_LEVEL: 'Shoulder Level',
+    HIP_LEVEL: 'Hip Level',
+    SPINE_ALIGNMENT: 'Spine Alignment',
+    KNEE_ALIGNMENT: 'Knee Valgus/Varus',
+    WEIGHT_SHIFT: 'Weight Shift (% of hip width)',
+    STANCE_WIDTH: 'Stance Width (% from hip width)',
+    FOOT_ROTATION: 'Foot Rotation',
+  },
+  lateral: {
+    CRANIOVERTEBRAL_ANGLE: 'Craniovertebral Angle (≥)',
+    EAR_PLUMB: 'Ear to Plumb Line',
+    SHOULDER_PLUMB: 'Shoulder to Plumb Line',
+    HIP_PLUMB: 'Hip to Plumb Line',
+    KNEE_PLUMB: 'Knee to Plumb Line',
+  },
+};
+
+const withWeights = (thresholds, weights = {}) =>
+  Object.fromEntries(Object.entries(thresholds).map(([key, value]) => [key, { ...value, weight: weights[key] ?? 1 }]));
+
+export const BUILT_IN_PROFILES = [
+  {
+    id: 'adult',
+    name: 'Adult',
+    builtIn: true,
+    frontal: withWeights(FRONTAL_THRESHOLDS),
+    lateral: withWeights(LATERAL_THRESHOLDS),
+  },
+  {
+    id: 'pediatric',
+    name: 'Pediatric',
+    builtIn: true,
+    // Children sway more and carry the head further forward, so level, toe-out and plumb-line cutoffs are looser
+    // and the craniovertebral angle lower; lateral spine shift is flagged sooner and counts double for scoliosis screening
+    frontal: withWeights(
+      {
+        HEAD_TILT: { good: 6, moderate: 12 },
+        SHOULDER_LEVEL: { good: 4, moderate: 8 },
+        HIP_LEVEL: { good: 4, moderate: 8 },
+        SPINE_ALIGNMENT: { good: 5, moderate: 10 },
+        // Physiological genu valgum is common in young children
+        KNEE_ALIGNMENT: { good: 8, moderate: 15 },
+        WEIGHT_SHIFT: { good: 10, moderate: 20 },
+        STANCE_WIDTH: { good: 50, moderate: 100 },
+        FOOT_ROTATION: { good: 20, moderate: 30 },
+      },
+      { SPINE_ALIGNMENT: 2 }
+    ),
+    lateral: withWeights({
+      CRANIOVERTEBRAL_ANGLE: { good: 72, moderate: 62, higherIsBetter: true },
+      EAR_PLUMB: { good: 3, moderate: 5 },
+      SHOULDER_PLUMB: { good: 3, moderate: 5 },
+      HIP_PLUMB: { good: 3, moderate: 5 },
+      KNEE_PLUMB: { good: 4, moderate: 7 },
+    }),
+  },
+  {
+    id: 'athlete',
+    name: 'Athlete',
+    builtIn: true,
+    // Tighter symmetry cutoffs; side-to-side imbalance and knee tracking weigh more
+    frontal: withWeights(
+      {
+        HEAD_TILT: { good: 4, moderate: 8 },
+        SHOULDER_LEVEL: { good: 2, moderate: 5 },
+        HIP_LEVEL: { good: 2, moderate: 5 },
+        SPINE_ALIGNMENT: { good: 4, moderate: 10 },
+        KNEE_ALIGNMENT: { good: 4, moderate: 8 },
+        WEIGHT_SHIFT: { good: 8, moderate: 15 },
+        STANCE_WIDTH: { good: 50, moderate: 100 },
+        FOOT_ROTATION: { good: 12, moderate: 20 },
+      },
+      { SHOULDER_LEVEL: 1.5, HIP_LEVEL: 1.5, KNEE_ALIGNMENT: 1.5, WEIGHT_SHIFT: 1.5 }
+    ),
+    lateral: withWeights({
+      CRANIOVERTEBRAL_ANGLE: { good: 78, moderate: 68, higherIsBetter: true },
+      EAR_PLUMB: { good: 1.5, moderate: 3 },
+      SHOULDER_PLUMB: { good: 1.5, moderate: 3 },
+      HIP_PLUMB: { good: 1.5, moderate: 3 },
+      KNEE_PLUMB: { good: 2, moderate: 5 },
+    }),
+  },
+  {
+    id: 'geriatric',
+    name: 'Geriatric',
+    builtIn: true,
+    // Age-related thoracic kyphosis and forward head are expected to a degree
+    frontal: withWeights(FRONTAL_THRESHOLDS),
+    lateral: withWeights(
+      {
+        CRANIOVERTEBRAL_ANGLE: { good: 68, moderate: 58, higherIsBetter: true },
+        EAR_PLUMB: { good: 3, moderate: 6 },
+        SHOULDER_PLUMB: { good: 3, moderate: 6 },
+        HIP_PLUMB: { good: 2, moderate: 4 },
+        KNEE_PLUMB: { good: 4, moderate: 7 },
+      },
+      { CRANIOVERTEBRAL_ANGLE: 1.5 }
+    ),
+  },
+];
+
+// Keep saved values for current metrics; metrics added since get the defaults
+// and retired ones are dropped
+const mergeView = (defaults, saved = {}) =>
+  Object.fromEntries(Object.entries(withWeights(defaults)).map(([key, value]) => [key, { ...value, ...saved[key] }]));
+
+const withDefaults = (profile) => ({
+  ...profile,
+  frontal: mergeView(FRONTAL_THRESHOLDS, profile.frontal),
+  lateral: mergeView(LATERAL_THRESHOLDS, profile.lateral),
+});
+
+export const profileStore = createSettingsStore({
+  itemsKey: PROFILES_KEY,
+  activeKey: ACTIVE_PROFILE_KEY,
+  builtIns: BUILT_IN_PROFILES,
+  defaultId: DEFAULT_PROFILE_ID,
+  fromSaved: withDefaults,
+});
+
+export const getProfile = profileStore.get;
+
+/**
+ * All profiles and the clinic default, kept in sync with the settings screen.
+ * @returns {{ profiles: object[], activeProfile: object }}
+ */
+export const usePostureProfiles = () => {
+  const { items, active } = profileStore.useItems();
+  return { profiles: items, activeProfile: active };
+};
@@ -0,0 +1,39 @@
+/**
+ * Default posture cutoffs (the adult profile), in degrees unless noted.
+ * Cutoffs are maximums, except for `higherIsBetter` metrics where they are
+ * minimums. Clinics override cutoffs and scoring weights through profiles in
+ * postureProfiles.js.
+ */
+
+// Frontal View Thresholds (Symmetry Assessment)
+export const FRONTAL_THRESHOLDS = {
+  HEAD_TILT: { good: 5, moderate: 10 }, // Left/right head lean
+  SHOULDER_LEVEL: { good: 3, moderate: 7 }, // Height difference
+  HIP_LEVEL: { good: 3, moderate: 7 }, // Height difference
+  SPINE_ALIGNMENT: { good: 5, moderate: 12 }, // Lateral shift
+  KNEE_ALIGNMENT: { good: 5, moderate: 10 }, // Valgus/varus from a straight hip-knee-ankle line
+  WEIGHT_SHIFT: { good: 10, moderate: 20 }, // Trunk over base of support, % of hip width
+  STANCE_WIDTH: { good: 50, moderate: 100 }, // Ankle spacing vs hip width, % difference
+  FOOT_ROTATION: { good: 15, moderate: 25 }, // Toe-out/toe-in
+};
+
+// Lateral View Thresholds (Forward Posture Assessment)
+export const LATERAL_THRESHOLDS = {
+  // Tragus to shoulder vs horizontal; the shoulder stands in for C7, so
+  // values run higher than a photogrammetric CVA measured from C7
+  CRANIOVERTEBRAL_ANGLE: { good: 75, moderate: 65, higherIsBetter: true },
+  // Angle from the lateral malleolus between the plumb line and each landmark
+  EAR_PLUMB: { good: 2, moderate: 4 },
+  SHOULDER_PLUMB: { good: 2, moderate: 4 },
+  HIP_PLUMB: { good: 2, moderate: 4 },
+  KNEE_PLUMB: { good: 3, moderate: 6 },
+};
+
+// Lateral metrics before the plumb-line rebuild, for analyses saved without
+// their own thresholds
+export const LEGACY_LATERAL_THRESHOLDS = {
+  HEAD_FORWARD: { good: 10, moderate: 20 },
+  SHOULDER_ROUND: { good: 15, moderate: 25 },
+  PELVIC_TILT: { good: 10, moderate: 18 },
+  SPINE_CURVE: { good: 12, moderate: 20 },
+};
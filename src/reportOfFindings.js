@@ -0,0 +1,387 @@
+import { jsPDF } from 'jspdf';
+import { RECORD_KINDS } from './patientStore';
+import { VIEW_LABELS, composeAnnotatedImage, drawSkeleton, formatMetricValue } from './OfflinePostureAnalyzer';
+import { loadImage } from './poseDetector';
+
+/**
+ * Report of Findings: one PDF per visit, built in the browser from the
+ * visit's saved records so it also works offline.
+ */
+
+// Millimetres on A4 portrait
+const MARGIN = 18;
+const FOOTER_HEIGHT = 10;
+const IMAGE_WIDTH = 70;
+const IMAGE_MAX_HEIGHT = 115;
+const COLUMN_GAP = 6;
+
+const COLORS = {
+  text: [31, 41, 55],
+  muted: [107, 114, 128],
+  accent: [13, 148, 136],
+  rule: [209, 213, 219],
+  good: [16, 185, 129],
+  moderate: [217, 119, 6],
+  poor: [220, 38, 38],
+};
+
+// The built-in PDF fonts only cover Latin-1; swap or drop anything else (emoji, ≥)
+const toPdfText = (text) =>
+  String(text)
+    .replace(/[‘’]/g, "'")
+    .replace(/[“”]/g, '"')
+    .replace(/[–—]/g, '-')
+    .replace(/•/g, '-')
+    .replace(/≥/g, '>=')
+    .replace(/≤/g, '<=')
+    .replace(/→/g, '->')
+    .replace(/[^\n\x20-\x7E\xA0-\xFF]/g, '')
+    .replace(/\*\*/g, '');
+
+const formatDate = (date) => date.toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' });
+
+// Visit dates are local YYYY-MM-DD keys
+const formatVisitDate = (visitDate) => {
+  const [year, month, day] = visitDate.split('-').map(Number);
+  return formatDate(new Date(year, month - 1, day));
+};
+
+/**
+ * Top-to-bottom writer that starts a new page whenever the next block would
+ * run into the footer.
+ */
+const createWriter = (doc) => {
+  const pageWidth = doc.internal.pageSize.getWidth();
+  const pageHeight = doc.internal.pageSize.getHeight();
+  const contentWidth = pageWidth - MARGIN * 2;
+  let y = MARGIN;
+
+  const ensureSpace = (height) => {
+    if (y + height > pageHeight - MARGIN - FOOTER_HEIGHT) {
+      doc.addPage();
+      y = MARGIN;
+    }
+  };
+
+  const setStyle = ({ size = 10, bold = false, color = COLORS.text }) => {
+    doc.setFont('helvetica', bold ? 'bold' : 'normal');
+    doc.setFontSize(size);
+    doc.setTextColor(...color);
+  };
+
+  // Font size in points to a line height in mm, with some leading
+  const lineHeightFor = (size) => size * 0.45;
+
+  const text = (value, { size = 10, bold = false, color, indent = 0, x = MARGIN, width = contentWidth } = {}) => {
+    setStyle({ size, bold, color });
+    const lineHeight = lineHeightFor(size);
+    doc.splitTextToSize(toPdfText(value).trim(), width - indent).forEach((line) => {
+      ensureSpace(lineHeight);
+      doc.text(line, x + indent, y, { baseline: 'top' });
+      y += lineHeight;
+    });
+  };
+
+  const space = (height) => {
+    y += height;
+  };
+
+  const rule = () => {
+    doc.setDrawColor(...COLORS.rule);
+    doc.setLineWidth(0.3);
+    doc.line(MARGIN, y, pageWidth - MARGIN, y);
+    y += 3;
+  };
+
+  // Keep a heading on the same page as the start of its section
+  const heading = (title) => {
+    ensureSpace(25);
+    space(4);
+    text(title, { size: 14, bold: true, color: COLORS.accent });
+    space(1);
+    rule();
+  };
+
+  /**
+   * Model markdown, styled by line prefix the way ResultsRenderer shows it.
+   */
+  const markdown = (content) => {
+    content.split('\n').forEach((line) => {
+      if (line.startsWith('## ')) {
+        space(2);
+        text(line.slice(3), { size: 12, bold: true, color: COLORS.accent });
+      } else if (line.startsWith('### ')) {
+        space(1.5);
+        text(line.slice(4), { size: 11, bold: true });
+      } else if (line.startsWith('**') && line.endsWith('**')) {
+        space(1);
+        text(line, { bold: true });
+      } else if (line.startsWith('- ') || line.startsWith('• ') || /^\d+\./.test(line)) {
+        text(line, { indent: 4 });
+      } else if (!line.trim()) {
+        space(2);
+      } else {
+        text(line);
+      }
+    });
+  };
+
+  return {
+    doc,
+    contentWidth,
+    pageWidth,
+    pageHeight,
+    get y() {
+      return y;
+    },
+    set y(value) {
+      y = value;
+    },
+    ensureSpace,
+    setStyle,
+    text,
+    space,
+    rule,
+    heading,
+    markdown,
+  };
+};
+
+// ============================================================================
+// SECTIONS
+// ============================================================================
+
+/**
+ * Offline captures and exam views that can be shown as annotated images,
+ * oldest first. Only the latest exam session counts, like everywhere else.
+ */
+const collectCaptures = (records) => {
+  const captures = records
+    .filter((record) => record.kind === RECORD_KINDS.OFFLINE_POSTURE)
+    .map((record) => ({ ...record.data, adjusted: record.data.adjustedLandmarks || [], date: new Date(record.createdAt) }));
+
+  const exam = records.filter((record) => record.kind === RECORD_KINDS.EXAM_SESSION).pop();
+  if (exam) {
+    Object.values(exam.data.views).forEach((view) => {
+      captures.push({ ...view, adjusted: [], date: new Date(exam.createdAt) });
+    });
+  }
+
+  return captures.filter((capture) => capture.image && capture.landmarks && capture.analysis && !capture.analysis.refused);
+};
+
+const annotateCapture = async (capture) => {
+  const img = await loadImage(capture.image);
+  const photo = document.createElement('canvas');
+  photo.width = img.naturalWidth;
+  photo.height = img.naturalHeight;
+  photo.getContext('2d').drawImage(img, 0, 0);
+
+  const overlay = document.createElement('canvas');
+  overlay.width = photo.width;
+  overlay.height = photo.height;
+  drawSkeleton(overlay.getContext('2d'), capture.landmarks, capture.analysis, photo.width, photo.height, {
+    adjusted: capture.adjusted,
+  });
+
+  return composeAnnotatedImage(photo, overlay, capture.landmarks, capture.analysis, capture.date);
+};
+
+const writeHeader = (writer, { clinic, patient, visitDate }) => {
+  writer.text(clinic.name || 'SpineAI', { size: 16, bold: true, color: COLORS.accent });
+  const details = [clinic.clinician, clinic.address, clinic.phone].filter(Boolean).join('  ·  ');
+  if (details) writer.text(details, { size: 9, color: COLORS.muted });
+  writer.space(2);
+  writer.rule();
+
+  writer.text('Report of Findings', { size: 20, bold: true });
+  writer.space(2);
+  writer.text(`Patient: ${patient ? `${patient.name}${patient.dob ? ` (DOB ${patient.dob})` : ''}` : 'Not recorded'}`, { size: 10 });
+  writer.text(`Visit: ${formatVisitDate(visitDate)}`, { size: 10 });
+  writer.text(`Prepared: ${formatDate(new Date())}`, { size: 10, color: COLORS.muted });
+};
+
+const METRIC_COLUMNS = [
+  { label: 'Metric', width: 0.46 },
+  { label: 'Value', width: 0.18 },
+  { label: 'Status', width: 0.18 },
+  { label: 'Confidence', width: 0.18 },
+];
+const ROW_HEIGHT = 5.5;
+
+const metricTableHeight = (analysis) => ROW_HEIGHT * (Object.keys(analysis.metrics).length + 1);
+
+/**
+ * Metric table from analyzePosture, drawn at a fixed position.
+ */
+const drawMetricTable = (writer, analysis, x, top, width) => {
+  const { doc } = writer;
+  let y = top;
+
+  const row = (cells, { bold = false, colors = [] } = {}) => {
+    let cellX = x;
+    cells.forEach((cell, i) => {
+      writer.setStyle({ size: 8.5, bold, color: colors[i] || COLORS.text });
+      const columnWidth = METRIC_COLUMNS[i].width * width;
+      doc.text(doc.splitTextToSize(toPdfText(cell), columnWidth - 1.5)[0] || '', cellX, y + 1.2, { baseline: 'top' });
+      cellX += columnWidth;
+    });
+    y += ROW_HEIGHT;
+    doc.setDrawColor(...COLORS.rule);
+    doc.setLineWidth(0.2);
+    doc.line(x, y - 0.6, x + width, y - 0.6);
+  };
+
+  row(METRIC_COLUMNS.map((column) => column.label), { bold: true });
+  Object.values(analysis.metrics).forEach((metric) => {
+    const scored = metric.confidence !== 'low';
+    row(
+      [metric.label, formatMetricValue(metric), scored ? metric.status : 'not scored', metric.confidence || 'high'],
+      { colors: [null, null, scored ? COLORS[metric.status] : COLORS.muted, COLORS.muted] }
+    );
+  });
+  return y;
+};
+
+const writeCaptures = async (writer, captures) => {
+  writer.heading('Posture Assessment');
+  writer.text('Photos are annotated with detected landmarks, alignment lines and the measured value of each metric.', {
+    size: 9,
+    color: COLORS.muted,
+  });
+  writer.space(3);
+
+  for (const capture of captures) {
+    const { analysis } = capture;
+    const canvas = await annotateCapture(capture);
+    const imageHeight = Math.min(IMAGE_MAX_HEIGHT, (canvas.height / canvas.width) * IMAGE_WIDTH);
+    const imageWidth = (canvas.width / canvas.height) * imageHeight;
+    const tableX = MARGIN + IMAGE_WIDTH + COLUMN_GAP;
+    const tableWidth = writer.contentWidth - IMAGE_WIDTH - COLUMN_GAP;
+
+    writer.ensureSpace(8 + Math.max(imageHeight, metricTableHeight(analysis)));
+    writer.text(
+      `${VIEW_LABELS[analysis.view] || analysis.viewType} view  ·  Score ${analysis.overallScore}/100${analysis.profile ? ` (${analysis.profile.name} norms)` : ''}`,
+      { size: 11, bold: true }
+    );
+    writer.space(2);
+
+    const top = writer.y;
+    writer.doc.addImage(canvas.toDataURL('image/jpeg', 0.85), 'JPEG', MARGIN, top, imageWidth, imageHeight);
+    const tableBottom = drawMetricTable(writer, analysis, tableX, top, tableWidth);
+    writer.y = Math.max(top + imageHeight, tableBottom);
+
+    if (analysis.adjustedLandmarks?.length) {
+      writer.space(1);
+      writer.text(`Landmarks placed manually: ${analysis.adjustedLandmarks.join(', ')}`, { size: 8.5, color: COLORS.muted });
+    }
+    writer.space(6);
+  }
+};
+
+/**
+ * The section of a markdown document under the first `## ` heading matching
+ * `pattern`, or null if there is none.
+ */
+const extractSection = (content, pattern) => {
+  const lines = content.split('\n');
+  const start = lines.findIndex((line) => line.startsWith('## ') && pattern.test(line));
+  if (start === -1) return null;
+  const end = lines.findIndex((line, i) => i > start && line.startsWith('## '));
+  return lines.slice(start + 1, end === -1 ? undefined : end).join('\n').trim();
+};
+
+const latest = (records, kind) => records.filter((record) => record.kind === kind).pop() || null;
+
+/**
+ * Venice posture narratives for the visit: the latest single-photo analysis
+ * and each view of the latest exam session.
+ */
+const collectNarratives = (records) => {
+  const narratives = [];
+  const posture = latest(records, RECORD_KINDS.POSTURE);
+  if (posture?.data.content) {
+    narratives.push({ title: `${VIEW_LABELS[posture.data.view] || 'Posture'} photo`, content: posture.data.content });
+  }
+  const exam = latest(records, RECORD_KINDS.EXAM_SESSION);
+  Object.entries(exam?.data.views || {}).forEach(([viewId, view]) => {
+    if (view.cloud) narratives.push({ title: `${VIEW_LABELS[viewId] || viewId} view (exam)`, content: view.cloud });
+  });
+  return narratives;
+};
+
+// ============================================================================
+// REPORT
+// ============================================================================
+
+/**
+ * Build the Report of Findings for a visit.
+ * @param {{ clinic: object, patient: object|null, visitDate: string, records: object[] }} visit -
+ *   `records` are the visit's saved records, oldest first
+ * @returns {Promise<jsPDF>}
+ */
+export const buildReportOfFindings = async ({ clinic, patient, visitDate, records }) => {
+  const captures = collectCaptures(records);
+  const narratives = collectNarratives(records);
+  const soap = latest(records, RECORD_KINDS.SOAP)?.data.content;
+  const carePack = latest(records, RECORD_KINDS.CARE_PACK)?.data.content;
+  const homeExercise = carePack && (extractSection(carePack, /home exercise/i) || carePack);
+
+  if (!captures.length && !narratives.length && !soap && !homeExercise) {
+    throw new Error('Nothing has been saved for this visit yet. Run an analysis, SOAP note or care pack first.');
+  }
+
+  const doc = new jsPDF({ unit: 'mm', format: 'a4' });
+  const writer = createWriter(doc);
+
+  writeHeader(writer, { clinic, patient, visitDate });
+
+  if (captures.length) await writeCaptures(writer, captures);
+
+  if (narratives.length) {
+    writer.heading('Posture Analysis Findings');
+    narratives.forEach(({ title, content }) => {
+      writer.text(title, { size: 11, bold: true });
+      writer.space(1);
+      writer.markdown(content);
+      writer.space(4);
+    });
+  }
+
+  if (soap) {
+    writer.heading('SOAP Note');
+    writer.markdown(soap);
+  }
+
+  if (homeExercise) {
+    writer.heading('Home Exercise Plan');
+    writer.markdown(homeExercise);
+  }
+
+  writer.space(6);
+  writer.text(
+    'Posture measurements are AI-assisted estimates from photographs and should be interpreted alongside the clinical examination.',
+    { size: 8, color: COLORS.muted }
+  );
+
+  // Footer on every page
+  const pages = doc.getNumberOfPages();
+  for (let page = 1; page <= pages; page++) {
+    doc.setPage(page);
+    writer.setStyle({ size: 8, color: COLORS.muted });
+    const footerY = writer.pageHeight - MARGIN / 2;
+    doc.text(toPdfText(`${clinic.name || 'SpineAI'}  ·  Report of Findings${patient ? `  ·  ${patient.name}` : ''}`), MARGIN, footerY);
+    doc.text(`Page ${page} of ${pages}`, writer.pageWidth - MARGIN, footerY, { align: 'right' });
+  }
+
+  return doc;
+};
+
+/**
+ * Build the Report of Findings and download it.
+ */
+export const downloadReportOfFindings = async (visit) => {
+  const doc = await buildReportOfFindings(visit);
+  const name = visit.patient ? visit.patient.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') : 'visit';
+  doc.save(`report-of-findings-${name}-${visit.visitDate}.pdf`);
+};
@@ -0,0 +1,38 @@
+/**
+ * localStorage access for settings kept on this device (clinic settings,
+ * posture profiles, SOAP templates, vocabulary, microphone, active patient).
+ * Storage can be unavailable, e.g. in private browsing: reads fall back to
+ * the default and writes are dropped, so settings last only for the session.
+ */
+
+export const readString = (key, fallback = null) => {
+  try {
+    return localStorage.getItem(key) ?? fallback;
+  } catch (err) {
+    return fallback;
+  }
+};
+
+/**
+ * Store a string, or remove the key when `value` is empty.
+ */
+export const writeString = (key, value) => {
+  try {
+    if (value) localStorage.setItem(key, value);
+    else localStorage.removeItem(key);
+  } catch (err) {
+    // Unavailable storage is described above
+  }
+};
+
+export const readJson = (key, fallback) => {
+  const value = readString(key);
+  if (!value) return fallback;
+  try {
+    return JSON.parse(value);
+  } catch (err) {
+    return fallback;
+  }
+};
+
+export const writeJson = (key, value) => writeString(key, JSON.stringify(value));
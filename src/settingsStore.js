@@ -0,0 +1,97 @@
+import { useSyncExternalStore } from 'react';
+import { readJson, writeJson } from './settingsStorage';
+
+/**
+ * A list of named clinic settings (posture profiles, SOAP templates) with
+ * built-in defaults, custom additions and a clinic default, kept in
+ * localStorage and shared by every component through `useItems`. Saving a
+ * built-in stores an override of it; deleting one restores its defaults.
+ *
+ * @param {{ itemsKey: string, activeKey: string, builtIns: object[], defaultId: string, fromSaved?: (item: object, builtIn: object|null) => object }} options
+ *   `fromSaved` brings a stored item up to date; `builtIn` is the default it overrides, if any
+ */
+export const createSettingsStore = ({ itemsKey, activeKey, builtIns, defaultId, fromSaved = (item) => item }) => {
+  // Saved items replace built-ins with the same id
+  const load = () => {
+    const saved = readJson(itemsKey, []);
+    const builtInItems = builtIns.map((builtIn) => {
+      const override = saved.find((item) => item.id === builtIn.id);
+      return override ? fromSaved(override, builtIn) : builtIn;
+    });
+    const custom = saved
+      .filter((item) => !builtIns.some((builtIn) => builtIn.id === item.id))
+      .map((item) => fromSaved(item, null));
+    return [...builtInItems, ...custom];
+  };
+
+  let state = null;
+  const listeners = new Set();
+
+  const getState = () => {
+    if (!state) {
+      const items = load();
+      const activeId = readJson(activeKey, defaultId);
+      state = { items, activeId: items.some((item) => item.id === activeId) ? activeId : defaultId };
+    }
+    return state;
+  };
+
+  // Unchanged built-ins are not stored, so later releases can update them
+  const setState = (next) => {
+    state = next;
+    writeJson(itemsKey, next.items.filter((item) => !builtIns.includes(item)));
+    writeJson(activeKey, next.activeId);
+    listeners.forEach((listener) => listener());
+  };
+
+  const subscribe = (listener) => {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  };
+
+  return {
+    defaultId,
+
+    /**
+     * Create or update an item.
+     */
+    save: (item) => {
+      const { items, activeId } = getState();
+      const exists = items.some((i) => i.id === item.id);
+      setState({
+        activeId,
+        items: exists ? items.map((i) => (i.id === item.id ? item : i)) : [...items, item],
+      });
+    },
+
+    /**
+     * Delete a custom item, or restore a built-in one to its defaults.
+     */
+    remove: (id) => {
+      const { items, activeId } = getState();
+      const builtIn = builtIns.find((i) => i.id === id);
+      setState({
+        activeId: !builtIn && activeId === id ? defaultId : activeId,
+        items: builtIn ? items.map((i) => (i.id === id ? builtIn : i)) : items.filter((i) => i.id !== id),
+      });
+    },
+
+    setActiveId: (id) => {
+      setState({ ...getState(), activeId: id });
+    },
+
+    get: (id) => {
+      const { items } = getState();
+      return items.find((i) => i.id === id) || items.find((i) => i.id === defaultId);
+    },
+
+    /**
+     * All items and the clinic default, kept in sync with the settings screen.
+     * @returns {{ items: object[], active: object }}
+     */
+    useItems: () => {
+      const { items, activeId } = useSyncExternalStore(subscribe, getState);
+      return { items, active: items.find((i) => i.id === activeId) };
+    },
+  };
+};
@@ -0,0 +1,80 @@
+/**
+ * Split SOAP notes into their SUBJECTIVE/OBJECTIVE/ASSESSMENT/PLAN blocks and
+ * put them back together. Heading lines are kept exactly as written, so a note
+ * that is parsed and joined without edits comes back unchanged.
+ */
+
+export const SOAP_SECTIONS = [
+  { id: 'subjective', title: 'Subjective' },
+  { id: 'objective', title: 'Objective' },
+  { id: 'assessment', title: 'Assessment' },
+  { id: 'plan', title: 'Plan' },
+];
+
+// "**SUBJECTIVE:**", "### SUBJECTIVE", "Subjective (S):" and similar, alone on a line
+const HEADING_PATTERN = /^\s*(?:#{1,4}\s*)?(?:\*\*)?\s*(subjective|objective|assessment|plan)\s*(?:\([a-z]\))?\s*:?\s*(?:\*\*)?\s*:?\s*$/i;
+
+const sectionIdOf = (line) => line.match(HEADING_PATTERN)?.[1].toLowerCase() || null;
+
+/**
+ * @param {string} content
+ * @returns {{ preamble: string|null, sections: Array<{ id: string, title: string, heading: string, body: string }> }}
+ *   `preamble` is anything before the first heading (null if the note starts with one)
+ */
+export const parseSoapNote = (content) => {
+  const lines = content.split('\n');
+  const sections = [];
+  const preamble = [];
+
+  lines.forEach((line) => {
+    const id = sectionIdOf(line);
+    if (id) {
+      sections.push({ id, title: SOAP_SECTIONS.find((section) => section.id === id).title, heading: line, lines: [] });
+    } else if (sections.length) {
+      sections[sections.length - 1].lines.push(line);
+    } else {
+      preamble.push(line);
+    }
+  });
+
+  return {
+    preamble: sections.length && !preamble.length ? null : preamble.join('\n'),
+    sections: sections.map(({ lines: body, ...section }) => ({ ...section, body: body.join('\n') })),
+  };
+};
+
+export const joinSoapNote = ({ preamble, sections }) =>
+  [...(preamble == null ? [] : [preamble]), ...sections.map((section) => `${section.heading}\n${section.body}`)].join('\n');
+
+/**
+ * Replace one section's body, keeping the blank lines that separated it from
+ * the next heading.
+ */
+export const replaceSectionBody = (content, index, body) => {
+  const parsed = parseSoapNote(content);
+  const trailing = parsed.sections[index].body.match(/\s*$/)[0];
+  parsed.sections[index] = { ...parsed.sections[index], body: `${body.trim()}${trailing}` };
+  return joinSoapNote(parsed);
+};
+
+/**
+ * Drop a heading the model repeated at the top of a regenerated section.
+ */
+export const stripSectionHeading = (text) => {
+  const lines = text.trim().split('\n');
+  return (sectionIdOf(lines[0]) ? lines.slice(1) : lines).join('\n').trim();
+};
+
+/**
+ * Rewrite the body of the first section with the given id through
+ * `update(body)`. A note without that section gets it appended.
+ */
+export const updateSection = (content, id, update) => {
+  const parsed = parseSoapNote(content);
+  const index = parsed.sections.findIndex((section) => section.id === id);
+  if (index === -1) {
+    const title = SOAP_SECTIONS.find((section) => section.id === id).title.toUpperCase();
+    return `${content.replace(/\s*$/, '')}\n\n**${title}:**\n${update('').trim()}\n`;
+  }
+  return replaceSectionBody(content, index, update(parsed.sections[index].body));
+};
@@ -0,0 +1,219 @@
+import { createSettingsStore } from './settingsStore';
+import { SOAP_SECTIONS, parseSoapNote } from './soapSections';
+
+/**
+ * SOAP note templates by visit type. A template lists, for each SOAP section,
+ * whether it is required, what the section should cover and the phrasing the
+ * clinic prefers. Templates are clinic settings, so they live in localStorage
+ * like posture profiles; built-ins can be edited and reset, and cloned into
+ * custom templates.
+ */
+
+const TEMPLATES_KEY = 'spineai.soapTemplates';
+const ACTIVE_TEMPLATE_KEY = 'spineai.activeSoapTemplate';
+
+export const DEFAULT_TEMPLATE_ID = 'daily';
+
+const section = (id, prompt, phrasing = '', required = true) => ({ id, required, prompt, phrasing });
+
+export const BUILT_IN_TEMPLATES = [
+  {
+    id: 'daily',
+    name: 'Daily treatment note',
+    builtIn: true,
+    description: 'Routine follow-up visit',
+    sections: [
+      section(
+        'subjective',
+        '- Current complaint and pain (0-10) compared with the last visit\n- Changes since the last visit, response to home care',
+        'Patient reports ___/10 pain, ___ since the last visit.'
+      ),
+      section(
+        'objective',
+        '- Palpation findings and segmental fixations\n- Range of Motion (ROM) where re-checked\n- Muscle tone/spasm observations',
+        'Palpation revealed fixation at ___ with associated hypertonicity.'
+      ),
+      section(
+        'assessment',
+        '- Diagnoses with ICD-10-CM codes (complete code with its dot, e.g. M54.50)\n- Progress toward goals: improving, unchanged or worsening',
+        'Condition is ___; patient is progressing toward goals as expected.'
+      ),
+      section(
+        'plan',
+        '- Treatment performed today: CMT with the levels adjusted, and each modality with its minutes (e.g. "Therapeutic exercise 15 min")\n- Patient response to treatment\n- Home Exercise Program (HEP) changes\n- Next visit',
+        'Patient tolerated treatment well. Continue current plan; return in ___.'
+      ),
+    ],
+  },
+  {
+    id: 'initial',
+    name: 'Initial exam',
+    builtIn: true,
+    description: 'New patient or new condition',
+    includesEvaluation: true,
+    sections: [
+      section(
+        'subjective',
+        '- Chief Complaint (CC)\n- History of Present Illness (HPI): onset, location, duration, character, aggravating/alleviating factors, radiation, timing, severity (0-10)\n- Past Medical History if mentioned\n- Current medications if mentioned\n- Functional limitations in daily activities'
+      ),
+      section(
+        'objective',
+        '- Vital signs if mentioned\n- Postural Analysis findings (incorporate any provided)\n- Palpation findings\n- Range of Motion (ROM) - use standard notation\n- Orthopedic/Neurological tests performed\n- Muscle tone/spasm observations'
+      ),
+      section(
+        'assessment',
+        '- Primary diagnosis with ICD-10-CM code suggestion (complete code with its dot, e.g. M54.50)\n- Secondary diagnoses\n- Differential diagnoses if applicable\n- Functional limitations\n- Prognosis'
+      ),
+      section(
+        'plan',
+        '- Treatment performed today: CMT with the levels adjusted, and each modality with its minutes (e.g. "Therapeutic exercise 15 min")\n- Patient response to treatment\n- Recommended frequency and duration of care\n- Home Exercise Program (HEP)\n- Patient education provided\n- Goals (short-term and long-term)\n- Re-exam date',
+        'Recommend ___ visits per week for ___ weeks, with re-examination in ___.'
+      ),
+    ],
+  },
+  {
+    id: 're-exam',
+    name: 'Re-exam',
+    builtIn: true,
+    description: 'Progress re-evaluation',
+    includesEvaluation: true,
+    sections: [
+      section('subjective', '- Current complaint and pain (0-10) compared with the initial exam\n- Functional changes reported by the patient'),
+      section(
+        'objective',
+        '- ROM, orthopedic and neurological findings, each compared with the initial exam\n- Postural Analysis findings (incorporate any provided)\n- Outcome assessment scores if mentioned',
+        'Cervical rotation has improved from ___° to ___°.'
+      ),
+      section(
+        'assessment',
+        '- Diagnoses with ICD-10-CM codes (complete code with its dot, e.g. M54.50)\n- Progress toward each goal, met or not met\n- Whether further improvement is expected'
+      ),
+      section(
+        'plan',
+        '- Treatment performed today: CMT with the levels adjusted, and each modality with its minutes\n- Updated frequency and duration of care, or release to maintenance\n- Updated goals\n- Next re-exam date'
+      ),
+    ],
+  },
+  {
+    id: 'discharge',
+    name: 'Discharge summary',
+    builtIn: true,
+    description: 'End of an episode of care',
+    sections: [
+      section('subjective', '- Status of the original complaint and pain (0-10) at discharge\n- Patient-reported function and satisfaction'),
+      section('objective', '- Final ROM, orthopedic and neurological findings compared with the initial exam', '', false),
+      section(
+        'assessment',
+        '- Diagnoses treated with ICD-10-CM codes (complete code with its dot, e.g. M54.50)\n- Goals met and not met\n- Outcome of care: resolved, improved, maximum medical improvement or referred',
+        'Patient has reached ___ with ___% improvement since the initial exam.'
+      ),
+      section(
+        'plan',
+        '- Reason for discharge\n- Home care and self-management instructions\n- When to return or seek further care',
+        'Patient is discharged from active care and will continue the home program.'
+      ),
+    ],
+  },
+  {
+    id: 'personal-injury',
+    name: 'Personal injury narrative',
+    builtIn: true,
+    description: 'Motor vehicle or other injury claim',
+    instructions:
+      'Write in full narrative sentences suitable for an attorney or insurer, rather than short bullet fragments. Keep the patient\'s own account attributed to the patient.',
+    sections: [
+      section(
+        'subjective',
+        '- Date and mechanism of injury: vehicle positions, direction of impact, restraint use, head position, airbag deployment\n- Symptoms and their onset after the injury\n- Prior history of the same complaints, or its absence\n- Effect on work and activities of daily living',
+        'The patient states that on ___ they were the ___ of a vehicle that was struck from the ___.'
+      ),
+      section(
+        'objective',
+        '- Postural Analysis findings (incorporate any provided)\n- Palpation findings\n- Range of Motion (ROM) with degrees\n- Orthopedic/Neurological tests performed with results\n- Imaging if mentioned'
+      ),
+      section(
+        'assessment',
+        '- Diagnoses with ICD-10-CM codes, using injury codes with the 7th character (e.g. S13.4XXA)\n- Causation: whether the findings are consistent with the described mechanism of injury\n- Prognosis and any expected permanent impairment',
+        'Within a reasonable degree of chiropractic certainty, the findings are consistent with the mechanism of injury described.'
+      ),
+      section(
+        'plan',
+        '- Treatment performed today: CMT with the levels adjusted, and each modality with its minutes\n- Recommended frequency and duration of care\n- Work or activity restrictions\n- Referrals'
+      ),
+    ],
+  },
+];
+
+// Saved templates always have all four sections, in SOAP order
+const withSections = (template) => ({
+  ...template,
+  sections: SOAP_SECTIONS.map(
+    ({ id }) => template.sections?.find((s) => s.id === id) || section(id, '', '', false)
+  ),
+});
+
+// Templates saved before a field existed take the built-in's value for it
+const fromSaved = (template, builtIn) =>
+  withSections(builtIn ? { includesEvaluation: Boolean(builtIn.includesEvaluation), ...template } : template);
+
+export const templateStore = createSettingsStore({
+  itemsKey: TEMPLATES_KEY,
+  activeKey: ACTIVE_TEMPLATE_KEY,
+  builtIns: BUILT_IN_TEMPLATES,
+  defaultId: DEFAULT_TEMPLATE_ID,
+  fromSaved,
+});
+
+export const getTemplate = templateStore.get;
+
+/**
+ * All templates and the clinic default, kept in sync with the settings screen.
+ * @returns {{ templates: object[], activeTemplate: object }}
+ */
+export const useSoapTemplates = () => {
+  const { items, active } = templateStore.useItems();
+  return { templates: items, activeTemplate: active };
+};
+
+const titleOf = (id) => SOAP_SECTIONS.find((s) => s.id === id).title;
+
+const sectionGuidance = (s) =>
+  [s.prompt.trim(), s.phrasing.trim() && `Preferred phrasing: "${s.phrasing.trim()}"`].filter(Boolean).join('\n');
+
+/**
+ * System prompt that asks for a note in the template's structure.
+ */
+export const buildSoapSystemPrompt = (template) => {
+  const sections = template.sections.filter((s) => s.required || s.prompt.trim());
+  const format = sections
+    .map((s) =>
+      [`**${titleOf(s.id).toUpperCase()}:**`, !s.required && 'Include this section only if the notes document it.', sectionGuidance(s)]
+        .filter(Boolean)
+        .join('\n')
+    )
+    .join('\n\n');
+
+  return `You are a chiropractic documentation specialist. Convert clinical notes into a properly formatted SOAP note for this visit type: ${template.name}.
+
+Generate a complete, professional note following this exact format:
+
+${format}
+${template.instructions?.trim() ? `\n${template.instructions.trim()}\n` : ''}
+Use standard medical abbreviations. Be concise but thorough. Where preferred phrasing is given, use it and fill in the blanks from the notes. If information is not provided, mark as "Not assessed" rather than making up details.`;
+};
+
+/**
+ * What the template asks of one section, for regenerating it on its own.
+ */
+export const templateSectionGuidance = (template, sectionId) => {
+  const s = template.sections.find((candidate) => candidate.id === sectionId);
+  return s ? sectionGuidance(s) : '';
+};
+
+/**
+ * Titles of the template's required sections the note doesn't have.
+ */
+export const missingRequiredSections = (template, note) => {
+  const present = new Set(parseSoapNote(note).sections.map((s) => s.id));
+  return template.sections.filter((s) => s.required && !present.has(s.id)).map((s) => titleOf(s.id));
+};
@@ -0,0 +1,291 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { readString, writeString } from './settingsStorage';
+import { hasApiKey } from './veniceClient';
+import {
+  SEGMENT_STATUS,
+  audioDuration,
+  createSegmentRecorder,
+  deleteSegments,
+  isSupportedUpload,
+  listSegments,
+  retrySegment,
+  saveRevertedChanges,
+  saveSegment,
+  transcribeSegment,
+  uploadProblem,
+} from './dictation';
+
+// The chosen microphone is a setting of this device, like the clinic settings
+const MICROPHONE_KEY = 'spineai.microphone';
+
+// After a dropped connection the queue is tried again after this long,
+// doubling each time up to the maximum; the `online` event also resumes it
+const RETRY_BASE_MS = 5000;
+const RETRY_MAX_MS = 2 * 60 * 1000;
+
+const openMicrophone = async (deviceId) => {
+  if (!deviceId) return navigator.mediaDevices.getUserMedia({ audio: true });
+  try {
+    return await navigator.mediaDevices.getUserMedia({ audio: { deviceId: { exact: deviceId } } });
+  } catch (err) {
+    // The saved mic may be unplugged; the default one is better than nothing
+    if (err.name !== 'OverconstrainedError' && err.name !== 'NotFoundError') throw err;
+    return navigator.mediaDevices.getUserMedia({ audio: true });
+  }
+};
+
+/**
+ * Segmented dictation for one visit: records in short segments, transcribes
+ * each as it completes (one at a time, oldest first) and picks up where it
+ * left off after going offline or reloading the page. Uploaded audio files
+ * join the same queue.
+ * @param {{ patientId: string|null, visitDate: string, model: string }} options
+ */
+const useDictation = ({ patientId, visitDate, model }) => {
+  const [segments, setSegments] = useState([]);
+  const [recording, setRecording] = useState(false);
+  const [paused, setPaused] = useState(false);
+  const [elapsedMs, setElapsedMs] = useState(0);
+  const [stream, setStream] = useState(null);
+  const [devices, setDevices] = useState([]);
+  const [deviceId, setDeviceIdState] = useState(() => readString(MICROPHONE_KEY, ''));
+  const [error, setError] = useState(null);
+  const recorderRef = useRef(null);
+  const streamRef = useRef(null);
+  const processingRef = useRef(false);
+  const retryTimerRef = useRef(null);
+  const retryDelayRef = useRef(RETRY_BASE_MS);
+  const processQueueRef = useRef(null);
+
+  const refresh = useCallback(async () => {
+    try {
+      setSegments(await listSegments(patientId, visitDate));
+    } catch (err) {
+      setError(err.message);
+    }
+  }, [patientId, visitDate]);
+
+  // Transcriptions can finish after the visit changed; always show the current one
+  const refreshRef = useRef(refresh);
+  refreshRef.current = refresh;
+
+  const processQueue = useCallback(async () => {
+    if (processingRef.current || !navigator.onLine || !hasApiKey()) return;
+    processingRef.current = true;
+    clearTimeout(retryTimerRef.current);
+    try {
+      for (;;) {
+        // Nothing else transcribes while this loop runs, so a segment still
+        // marked as transcribing was interrupted by a reload
+        const next = (await listSegments(patientId, visitDate)).find(
+          (segment) => segment.status === SEGMENT_STATUS.PENDING || segment.status === SEGMENT_STATUS.TRANSCRIBING
+        );
+        if (!next) break;
+        setSegments((prev) => prev.map((segment) => (segment.id === next.id ? { ...segment, status: SEGMENT_STATUS.TRANSCRIBING } : segment)));
+        const updated = await transcribeSegment(next, { model });
+        await refreshRef.current();
+        if (!updated) break;
+        // Still pending means the connection dropped; try again later
+        if (updated.status === SEGMENT_STATUS.PENDING) {
+          retryTimerRef.current = setTimeout(() => processQueueRef.current(), retryDelayRef.current);
+          retryDelayRef.current = Math.min(retryDelayRef.current * 2, RETRY_MAX_MS);
+          break;
+        }
+        retryDelayRef.current = RETRY_BASE_MS;
+      }
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      processingRef.current = false;
+    }
+  }, [patientId, visitDate, model]);
+  processQueueRef.current = processQueue;
+
+  useEffect(() => {
+    refresh();
+    processQueue();
+    window.addEventListener('online', processQueue);
+    return () => {
+      window.removeEventListener('online', processQueue);
+      clearTimeout(retryTimerRef.current);
+    };
+  }, [refresh, processQueue]);
+
+  // Device labels are only available once the page has microphone permission
+  const loadDevices = useCallback(async () => {
+    try {
+      const all = await navigator.mediaDevices.enumerateDevices();
+      setDevices(all.filter((device) => device.kind === 'audioinput' && device.deviceId));
+    } catch (err) {
+      setDevices([]);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (!navigator.mediaDevices?.enumerateDevices) return undefined;
+    loadDevices();
+    navigator.mediaDevices.addEventListener('devicechange', loadDevices);
+    return () => navigator.mediaDevices.removeEventListener('devicechange', loadDevices);
+  }, [loadDevices]);
+
+  useEffect(() => {
+    if (!recording) return undefined;
+    const interval = setInterval(() => setElapsedMs(recorderRef.current?.elapsed() ?? 0), 250);
+    return () => clearInterval(interval);
+  }, [recording]);
+
+  // Leaving the screen mid-dictation keeps what was recorded so far
+  useEffect(
+    () => () => {
+      recorderRef.current?.stop();
+      streamRef.current?.getTracks().forEach((track) => track.stop());
+    },
+    []
+  );
+
+  // New audio continues the visit's timeline
+  const nextPosition = async () => {
+    const existing = await listSegments(patientId, visitDate);
+    const last = existing[existing.length - 1];
+    return { index: last ? last.index + 1 : 0, startMs: last ? last.startMs + last.durationMs : 0 };
+  };
+
+  const start = async () => {
+    setError(null);
+    let microphone;
+    try {
+      microphone = await openMicrophone(deviceId);
+    } catch (err) {
+      setError('Microphone access denied');
+      return;
+    }
+    loadDevices();
+
+    const position = await nextPosition();
+    streamRef.current = microphone;
+    recorderRef.current = createSegmentRecorder(microphone, {
+      onSegment: async ({ index, startMs, durationMs, audio }) => {
+        try {
+          await saveSegment({
+            patientId,
+            visitDate,
+            index: position.index + index,
+            startMs: position.startMs + startMs,
+            durationMs,
+            audio,
+          });
+          await refreshRef.current();
+          processQueue();
+        } catch (err) {
+          setError(`Could not save the recording: ${err.message}`);
+        }
+      },
+    });
+    setStream(microphone);
+    setElapsedMs(0);
+    setPaused(false);
+    setRecording(true);
+  };
+
+  const stop = async () => {
+    const recorder = recorderRef.current;
+    if (!recorder) return;
+    recorderRef.current = null;
+    setRecording(false);
+    setPaused(false);
+    await recorder.stop();
+    streamRef.current?.getTracks().forEach((track) => track.stop());
+    streamRef.current = null;
+    setStream(null);
+  };
+
+  const pause = () => {
+    recorderRef.current?.pause();
+    setPaused(true);
+  };
+
+  const resume = () => {
+    recorderRef.current?.resume();
+    setPaused(false);
+  };
+
+  const setDeviceId = (id) => {
+    setDeviceIdState(id);
+    writeString(MICROPHONE_KEY, id);
+  };
+
+  /**
+   * Queue an audio file recorded elsewhere (phone, dictaphone) for transcription.
+   */
+  const upload = async (file) => {
+    setError(null);
+    const durationMs = isSupportedUpload(file) ? await audioDuration(file) : 0;
+    const problem = uploadProblem(file, durationMs);
+    if (problem) {
+      setError(problem);
+      return;
+    }
+    try {
+      const position = await nextPosition();
+      await saveSegment({
+        patientId,
+        visitDate,
+        ...position,
+        durationMs,
+        audio: file,
+        filename: file.name,
+      });
+      await refresh();
+      processQueue();
+    } catch (err) {
+      setError(`Could not save the audio file: ${err.message}`);
+    }
+  };
+
+  const retry = async (id) => {
+    await retrySegment(id);
+    await refresh();
+    retryDelayRef.current = RETRY_BASE_MS;
+    processQueue();
+  };
+
+  /**
+   * Store reverted vocabulary changes.
+   * @param {Object<string, string[]>} bySegment - change keys by segment id
+   */
+  const setReverted = async (bySegment) => {
+    try {
+      await Promise.all(Object.entries(bySegment).map(([id, keys]) => saveRevertedChanges(id, keys)));
+    } catch (err) {
+      setError(err.message);
+    }
+    await refresh();
+  };
+
+  const clear = async () => {
+    await deleteSegments(await listSegments(patientId, visitDate));
+    await refresh();
+  };
+
+  return {
+    segments,
+    recording,
+    paused,
+    elapsedMs,
+    stream,
+    devices,
+    deviceId,
+    error,
+    start,
+    stop,
+    pause,
+    resume,
+    setDeviceId,
+    upload,
+    retry,
+    setReverted,
+    clear,
+  };
+};
+
+export default useDictation;
@@ -0,0 +1,342 @@
+/**
+ * Venice API client shared by every tab: chat (streaming and not), vision and
+ * audio transcription, with timeouts, retries and typed errors.
+ */
+
+// Configuration - optional build-time Venice API key
+const BUILD_API_KEY = process.env.VENICE_API_KEY || '';
+export const VENICE_BASE_URL = 'https://api.venice.ai/api/v1';
+
+const DEFAULT_TIMEOUT_MS = 60000;
+const DEFAULT_RETRIES = 2;
+const BASE_BACKOFF_MS = 1000;
+const MAX_BACKOFF_MS = 15000;
+
+export const ERROR_TYPES = {
+  AUTH: 'auth',
+  RATE_LIMIT: 'rate_limit',
+  CONTENT_FILTERED: 'content_filtered',
+  NETWORK: 'network',
+  OFFLINE: 'offline',
+  TIMEOUT: 'timeout',
+  SERVER: 'server',
+  REQUEST: 'request',
+};
+
+export class VeniceError extends Error {
+  /**
+   * @param {string} message - user-facing description
+   * @param {{ type: string, status?: number, retryAfter?: number }} details
+   */
+  constructor(message, { type, status, retryAfter } = {}) {
+    super(message);
+    this.name = 'VeniceError';
+    this.type = type;
+    this.status = status;
+    this.retryAfter = retryAfter;
+  }
+}
+
+let apiKey = BUILD_API_KEY;
+let authErrorHandler = null;
+
+export const setApiKey = (key) => {
+  apiKey = key.trim();
+};
+
+export const hasApiKey = () => Boolean(apiKey);
+
+export const getApiKey = () => apiKey;
+
+/**
+ * Register a callback for rejected API keys (HTTP 401), e.g. to show the key screen.
+ * @returns {() => void} unsubscribe
+ */
+export const onAuthError = (handler) => {
+  authErrorHandler = handler;
+  return () => {
+    if (authErrorHandler === handler) authErrorHandler = null;
+  };
+};
+
+const isOffline = () => typeof navigator !== 'undefined' && navigator.onLine === false;
+
+const isRetryable = (err) =>
+  [ERROR_TYPES.RATE_LIMIT, ERROR_TYPES.SERVER, ERROR_TYPES.NETWORK, ERROR_TYPES.TIMEOUT].includes(err.type);
+
+// Retry-After is either delay-seconds or an HTTP date
+const parseRetryAfter = (header) => {
+  if (!header) return undefined;
+  const seconds = Number(header);
+  if (!Number.isNaN(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(header);
+  return Number.isNaN(date) ? undefined : Math.max(0, date - Date.now());
+};
+
+const backoffDelay = (attempt, err) => {
+  if (err.retryAfter != null) return Math.min(err.retryAfter, MAX_BACKOFF_MS);
+  const exponential = BASE_BACKOFF_MS * 2 ** attempt;
+  return Math.min(exponential + Math.random() * BASE_BACKOFF_MS, MAX_BACKOFF_MS);
+};
+
+const sleep = (ms, signal) =>
+  new Promise((resolve, reject) => {
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener('abort', () => {
+      clearTimeout(timer);
+      reject(new DOMException('Aborted', 'AbortError'));
+    }, { once: true });
+  });
+
+const readErrorBody = async (response) => {
+  const text = await response.text().catch(() => '');
+  try {
+    const data = JSON.parse(text);
+    return data.error?.message || data.message || data.detail || text;
+  } catch (err) {
+    return text;
+  }
+};
+
+const CONTENT_FILTER_PATTERN = /content (policy|filter)|safety|moderation/i;
+
+/**
+ * Turn a failed HTTP response into a VeniceError.
+ */
+const errorFromResponse = async (response) => {
+  const detail = await readErrorBody(response);
+  const { status } = response;
+
+  if (status === 401 || status === 403) {
+    return new VeniceError('Your Venice API key was rejected. Please enter a valid key.', { type: ERROR_TYPES.AUTH, status });
+  }
+  if (status === 429) {
+    const retryAfter = parseRetryAfter(response.headers.get('Retry-After'));
+    const wait = retryAfter != null ? ` Try again in ${Math.ceil(retryAfter / 1000)}s.` : ' Please wait a moment and try again.';
+    return new VeniceError(`Venice rate limit reached.${wait}`, { type: ERROR_TYPES.RATE_LIMIT, status, retryAfter });
+  }
+  if (status >= 500) {
+    return new VeniceError(`Venice is having trouble right now (HTTP ${status}). Please try again.`, {
+      type: ERROR_TYPES.SERVER,
+      status,
+      retryAfter: parseRetryAfter(response.headers.get('Retry-After')),
+    });
+  }
+  if (CONTENT_FILTER_PATTERN.test(detail)) {
+    return new VeniceError('The request was blocked by the content filter. Try rephrasing or a different image.', {
+      type: ERROR_TYPES.CONTENT_FILTERED,
+      status,
+    });
+  }
+  return new VeniceError(detail || `Request failed (HTTP ${status})`, { type: ERROR_TYPES.REQUEST, status });
+};
+
+const contentFilteredError = () =>
+  new VeniceError('The response was stopped by the content filter. Try rephrasing the request.', {
+    type: ERROR_TYPES.CONTENT_FILTERED,
+  });
+
+/**
+ * Link the caller's signal with a timeout. `resetTimeout` restarts the timer,
+ * used to turn the timeout into an idle timeout while streaming.
+ */
+const withTimeout = (signal, timeout) => {
+  const controller = new AbortController();
+  let timedOut = false;
+  let timer = null;
+
+  const resetTimeout = () => {
+    clearTimeout(timer);
+    timer = setTimeout(() => {
+      timedOut = true;
+      controller.abort();
+    }, timeout);
+  };
+  const onAbort = () => controller.abort();
+
+  if (signal?.aborted) controller.abort();
+  signal?.addEventListener('abort', onAbort, { once: true });
+  resetTimeout();
+
+  return {
+    signal: controller.signal,
+    resetTimeout,
+    didTimeOut: () => timedOut,
+    cleanup: () => {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', onAbort);
+    },
+  };
+};
+
+/**
+ * Send one request with retries. `handle` consumes the successful response and
+ * runs inside the same timeout, so streaming reads are covered too.
+ */
+const request = async (path, { body, formData, signal, timeout = DEFAULT_TIMEOUT_MS, retries = DEFAULT_RETRIES }, handle) => {
+  for (let attempt = 0; ; attempt += 1) {
+    if (isOffline()) {
+      throw new VeniceError('You are offline. This request needs an internet connection.', { type: ERROR_TYPES.OFFLINE });
+    }
+
+    const timer = withTimeout(signal, timeout);
+    try {
+      let response;
+      try {
+        response = await fetch(`${VENICE_BASE_URL}${path}`, {
+          method: 'POST',
+          headers: formData
+            ? { Authorization: `Bearer ${apiKey}` }
+            : { Authorization: `Bearer ${apiKey}`, 'Content-Type': 'application/json' },
+          body: formData || JSON.stringify(body),
+          signal: timer.signal,
+        });
+      } catch (err) {
+        if (signal?.aborted) throw err;
+        if (timer.didTimeOut()) {
+          throw new VeniceError('Venice took too long to respond.', { type: ERROR_TYPES.TIMEOUT });
+        }
+        throw new VeniceError('Could not reach Venice. Check your connection.', { type: ERROR_TYPES.NETWORK });
+      }
+
+      if (!response.ok) {
+        const err = await errorFromResponse(response);
+        if (err.type === ERROR_TYPES.AUTH) authErrorHandler?.(err);
+        throw err;
+      }
+
+      try {
+        return await handle(response, timer.resetTimeout);
+      } catch (err) {
+        if (timer.didTimeOut() && err.name === 'AbortError') {
+          throw new VeniceError('Venice stopped responding.', { type: ERROR_TYPES.TIMEOUT });
+        }
+        throw err;
+      }
+    } catch (err) {
+      if (!(err instanceof VeniceError) || !isRetryable(err) || attempt >= retries || signal?.aborted) {
+        throw err;
+      }
+      await sleep(backoffDelay(attempt, err), signal);
+    } finally {
+      timer.cleanup();
+    }
+  }
+};
+
+/**
+ * Non-streaming chat completion.
+ * @returns {Promise<string>} the assistant message text
+ */
+export const chatCompletion = (body, options = {}) =>
+  request('/chat/completions', { ...options, body: { ...body, stream: false } }, async (response) => {
+    const data = await response.json().catch(() => {
+      throw new VeniceError('Venice returned an unreadable response.', { type: ERROR_TYPES.SERVER, status: response.status });
+    });
+    if (data.error) {
+      throw new VeniceError(data.error.message || 'Venice returned an error.', { type: ERROR_TYPES.REQUEST });
+    }
+    const choice = data.choices?.[0];
+    if (choice?.finish_reason === 'content_filter') throw contentFilteredError();
+    return choice?.message?.content || '';
+  });
+
+/**
+ * Stream a chat completion over server-sent events. `onToken` receives the text
+ * accumulated so far. If `signal` aborts mid-generation, resolves with the
+ * partial text instead of throwing. `timeout` applies between chunks.
+ */
+export const streamChatCompletion = async (body, { signal, onToken, ...options } = {}) => {
+  let text = '';
+
+  try {
+    return await request('/chat/completions', { ...options, signal, body: { ...body, stream: true } }, async (response, resetTimeout) => {
+      // A retried attempt starts over
+      text = '';
+      const reader = response.body.getReader();
+      const decoder = new TextDecoder();
+      let buffer = '';
+
+      while (true) {
+        let done;
+        let value;
+        try {
+          ({ done, value } = await reader.read());
+        } catch (err) {
+          if (err.name === 'AbortError') throw err;
+          throw new VeniceError('The connection to Venice was interrupted.', { type: ERROR_TYPES.NETWORK });
+        }
+        if (done) break;
+        resetTimeout();
+
+        buffer += decoder.decode(value, { stream: true });
+        const lines = buffer.split('\n');
+        buffer = lines.pop();
+
+        for (const line of lines) {
+          const trimmed = line.trim();
+          if (!trimmed.startsWith('data:')) continue;
+          const payload = trimmed.slice(5).trim();
+          if (payload === '[DONE]') return text;
+
+          let chunk;
+          try {
+            chunk = JSON.parse(payload);
+          } catch (err) {
+            continue;
+          }
+          if (chunk.error) {
+            throw new VeniceError(chunk.error.message || 'Venice returned an error.', { type: ERROR_TYPES.REQUEST });
+          }
+          const choice = chunk.choices?.[0];
+          const delta = choice?.delta?.content;
+          if (delta) {
+            text += delta;
+            onToken?.(text);
+          }
+          if (choice?.finish_reason === 'content_filter') throw contentFilteredError();
+        }
+      }
+
+      return text;
+    });
+  } catch (err) {
+    if (err.name === 'AbortError' && signal?.aborted) return text;
+    throw err;
+  }
+};
+
+/**
+ * Build a user message that pairs a text prompt with an image (data URL or URL)
+ * for vision-capable models.
+ */
+export const visionMessage = (text, image) => ({
+  role: 'user',
+  content: [
+    { type: 'text', text },
+    { type: 'image_url', image_url: { url: image } },
+  ],
+});
+
+/**
+ * Transcribe recorded or uploaded audio.
+ * @param {Blob} audio
+ * @param {{ model: string, filename?: string, signal?: AbortSignal, timeout?: number }} options
+ * @returns {Promise<string>} transcribed text
+ */
+export const transcribeAudio = (audio, { model, filename = 'recording.webm', ...options }) => {
+  const formData = new FormData();
+  formData.append('file', audio, filename);
+  formData.append('model', model);
+  formData.append('response_format', 'json');
+
+  return request('/audio/transcriptions', { timeout: 120000, ...options, formData }, async (response) => {
+    const data = await response.json().catch(() => {
+      throw new VeniceError('Venice returned an unreadable transcription.', { type: ERROR_TYPES.SERVER, status: response.status });
+    });
+    if (data.error) {
+      throw new VeniceError(data.error.message || 'Transcription failed.', { type: ERROR_TYPES.REQUEST });
+    }
+    return data.text || '';
+  });
+};
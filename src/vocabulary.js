@@ -0,0 +1,244 @@
+import { useSyncExternalStore } from 'react';
+import { readJson, writeJson } from './settingsStorage';
+
+/**
+ * Chiropractic vocabulary for cleaning up speech-to-text: spoken spinal
+ * segments ("L four L five" to L4-L5), spelled-out listings and abbreviations
+ * ("P R S" to PRS), and orthopedic test names and terms the model splits or
+ * misspells. Clinics add their own terms on top of the bundled dictionary;
+ * those live in localStorage like the other clinic settings.
+ *
+ * Normalizing returns the text as parts, so each change can be shown and
+ * reverted before the transcript is used.
+ */
+
+const VOCABULARY_KEY = 'spineai.vocabulary';
+
+export const VOCABULARY_CATEGORIES = {
+  SEGMENT: 'segment',
+  LISTING: 'listing',
+  TEST: 'test',
+  ABBREVIATION: 'abbreviation',
+  TERM: 'term',
+  CLINIC: 'clinic',
+};
+
+// Spelled-out letters that should be written as one word
+const LISTINGS = ['PR', 'PL', 'PRS', 'PLS', 'PRI', 'PLI', 'AS', 'PI', 'IN', 'EX', 'ASIN', 'ASEX', 'PIIN', 'PIEX', 'BP'];
+
+const ABBREVIATIONS = [
+  'ROM', 'AROM', 'PROM', 'CMT', 'SMT', 'HVLA', 'HEP', 'TMJ', 'SI', 'SIJ', 'SLR', 'DTR', 'VAS', 'ADL', 'NMR', 'SCM', 'ASIS',
+  'PSIS', 'IASTM', 'EMS', 'TENS', 'IFC', 'MVA', 'MVC', 'CT', 'MRI', 'LBP', 'HPI', 'WNL', 'NKDA', 'ODI', 'NDI',
+];
+
+// Phrases matched case-insensitively as whole words, with any spacing
+export const BUILT_IN_TERMS = [
+  // Orthopedic tests
+  { from: ['kemps', 'kemp', 'camps test', 'kemps test'], to: "Kemp's", category: VOCABULARY_CATEGORIES.TEST },
+  { from: ['spurlings', 'spurling', 'sperlings', 'sperling'], to: "Spurling's", category: VOCABULARY_CATEGORIES.TEST },
+  { from: ['slr'], to: 'SLR', category: VOCABULARY_CATEGORIES.TEST },
+  { from: ['adsons', 'adson'], to: "Adson's", category: VOCABULARY_CATEGORIES.TEST },
+  { from: ['yeomans', 'yeoman', 'yeomen'], to: "Yeoman's", category: VOCABULARY_CATEGORIES.TEST },
+  { from: ['gaenslens', 'gaenslen', 'ganslens', 'gansland'], to: "Gaenslen's", category: VOCABULARY_CATEGORIES.TEST },
+  { from: ['patricks test'], to: "Patrick's test", category: VOCABULARY_CATEGORIES.TEST },
+  { from: ['fabere', 'fab ere'], to: 'FABERE', category: VOCABULARY_CATEGORIES.TEST },
+  { from: ['elys test', 'ellies test'], to: "Ely's test", category: VOCABULARY_CATEGORIES.TEST },
+  { from: ['soto hall', 'soda hall'], to: 'Soto-Hall', category: VOCABULARY_CATEGORIES.TEST },
+  { from: ['val salva', 'valsalva'], to: 'Valsalva', category: VOCABULARY_CATEGORIES.TEST },
+  { from: ['milgrams', 'milgram'], to: "Milgram's", category: VOCABULARY_CATEGORIES.TEST },
+  { from: ['hoovers test'], to: "Hoover's test", category: VOCABULARY_CATEGORIES.TEST },
+  { from: ['jacksons compression'], to: "Jackson's compression", category: VOCABULARY_CATEGORIES.TEST },
+  { from: ['bechterews', 'bechterew'], to: "Bechterew's", category: VOCABULARY_CATEGORIES.TEST },
+  { from: ['lasegues', 'lasegue', 'la segues'], to: "Lasegue's", category: VOCABULARY_CATEGORIES.TEST },
+  { from: ['phalens', 'phalen'], to: "Phalen's", category: VOCABULARY_CATEGORIES.TEST },
+  { from: ['tinels', 'tinel'], to: "Tinel's", category: VOCABULARY_CATEGORIES.TEST },
+
+  // Terms the model splits or misspells
+  { from: ['sacro iliac', 'sacro-iliac'], to: 'sacroiliac', category: VOCABULARY_CATEGORIES.TERM },
+  { from: ['sub luxation', 'sub-luxation'], to: 'subluxation', category: VOCABULARY_CATEGORIES.TERM },
+  { from: ['para spinal', 'para-spinal'], to: 'paraspinal', category: VOCABULARY_CATEGORIES.TERM },
+  { from: ['hyper tonicity'], to: 'hypertonicity', category: VOCABULARY_CATEGORIES.TERM },
+  { from: ['cervico thoracic'], to: 'cervicothoracic', category: VOCABULARY_CATEGORIES.TERM },
+  { from: ['thoraco lumbar'], to: 'thoracolumbar', category: VOCABULARY_CATEGORIES.TERM },
+  { from: ['lumbo sacral'], to: 'lumbosacral', category: VOCABULARY_CATEGORIES.TERM },
+  { from: ['atlanto occipital'], to: 'atlanto-occipital', category: VOCABULARY_CATEGORIES.TERM },
+  { from: ['flexion distraction'], to: 'flexion-distraction', category: VOCABULARY_CATEGORIES.TERM },
+  { from: ['mac kenzie', 'mckenzie', 'mckenzies'], to: 'McKenzie', category: VOCABULARY_CATEGORIES.TERM },
+  { from: ['gone stead', 'gon stead', 'gonstead'], to: 'Gonstead', category: VOCABULARY_CATEGORIES.TERM },
+];
+
+const NUMBER_WORDS = {
+  one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10, eleven: 11, twelve: 12,
+};
+
+// How many segments each region has; C8 is a nerve root but is dictated the same way
+const SEGMENT_COUNTS = { C: 8, T: 12, L: 5, S: 5 };
+
+const SPOKEN_LETTERS = { c: 'C', see: 'C', sea: 'C', t: 'T', tee: 'T', l: 'L', el: 'L', ell: 'L', s: 'S', ess: 'S' };
+
+const LETTER = '(c|see|sea|t|tee|l|el|ell|s|ess)';
+const NUMBER = `(\\d{1,2}|${Object.keys(NUMBER_WORDS).join('|')})`;
+// Not after an apostrophe, so "patient's 2 children" stays as it is
+const SEGMENT_PATTERN = new RegExp(`(?<!['’])\\b${LETTER}[\\s-]*${NUMBER}\\b`, 'gi');
+// What may sit between two segments dictated as a range: "L four L five", "C5 to T1"
+const RANGE_GAP = /^(?:\s*-\s*|\s+(?:to|through)\s+|\s+)$/i;
+// "see" and "sea" are usually the verb, so they only count as C next to another
+// segment or a spinal word, and never before a count. These stay as they are:
+// "see three times a week", "will see two more visits", "see two x a week",
+// "see five patients", "I see two issues"
+const AMBIGUOUS_LETTER = /^se/i;
+const SPINAL_CONTEXT = /\b(?:levels?|vertebrae?|vertebral|segments?|segmental|spinous|transverse|facets?|discs?|spine|spinal)\b/i;
+const COUNTED_AFTER = /^\s*(?:times|more|x\b|visits?|weeks?|days?|months?|patients?|sessions?)/i;
+const CONTEXT_CHARS = 30;
+
+const SPELLED_PATTERN = /\b[A-Z](?:(?:\. ?| )[A-Z])+\b/g;
+
+const toSegment = (letterWord, numberWord) => {
+  const letter = SPOKEN_LETTERS[letterWord.toLowerCase()];
+  const number = NUMBER_WORDS[numberWord.toLowerCase()] || Number(numberWord);
+  // "see" only stands for C in C1-C7; "I see eight" is not a segment
+  const max = AMBIGUOUS_LETTER.test(letterWord) ? 7 : SEGMENT_COUNTS[letter];
+  return number >= 1 && number <= max ? `${letter}${number}` : null;
+};
+
+// Whether a lone "see"/"sea" segment has a spinal word beside it
+const hasSpinalContext = (text, { start, end }) =>
+  SPINAL_CONTEXT.test(text.slice(Math.max(0, start - CONTEXT_CHARS), start)) || SPINAL_CONTEXT.test(text.slice(end, end + CONTEXT_CHARS));
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const phrasePattern = (phrase) =>
+  new RegExp(`(?<![\\w'])${phrase.trim().split(/\s+/).map(escapeRegExp).join('\\s+')}(?![\\w'])`, 'gi');
+
+/**
+ * Matches for each rule as `{ start, end, replacement, category }`, in
+ * priority order: clinic terms, then built-in terms, segments and spelled
+ * letters.
+ */
+const findMatches = (text, clinicTerms) => {
+  const matches = [];
+  const addPhrases = (terms) =>
+    terms.forEach((term) =>
+      [].concat(term.from).forEach((phrase) => {
+        for (const match of text.matchAll(phrasePattern(phrase))) {
+          matches.push({ start: match.index, end: match.index + match[0].length, replacement: term.to, category: term.category });
+        }
+      })
+    );
+
+  addPhrases(clinicTerms.map((term) => ({ ...term, category: VOCABULARY_CATEGORIES.CLINIC })));
+  addPhrases(BUILT_IN_TERMS);
+
+  const segments = [];
+  for (const match of text.matchAll(SEGMENT_PATTERN)) {
+    const segment = toSegment(match[1], match[2]);
+    const end = match.index + match[0].length;
+    const ambiguous = AMBIGUOUS_LETTER.test(match[1]);
+    if (!segment || (ambiguous && COUNTED_AFTER.test(text.slice(end)))) continue;
+    segments.push({ start: match.index, end, replacement: segment, ambiguous });
+  }
+  // Runs of segments dictated one after another; a pair is a range, longer runs are lists
+  const runs = [];
+  segments.forEach((segment, index) => {
+    const previous = segments[index - 1];
+    if (previous && RANGE_GAP.test(text.slice(previous.end, segment.start))) runs[runs.length - 1].push(segment);
+    else runs.push([segment]);
+  });
+  runs
+    .filter((run) => run.length > 1 || !run[0].ambiguous || hasSpinalContext(text, run[0]))
+    .flatMap((run) =>
+      run.length === 2 ? [{ start: run[0].start, end: run[1].end, replacement: `${run[0].replacement}-${run[1].replacement}` }] : run
+    )
+    .forEach(({ start, end, replacement }) => matches.push({ start, end, replacement, category: VOCABULARY_CATEGORIES.SEGMENT }));
+
+  for (const match of text.matchAll(SPELLED_PATTERN)) {
+    const joined = match[0].replace(/[. ]/g, '');
+    const category = LISTINGS.includes(joined)
+      ? VOCABULARY_CATEGORIES.LISTING
+      : ABBREVIATIONS.includes(joined)
+        ? VOCABULARY_CATEGORIES.ABBREVIATION
+        : null;
+    if (category) matches.push({ start: match.index, end: match.index + match[0].length, replacement: joined, category });
+  }
+
+  return matches;
+};
+
+/**
+ * Normalize dictated text.
+ * @param {string} text
+ * @param {Array<{ from: string, to: string }>} [clinicTerms]
+ * @returns {Array<{ text: string, original?: string, category?: string, start?: number }>} the text in order;
+ *   parts with `original` are changes, and `start` is where the original wording begins in `text`
+ */
+export const normalizeTranscript = (text, clinicTerms = []) => {
+  const claimed = [];
+  findMatches(text, clinicTerms).forEach((match) => {
+    const overlaps = claimed.some((other) => match.start < other.end && other.start < match.end);
+    if (!overlaps) claimed.push(match);
+  });
+  claimed.sort((a, b) => a.start - b.start);
+
+  const parts = [];
+  let position = 0;
+  claimed.forEach((match) => {
+    const original = text.slice(match.start, match.end);
+    // Keep a capital at the start of a sentence: "Sacro iliac" becomes "Sacroiliac"
+    const replacement = /^[A-Z]/.test(original) && /^[a-z]/.test(match.replacement)
+      ? match.replacement[0].toUpperCase() + match.replacement.slice(1)
+      : match.replacement;
+    if (original === replacement) return;
+    if (match.start > position) parts.push({ text: text.slice(position, match.start) });
+    parts.push({ text: replacement, original, category: match.category, start: match.start });
+    position = match.end;
+  });
+  if (position < text.length) parts.push({ text: text.slice(position) });
+  return parts;
+};
+
+/**
+ * Key of one change, for remembering that the clinician reverted it. It names
+ * the wording heard and where, so it still fits after the clinic's terms change
+ * and no longer matches anything if that change is no longer made.
+ */
+export const changeKey = (part) => `${part.start}:${part.original}`;
+
+/**
+ * Join normalized parts, putting back the original wording of changes the
+ * clinician reverted.
+ * @param {Set<string>|string[]} [reverted] - keys of reverted changes (see `changeKey`)
+ */
+export const joinParts = (parts, reverted = []) => {
+  const keys = new Set(reverted);
+  return parts.map((part) => (part.original != null && keys.has(changeKey(part)) ? part.original : part.text)).join('');
+};
+
+// ---- Clinic terms ----
+
+let terms = null;
+const listeners = new Set();
+
+const subscribe = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+export const getClinicTerms = () => {
+  if (!terms) terms = readJson(VOCABULARY_KEY, []);
+  return terms;
+};
+
+/**
+ * Replace the clinic's own terms. Each is `{ from, to }`: what the
+ * transcription writes and how the clinic wants it written.
+ */
+export const saveClinicTerms = (next) => {
+  terms = next;
+  writeJson(VOCABULARY_KEY, terms);
+  listeners.forEach((listener) => listener());
+};
+
+/**
+ * The clinic's terms, kept in sync with the settings screen.
+ */
+export const useClinicTerms = () => useSyncExternalStore(subscribe, getClinicTerms);